@@ -3,8 +3,10 @@ const cors = require('cors');
 const swaggerUi = require('swagger-ui-express');
 const swaggerDocument = require('./swagger');
 const v2Routes = require('./routes/v2');
+const { attachVehicleFeed } = require('./routes/v2/vehicles-socket');
 const { router: healthRoutes } = require('./routes/health');
 const { initializeGtfs } = require('./lib/gtfs');
+const { initializeGbfs } = require('./lib/gbfs');
 
 const defaultRoutes = v2Routes;
 const app = express();
@@ -17,6 +19,8 @@ app.use(cors({ origin: '*' }));
 
 (async () => {
   await initializeGtfs();
+  // Disponibilidad de las estaciones de bicis, en segundo plano
+  initializeGbfs();
   // Rutas
   app.use('/health', healthRoutes);
   app.use('/v2', v2Routes);
@@ -25,13 +29,15 @@ app.use(cors({ origin: '*' }));
   app.use('/', defaultRoutes);
 
   // Iniciando el servidor, escuchando...
-  app.listen(app.get('port'), (error) => {
+  const server = app.listen(app.get('port'), (error) => {
     if (error) {
       console.error('Failed to start server:', error);
       return;
     }
     console.log(`Server listening on port ${app.get('port')}`);
   });
+  // Feed en vivo de vehículos por WebSocket
+  attachVehicleFeed(server);
 })();
 
 // Export the Express API
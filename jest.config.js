@@ -12,7 +12,30 @@ module.exports = {
     '**/tests/health-endpoints.test.js',
     '**/tests/gtfs-alerts.test.js',
     '**/tests/realtime-quality.test.js',
-    '**/tests/realtime-scheduler.test.js'
+    '**/tests/realtime-scheduler.test.js',
+    '**/tests/geo.test.js',
+    '**/tests/stop-search.test.js',
+    '**/tests/lines.test.js',
+    '**/tests/journey-planner.test.js',
+    '**/tests/stop-stream.test.js',
+    '**/tests/vehicle-feed.test.js',
+    '**/tests/vehicles.test.js',
+    '**/tests/realtime-feed.test.js',
+    '**/tests/realtime-archive.test.js',
+    '**/tests/punctuality.test.js',
+    '**/tests/regularity.test.js',
+    '**/tests/ghost-trips.test.js',
+    '**/tests/shape-progress.test.js',
+    '**/tests/block-delay.test.js',
+    '**/tests/delay-predictor.test.js',
+    '**/tests/suspended-stops.test.js',
+    '**/tests/alert-matching.test.js',
+    '**/tests/alert-feeds.test.js',
+    '**/tests/alert-webhooks.test.js',
+    '**/tests/station-feed.test.js',
+    '**/tests/nearby-stations.test.js',
+    '**/tests/station-history.test.js',
+    '**/tests/bike-rides.test.js'
   ],
   setupFilesAfterEnv: [],
   testTimeout: 30000,
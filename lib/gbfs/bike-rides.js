@@ -0,0 +1,129 @@
+const { haversineDistance, isValidCoordinate } = require('../gtfs/geo');
+const { WALKING_SPEED, getWalkingTime } = require('../gtfs/journey-planner');
+
+const BIKE_SPEED = 3.5; // m/s, contando cruces y desvíos
+// Tiempo para sacar la bici de la estación y para devolverla
+const BIKE_DOCKING_TIME = 60;
+// Distancia máxima a pie hasta una estación desde el origen o el destino
+const DEFAULT_MAX_STATION_DISTANCE = 500;
+const DEFAULT_MAX_BIKE_DISTANCE = 8000;
+
+const isAvailable = (station) =>
+  station.instalada !== false &&
+  isValidCoordinate(station.latitud, station.longitud);
+
+// Estaciones en las que ahora mismo se puede coger una bici
+const canPickUp = (station) =>
+  isAvailable(station) &&
+  station.alquilando !== false &&
+  station.bicisDisponibles > 0;
+
+// Estaciones en las que ahora mismo se puede dejar una bici
+const canDropOff = (station) =>
+  isAvailable(station) &&
+  station.devolviendo !== false &&
+  station.anclajesLibres > 0;
+
+// Segundos pedaleando, incluido el tiempo en cada estación
+const getBikeTime = (distance, bikeSpeed = BIKE_SPEED) =>
+  Math.ceil(distance / bikeSpeed) + 2 * BIKE_DOCKING_TIME;
+
+const getStationDistance = (from, to) =>
+  haversineDistance(from.latitud, from.longitud, to.latitud, to.longitud);
+
+// Trayectos en bici más rápidos entre cada lugar de salida y cada lugar de
+// llegada: se camina hasta una estación con bicis, se pedalea hasta otra con
+// anclajes libres y se camina hasta el final. `getStartsNear` y
+// `getEndsNear` devuelven las paradas ({ stopId, distance }) a las que se
+// puede caminar desde cada estación, con `stopId` null para el origen o el
+// destino del viaje.
+const findBikeRides = ({
+  stations,
+  getStartsNear,
+  getEndsNear,
+  maxBikeDistance = DEFAULT_MAX_BIKE_DISTANCE,
+  walkingSpeed = WALKING_SPEED,
+  bikeSpeed = BIKE_SPEED,
+}) => {
+  const pickups = stations
+    .filter(canPickUp)
+    .map((station) => ({ station, starts: getStartsNear(station) }))
+    .filter(({ starts }) => starts.length);
+  const dropoffs = stations
+    .filter(canDropOff)
+    .map((station) => ({ station, ends: getEndsNear(station) }))
+    .filter(({ ends }) => ends.length);
+  const rides = new Map();
+
+  pickups.forEach((pickup) => {
+    dropoffs.forEach((dropoff) => {
+      if (pickup.station.id === dropoff.station.id) return;
+
+      const distance = getStationDistance(pickup.station, dropoff.station);
+      if (distance > maxBikeDistance) return;
+      const bikeTime = getBikeTime(distance, bikeSpeed);
+
+      pickup.starts.forEach((start) => {
+        dropoff.ends.forEach((end) => {
+          const key = `${start.stopId}|${end.stopId}`;
+          const duration =
+            getWalkingTime(start.distance, walkingSpeed) +
+            bikeTime +
+            getWalkingTime(end.distance, walkingSpeed);
+          if (rides.has(key) && rides.get(key).duration <= duration) return;
+
+          rides.set(key, {
+            start,
+            end,
+            pickup: pickup.station,
+            dropoff: dropoff.station,
+            distance,
+            bikeTime,
+            duration,
+          });
+        });
+      });
+    });
+  });
+
+  return [...rides.values()];
+};
+
+// Tramos del planificador de un trayecto en bici
+const getBikeRideLegs = (ride) => [
+  {
+    type: 'walk',
+    fromStopId: ride.start.stopId,
+    toStopId: null,
+    toStationId: ride.pickup.id,
+    distance: ride.start.distance,
+  },
+  {
+    type: 'bike',
+    fromStopId: null,
+    toStopId: null,
+    fromStationId: ride.pickup.id,
+    toStationId: ride.dropoff.id,
+    distance: ride.distance,
+    duration: ride.bikeTime,
+  },
+  {
+    type: 'walk',
+    fromStopId: null,
+    fromStationId: ride.dropoff.id,
+    toStopId: ride.end.stopId,
+    distance: ride.end.distance,
+  },
+];
+
+module.exports = {
+  BIKE_DOCKING_TIME,
+  BIKE_SPEED,
+  DEFAULT_MAX_BIKE_DISTANCE,
+  DEFAULT_MAX_STATION_DISTANCE,
+  canDropOff,
+  canPickUp,
+  findBikeRides,
+  getBikeRideLegs,
+  getBikeTime,
+};
@@ -1,5 +1,82 @@
+const moment = require('moment-timezone');
+const { environment } = require('../utils');
+const { GBFS_ARCHIVE, GBFS_ARCHIVE_RETENTION_DAYS, GTFS_DIR } = environment;
 const gbfsConfig = require('./config');
-let GbfsPromise = import("./gbfsWrapper.mjs");
+const { createStationCache } = require('./station-feed');
+const { findNearestStations } = require('./nearby-stations');
+const {
+  DEFAULT_RETENTION_DAYS,
+  WEEKDAYS,
+  buildAvailabilityForecast,
+  createStationHistory,
+} = require('./station-history');
+let GbfsPromise = import('./gbfsWrapper.mjs');
+
+// Cliente GBFS compartido por todas las peticiones. Si falla la
+// inicialización se vuelve a intentar en la siguiente.
+let gbfsClient = null;
+
+const getGbfsClient = () => {
+  if (!gbfsClient) {
+    gbfsClient = GbfsPromise.then(({ Gbfs }) =>
+      Gbfs.initialize(gbfsConfig.gbfsUrl),
+    ).catch((error) => {
+      gbfsClient = null;
+      throw error;
+    });
+  }
+  return gbfsClient;
+};
+
+// Histórico del estado de las estaciones, activado por defecto. Se guarda
+// junto al histórico GTFS-RT, en el directorio de datos GTFS.
+let stationHistory = null;
+const configuredRetentionDays = Number.parseInt(
+  GBFS_ARCHIVE_RETENTION_DAYS,
+  10,
+);
+const retentionDays =
+  Number.isInteger(configuredRetentionDays) && configuredRetentionDays > 0
+    ? configuredRetentionDays
+    : DEFAULT_RETENTION_DAYS;
+
+// Guarda en el histórico cada station_status descargado
+const archiveStationStatus = (status) => {
+  if (!stationHistory) return;
+
+  try {
+    stationHistory.record(status);
+  } catch (error) {
+    console.error('Error al archivar el estado de las estaciones GBFS:', error);
+  }
+};
+
+// Estaciones con su disponibilidad, actualizadas en segundo plano según el
+// ttl de cada feed
+const stationCache = createStationCache({
+  discoveryUrl: gbfsConfig.gbfsUrl,
+  onStatus: archiveStationStatus,
+  onError: (error) => {
+    console.error('Error al actualizar las estaciones GBFS:', error.message);
+  },
+});
+
+// Empieza a mantener la caché de estaciones y su histórico
+const initializeGbfs = () => {
+  if (GBFS_ARCHIVE !== 'False' && !stationHistory) {
+    try {
+      const { DatabaseSync } = require('node:sqlite');
+      stationHistory = createStationHistory({
+        db: new DatabaseSync(`${GTFS_DIR}/gbfs-archive.sqlite`),
+        retentionDays,
+      });
+    } catch (error) {
+      console.error('Error al abrir el histórico GBFS:', error);
+    }
+  }
+
+  return stationCache.start();
+};
 
 // Obtenemos la información de todas las paradas
 const gbfsGetStops = async () => {
@@ -9,18 +86,15 @@ const gbfsGetStops = async () => {
       throw new Error('Invalid configuration: gbfsUrl is missing');
     }
 
-    // Import the Gbfs class
-    const { Gbfs } = await GbfsPromise;
-
-    // Create a new Gbfs instance with the auto-discovery url
-    const gbfs = await Gbfs.initialize(gbfsConfig.gbfsUrl);
+    // Reuse the Gbfs instance created with the auto-discovery url
+    const gbfs = await getGbfsClient();
 
     // Fetch station data with a timeout
     const station_info_data = await Promise.race([
       gbfs.stationUnified(),
       new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Request timeout')), 30000)
-      )
+        setTimeout(() => reject(new Error('Request timeout')), 30000),
+      ),
     ]);
 
     // Check if we got valid data
@@ -35,6 +109,114 @@ const gbfsGetStops = async () => {
   }
 };
 
+// Estaciones con bicis y anclajes disponibles
+const gbfsGetStations = async () => {
+  try {
+    return await stationCache.getStations();
+  } catch (error) {
+    console.error('Error al obtener las estaciones GBFS:', error.message);
+    return { error: 'Error al procesar la solicitud.' };
+  }
+};
+
+// Estaciones más cercanas a un punto con su disponibilidad actual
+const gbfsGetNearestStations = async (lat, lon, { limit, radius } = {}) => {
+  const stations = await gbfsGetStations();
+  if (stations.error) return stations;
+
+  return {
+    ultimaActualizacion: stations.ultimaActualizacion,
+    estaciones: findNearestStations(
+      stations.estaciones,
+      { lat, lon },
+      { limit, radius },
+    ),
+  };
+};
+
+// Estación de la caché con su id y nombre
+const getStation = async (stationId) => {
+  const stations = await gbfsGetStations();
+  if (stations.error) return stations;
+
+  const station = stations.estaciones.find(({ id }) => id === stationId);
+  if (!station) {
+    return { error: 'No existe esa estación' };
+  }
+  return { id: station.id, nombre: station.nombre };
+};
+
+// Estados guardados de una estación entre dos fechas (YYYYMMDD, incluidas).
+// Por defecto, los de hoy.
+const gbfsGetStationHistory = async (stationId, { from, to } = {}) => {
+  if (!stationHistory) {
+    return { error: 'El histórico de estaciones GBFS no está activado' };
+  }
+
+  const estacion = await getStation(stationId);
+  if (estacion.error) return estacion;
+
+  try {
+    const hasta = to || moment().tz('Europe/Madrid').format('YYYYMMDD');
+    const desde = from || hasta;
+    const toFlag = (value) => (value === null ? null : Boolean(value));
+
+    const rows = stationHistory.getSnapshots(stationId, {
+      from: moment.tz(desde, 'YYYYMMDD', 'Europe/Madrid').unix(),
+      to: moment.tz(hasta, 'YYYYMMDD', 'Europe/Madrid').endOf('day').unix(),
+    });
+
+    return {
+      estacion,
+      desde,
+      hasta,
+      historial: rows.map((row) => ({
+        fecha: moment
+          .unix(row.timestamp)
+          .tz('Europe/Madrid')
+          .format('YYYY-MM-DDTHH:mm:ssZ'),
+        bicisDisponibles: row.bikes,
+        bicisElectricas: row.ebikes,
+        anclajesLibres: row.docks,
+        alquilando: toFlag(row.is_renting),
+        devolviendo: toFlag(row.is_returning),
+      })),
+    };
+  } catch (error) {
+    console.error('Error al obtener el histórico de la estación:', error);
+    return { error: 'Error al procesar la solicitud.' };
+  }
+};
+
+// Previsión de disponibilidad de una estación por día de la semana y hora,
+// calculada con todo el histórico guardado. Se puede limitar a un día
+// (lunes, martes...) y a una hora.
+const gbfsGetStationForecast = async (stationId, { dia, hora } = {}) => {
+  if (!stationHistory) {
+    return { error: 'El histórico de estaciones GBFS no está activado' };
+  }
+
+  const estacion = await getStation(stationId);
+  if (estacion.error) return estacion;
+
+  try {
+    const rows = stationHistory.getHourlyAvailability(stationId, {
+      weekday: dia ? WEEKDAYS.indexOf(dia) : undefined,
+      hour: hora,
+    });
+
+    return { estacion, prevision: buildAvailabilityForecast(rows) };
+  } catch (error) {
+    console.error('Error al calcular la previsión de la estación:', error);
+    return { error: 'Error al procesar la solicitud.' };
+  }
+};
+
 module.exports = {
+  gbfsGetNearestStations,
+  gbfsGetStationForecast,
+  gbfsGetStationHistory,
+  gbfsGetStations,
   gbfsGetStops,
-};
\ No newline at end of file
+  initializeGbfs,
+};
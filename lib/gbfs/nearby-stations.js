@@ -0,0 +1,38 @@
+const { haversineDistance, isValidCoordinate } = require('../gtfs/geo');
+const { getWalkingTime } = require('../gtfs/journey-planner');
+
+const DEFAULT_STATION_LIMIT = 3;
+const DEFAULT_STATION_RADIUS = 500;
+
+// Estaciones más cercanas a un punto, de la más próxima a la más lejana,
+// con la distancia en metros y los minutos caminando a la misma velocidad
+// que usa el planificador. Las estaciones no instaladas no se devuelven.
+const findNearestStations = (
+  stations,
+  { lat, lon },
+  { limit = DEFAULT_STATION_LIMIT, radius = DEFAULT_STATION_RADIUS } = {},
+) =>
+  stations
+    .filter(
+      (station) =>
+        station.instalada !== false &&
+        isValidCoordinate(station.latitud, station.longitud),
+    )
+    .map((station) => ({
+      station,
+      distance: haversineDistance(lat, lon, station.latitud, station.longitud),
+    }))
+    .filter(({ distance }) => distance <= radius)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map(({ station, distance }) => ({
+      ...station,
+      distancia: Math.round(distance),
+      minutosCaminando: Math.ceil(getWalkingTime(distance) / 60),
+    }));
+
+module.exports = {
+  DEFAULT_STATION_LIMIT,
+  DEFAULT_STATION_RADIUS,
+  findNearestStations,
+};
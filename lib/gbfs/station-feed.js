@@ -0,0 +1,189 @@
+const moment = require('moment-timezone');
+
+const STATION_FEEDS = ['station_information', 'station_status'];
+// Límites del intervalo de actualización: algunos feeds publican ttl 0
+const MIN_REFRESH_SECONDS = 10;
+const DEFAULT_TTL_SECONDS = 60;
+// Espera antes de reintentar tras un error
+const RETRY_DELAY = 30000;
+const DEFAULT_TIMEOUT = 30000;
+
+// URLs de los feeds a partir del auto-discovery (gbfs.json). En GBFS 2.x
+// los feeds van agrupados por idioma; en 3.x, directamente en `data`.
+const getFeedUrls = (discovery, language = 'es') => {
+  const data = discovery?.data || {};
+  const feeds =
+    data.feeds || (data[language] || Object.values(data)[0] || {}).feeds || [];
+
+  return Object.fromEntries(feeds.map((feed) => [feed.name, feed.url]));
+};
+
+const toDate = (seconds) =>
+  seconds
+    ? moment.unix(seconds).tz('Europe/Madrid').format('YYYY-MM-DDTHH:mm:ssZ')
+    : null;
+
+const toNumber = (value) =>
+  value === null || value === undefined || value === '' ? null : Number(value);
+
+const toBoolean = (value) =>
+  value === null || value === undefined ? null : Boolean(Number(value));
+
+// Bicis eléctricas disponibles. No es un campo estándar de GBFS 2.x: cada
+// operador lo publica a su manera.
+const getEbikesAvailable = (status) =>
+  toNumber(
+    status.num_ebikes_available ?? status.num_bikes_available_types?.ebike,
+  );
+
+// Une la información fija de cada estación con su disponibilidad. Las
+// estaciones sin estado se devuelven con la disponibilidad a null.
+const mergeStations = (information, status) => {
+  const statusById = new Map(
+    (status?.data?.stations || []).map((station) => [
+      String(station.station_id),
+      station,
+    ]),
+  );
+
+  return (information?.data?.stations || []).map((station) => {
+    const stationStatus = statusById.get(String(station.station_id)) || {};
+
+    return {
+      id: String(station.station_id),
+      nombre: station.name ?? null,
+      direccion: station.address ?? null,
+      latitud: toNumber(station.lat),
+      longitud: toNumber(station.lon),
+      capacidad: toNumber(station.capacity),
+      bicisDisponibles: toNumber(stationStatus.num_bikes_available),
+      bicisElectricas: getEbikesAvailable(stationStatus),
+      anclajesLibres: toNumber(stationStatus.num_docks_available),
+      alquilando: toBoolean(stationStatus.is_renting),
+      devolviendo: toBoolean(stationStatus.is_returning),
+      instalada: toBoolean(stationStatus.is_installed),
+      ultimaActualizacion: toDate(stationStatus.last_reported),
+    };
+  });
+};
+
+// Milisegundos hasta que caduca un feed según su ttl
+const getFeedLifetime = (feed) =>
+  Math.max(MIN_REFRESH_SECONDS, toNumber(feed?.ttl) ?? DEFAULT_TTL_SECONDS) *
+  1000;
+
+const fetchGbfsJson = async (url, { timeout = DEFAULT_TIMEOUT } = {}) => {
+  const response = await fetch(url, {
+    signal: AbortSignal.timeout(timeout),
+    headers: { 'User-Agent': 'api-auvasa/2.0' },
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} al descargar ${url}`);
+  }
+  return response.json();
+};
+
+// Mantiene en memoria las estaciones con su disponibilidad. Cada feed se
+// vuelve a descargar cuando caduca su ttl, en segundo plano, y las
+// peticiones se sirven siempre desde la caché. `onStatus` recibe cada
+// station_status recién descargado.
+const createStationCache = ({
+  discoveryUrl,
+  fetchJson = fetchGbfsJson,
+  setTimer = setTimeout,
+  clearTimer = clearTimeout,
+  now = Date.now,
+  onStatus = () => {},
+  onError = () => {},
+}) => {
+  const feeds = new Map();
+  let feedUrls = null;
+  let stations = null;
+  let timer = null;
+  let running = false;
+  let firstLoad = null;
+
+  const loadFeed = async (name) => {
+    if (!feedUrls[name]) {
+      throw new Error(`El feed GBFS no publica ${name}`);
+    }
+
+    const feed = await fetchJson(feedUrls[name]);
+    feeds.set(name, { feed, expires: now() + getFeedLifetime(feed) });
+  };
+
+  // Descarga los feeds caducados y devuelve los ms que faltan para que
+  // caduque el siguiente
+  const refresh = async () => {
+    if (!feedUrls) {
+      feedUrls = getFeedUrls(await fetchJson(discoveryUrl));
+    }
+
+    const due = STATION_FEEDS.filter(
+      (name) => !(feeds.get(name)?.expires > now()),
+    );
+    await Promise.all(due.map(loadFeed));
+
+    const status = feeds.get('station_status').feed;
+    stations = {
+      ultimaActualizacion: toDate(status.last_updated),
+      estaciones: mergeStations(feeds.get('station_information').feed, status),
+    };
+    if (due.includes('station_status')) onStatus(status);
+
+    return Math.max(
+      MIN_REFRESH_SECONDS * 1000,
+      Math.min(...STATION_FEEDS.map((name) => feeds.get(name).expires)) - now(),
+    );
+  };
+
+  const scheduleRefresh = async () => {
+    let delay = RETRY_DELAY;
+    try {
+      delay = await refresh();
+    } catch (error) {
+      // Las URLs de los feeds pueden haber cambiado
+      feedUrls = null;
+      onError(error);
+    }
+
+    if (running) {
+      timer = setTimer(scheduleRefresh, delay);
+    }
+  };
+
+  // Empieza a actualizar la caché. Devuelve la primera descarga.
+  const start = () => {
+    if (!firstLoad) {
+      running = true;
+      firstLoad = scheduleRefresh();
+    }
+    return firstLoad;
+  };
+
+  const stop = () => {
+    running = false;
+    if (timer) clearTimer(timer);
+    timer = null;
+  };
+
+  // Estaciones de la caché. Solo la primera petición espera a la descarga.
+  const getStations = async () => {
+    await start();
+    if (!stations) {
+      throw new Error('No hay datos de estaciones GBFS');
+    }
+    return stations;
+  };
+
+  return { getStations, start, stop };
+};
+
+module.exports = {
+  MIN_REFRESH_SECONDS,
+  RETRY_DELAY,
+  createStationCache,
+  getEbikesAvailable,
+  getFeedUrls,
+  mergeStations,
+};
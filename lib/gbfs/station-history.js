@@ -0,0 +1,208 @@
+const moment = require('moment-timezone');
+const { getEbikesAvailable } = require('./station-feed');
+
+const DEFAULT_RETENTION_DAYS = 90;
+// Como mucho guardamos el estado de las estaciones cada 5 minutos, aunque el
+// feed se actualice más a menudo
+const SNAPSHOT_INTERVAL = 300;
+// Como mucho limpiamos el histórico una vez por hora
+const PRUNE_INTERVAL = 3600;
+// Días de la semana, de 0 (domingo) a 6 (sábado) como en moment
+const WEEKDAYS = [
+  'domingo',
+  'lunes',
+  'martes',
+  'miercoles',
+  'jueves',
+  'viernes',
+  'sabado',
+];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS station_snapshots (
+    station_id TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    weekday INTEGER NOT NULL,
+    hour INTEGER NOT NULL,
+    bikes INTEGER NOT NULL,
+    ebikes INTEGER,
+    docks INTEGER,
+    is_renting INTEGER,
+    is_returning INTEGER,
+    PRIMARY KEY (station_id, timestamp)
+  );
+  CREATE INDEX IF NOT EXISTS station_snapshots_timestamp
+    ON station_snapshots (timestamp);
+`;
+
+const toFlag = (value) =>
+  value === null || value === undefined ? null : Number(Boolean(Number(value)));
+
+// Una fila por estación con disponibilidad conocida en un station_status.
+// El día de la semana y la hora se calculan en la hora local de Valladolid.
+const buildStationSnapshots = (status) => {
+  const timestamp = Number(status?.last_updated);
+  if (!timestamp) return [];
+
+  const date = moment.unix(timestamp).tz('Europe/Madrid');
+
+  return (status.data?.stations || [])
+    .filter(
+      (station) =>
+        station.num_bikes_available !== null &&
+        station.num_bikes_available !== undefined,
+    )
+    .map((station) => ({
+      stationId: String(station.station_id),
+      timestamp,
+      weekday: date.day(),
+      hour: date.hour(),
+      bikes: Number(station.num_bikes_available),
+      ebikes: getEbikesAvailable(station),
+      docks:
+        station.num_docks_available === null ||
+        station.num_docks_available === undefined
+          ? null
+          : Number(station.num_docks_available),
+      renting: toFlag(station.is_renting),
+      returning: toFlag(station.is_returning),
+    }));
+};
+
+const round = (value, decimals = 1) =>
+  Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Previsión por día de la semana y hora a partir de los estados agregados
+// de una estación, de lunes a domingo. Las probabilidades son el porcentaje
+// de estados en los que había al menos una bici que alquilar o un anclaje
+// libre en el que devolverla.
+const buildAvailabilityForecast = (rows) => {
+  const fromMonday = (weekday) => (weekday + 6) % 7;
+
+  return [...rows]
+    .sort(
+      (a, b) =>
+        fromMonday(a.weekday) - fromMonday(b.weekday) || a.hour - b.hour,
+    )
+    .map((row) => ({
+      dia: WEEKDAYS[row.weekday],
+      hora: row.hour,
+      observaciones: row.observations,
+      probabilidadBici: round((row.with_bikes / row.observations) * 100),
+      probabilidadAnclaje: row.dock_observations
+        ? round((row.with_docks / row.dock_observations) * 100)
+        : null,
+      mediaBicis: round(row.bikes),
+      mediaAnclajes: row.docks === null ? null : round(row.docks),
+    }));
+};
+
+// Histórico del estado de las estaciones GBFS sobre una base de datos SQLite
+const createStationHistory = ({
+  db,
+  retentionDays = DEFAULT_RETENTION_DAYS,
+  snapshotInterval = SNAPSHOT_INTERVAL,
+  now = () => Math.floor(Date.now() / 1000),
+}) => {
+  db.exec(SCHEMA);
+
+  const insertSnapshot = db.prepare(
+    `INSERT OR IGNORE INTO station_snapshots
+      (station_id, timestamp, weekday, hour, bikes, ebikes, docks,
+       is_renting, is_returning)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+  );
+  let lastSnapshot = 0;
+  let lastPrune = 0;
+
+  const prune = () => {
+    db.prepare('DELETE FROM station_snapshots WHERE timestamp < ?').run(
+      now() - retentionDays * 86400,
+    );
+    lastPrune = now();
+  };
+
+  // Guarda el estado de todas las estaciones de un station_status, salvo
+  // que el último guardado sea demasiado reciente
+  const record = (status) => {
+    const snapshots = buildStationSnapshots(status);
+    if (!snapshots.length) return false;
+
+    const [{ timestamp }] = snapshots;
+    if (timestamp - lastSnapshot < snapshotInterval) return false;
+
+    db.exec('BEGIN');
+    try {
+      snapshots.forEach((snapshot) =>
+        insertSnapshot.run(
+          snapshot.stationId,
+          snapshot.timestamp,
+          snapshot.weekday,
+          snapshot.hour,
+          snapshot.bikes,
+          snapshot.ebikes,
+          snapshot.docks,
+          snapshot.renting,
+          snapshot.returning,
+        ),
+      );
+      db.exec('COMMIT');
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw error;
+    }
+    lastSnapshot = timestamp;
+
+    if (now() - lastPrune >= PRUNE_INTERVAL) prune();
+    return true;
+  };
+
+  // Estados guardados de una estación entre `from` y `to` (segundos unix)
+  const getSnapshots = (stationId, { from, to }) =>
+    db
+      .prepare(
+        `SELECT timestamp, bikes, ebikes, docks, is_renting, is_returning
+          FROM station_snapshots
+          WHERE station_id = ? AND timestamp BETWEEN ? AND ?
+          ORDER BY timestamp`,
+      )
+      .all(stationId, from, to);
+
+  // Estados de una estación agregados por día de la semana y hora
+  const getHourlyAvailability = (stationId, { weekday, hour } = {}) => {
+    const conditions = ['station_id = ?'];
+    const params = [stationId];
+
+    if (weekday !== undefined) {
+      conditions.push('weekday = ?');
+      params.push(weekday);
+    }
+    if (hour !== undefined) {
+      conditions.push('hour = ?');
+      params.push(hour);
+    }
+
+    return db
+      .prepare(
+        `SELECT weekday, hour, COUNT(*) AS observations,
+            SUM(bikes > 0 AND COALESCE(is_renting, 1) = 1) AS with_bikes,
+            COUNT(docks) AS dock_observations,
+            SUM(docks > 0 AND COALESCE(is_returning, 1) = 1) AS with_docks,
+            AVG(bikes) AS bikes, AVG(docks) AS docks
+          FROM station_snapshots WHERE ${conditions.join(' AND ')}
+          GROUP BY weekday, hour`,
+      )
+      .all(...params);
+  };
+
+  return { getHourlyAvailability, getSnapshots, prune, record };
+};
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  SNAPSHOT_INTERVAL,
+  WEEKDAYS,
+  buildAvailabilityForecast,
+  buildStationSnapshots,
+  createStationHistory,
+};
@@ -0,0 +1,219 @@
+const { getAlertPeriods } = require('./alert-matching');
+
+const FEED_TITLE = 'Alertas del transporte público de Valladolid';
+
+// gtfsGetAlerts devuelve una alerta por entidad informada. En los feeds
+// publicamos una entrada por alerta con todas sus líneas y paradas.
+const groupFeedAlerts = (alerts) => {
+  const grouped = new Map();
+
+  alerts.forEach((alert) => {
+    const key = alert.id ?? alert.clave;
+    if (!grouped.has(key)) {
+      grouped.set(key, {
+        id: key,
+        causa: alert.cause ?? null,
+        efecto: alert.effect ?? null,
+        resumen: alert.resumen ?? null,
+        descripcion: alert.descripcion ?? null,
+        url: alert.url ?? null,
+        periodos: getAlertPeriods(alert),
+        lineas: [],
+        paradas: [],
+      });
+    }
+
+    const entry = grouped.get(key);
+    const { linea, parada } = alert.ruta || {};
+    if (linea && !entry.lineas.includes(linea)) entry.lineas.push(linea);
+    if (parada && !entry.paradas.includes(parada)) entry.paradas.push(parada);
+  });
+
+  return [...grouped.values()];
+};
+
+const getTitle = (alert) => alert.resumen || `Alerta ${alert.id}`;
+
+// Descripción con las líneas y paradas afectadas al final
+const getDescription = (alert) =>
+  [
+    alert.descripcion,
+    alert.lineas.length ? `Líneas: ${alert.lineas.join(', ')}.` : null,
+    alert.paradas.length ? `Paradas: ${alert.paradas.join(', ')}.` : null,
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+// Inicio del primer periodo de la alerta, si lo tiene
+const getStart = (alert) => {
+  const starts = alert.periodos
+    .map((period) => period.start)
+    .filter((start) => start !== null);
+  return starts.length ? Math.min(...starts) : null;
+};
+
+const escapeXml = (text) =>
+  String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const toIsoDate = (seconds) => new Date(seconds * 1000).toISOString();
+
+// RSS 2.0. La fecha de cada entrada es el inicio de su primer periodo.
+const buildRssFeed = (
+  alerts,
+  { title = FEED_TITLE, link, selfUrl, updated },
+) => {
+  const items = groupFeedAlerts(alerts).map((alert) => {
+    const start = getStart(alert);
+    return [
+      '    <item>',
+      `      <title>${escapeXml(getTitle(alert))}</title>`,
+      `      <link>${escapeXml(alert.url || link)}</link>`,
+      `      <guid isPermaLink="false">${escapeXml(alert.id)}</guid>`,
+      `      <description>${escapeXml(getDescription(alert))}</description>`,
+      ...alert.lineas.map(
+        (linea) => `      <category>${escapeXml(`Línea ${linea}`)}</category>`,
+      ),
+      start !== null
+        ? `      <pubDate>${new Date(start * 1000).toUTCString()}</pubDate>`
+        : null,
+      '    </item>',
+    ]
+      .filter(Boolean)
+      .join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(title)}</title>`,
+    `    <link>${escapeXml(link)}</link>`,
+    `    <description>${escapeXml(title)}</description>`,
+    '    <language>es</language>',
+    `    <lastBuildDate>${new Date(updated * 1000).toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+};
+
+// Atom 1.0. Las entradas sin periodos usan la fecha de actualización del
+// feed, porque Atom exige una en cada entrada.
+const buildAtomFeed = (
+  alerts,
+  { title = FEED_TITLE, link, selfUrl, updated },
+) => {
+  const entries = groupFeedAlerts(alerts).map((alert) =>
+    [
+      '  <entry>',
+      `    <title>${escapeXml(getTitle(alert))}</title>`,
+      `    <id>${escapeXml(`${selfUrl}#${alert.id}`)}</id>`,
+      `    <link href="${escapeXml(alert.url || link)}"/>`,
+      `    <updated>${toIsoDate(getStart(alert) ?? updated)}</updated>`,
+      `    <summary>${escapeXml(getDescription(alert))}</summary>`,
+      ...alert.lineas.map(
+        (linea) => `    <category term="${escapeXml(`Línea ${linea}`)}"/>`,
+      ),
+      '  </entry>',
+    ].join('\n'),
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="es">',
+    `  <title>${escapeXml(title)}</title>`,
+    `  <id>${escapeXml(selfUrl)}</id>`,
+    `  <link href="${escapeXml(selfUrl)}" rel="self"/>`,
+    `  <link href="${escapeXml(link)}"/>`,
+    `  <updated>${toIsoDate(updated)}</updated>`,
+    '  <author><name>VallaBus</name></author>',
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n');
+};
+
+const escapeIcs = (text) =>
+  String(text ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const toIcsDate = (seconds) =>
+  toIsoDate(seconds)
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+
+// Las líneas de un iCalendar no deben pasar de 75 octetos; las siguientes
+// se continúan con un espacio al inicio
+const foldIcsLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// iCalendar con un evento por cada periodo de vigencia de cada alerta. Los
+// periodos sin inicio no se pueden situar en el calendario y se omiten; los
+// que no tienen fin se publican sin DTEND.
+const buildCalendar = (alerts, { title = FEED_TITLE, domain, updated }) => {
+  const events = groupFeedAlerts(alerts).flatMap((alert) =>
+    alert.periodos
+      .filter((period) => period.start !== null)
+      .map((period) =>
+        [
+          'BEGIN:VEVENT',
+          `UID:${escapeIcs(`${alert.id}-${period.start}@${domain}`)}`,
+          `DTSTAMP:${toIcsDate(updated)}`,
+          `DTSTART:${toIcsDate(period.start)}`,
+          period.end !== null ? `DTEND:${toIcsDate(period.end)}` : null,
+          `SUMMARY:${escapeIcs(getTitle(alert))}`,
+          `DESCRIPTION:${escapeIcs(getDescription(alert))}`,
+          alert.url ? `URL:${alert.url}` : null,
+          alert.lineas.length
+            ? `CATEGORIES:${alert.lineas.map((linea) => escapeIcs(`Línea ${linea}`)).join(',')}`
+            : null,
+          'END:VEVENT',
+        ].filter(Boolean),
+      ),
+  );
+
+  return `${[
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//VallaBus//api-auvasa//ES',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcs(title)}`,
+    ...events.flat(),
+    'END:VCALENDAR',
+  ]
+    .map(foldIcsLine)
+    .join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  FEED_TITLE,
+  buildAtomFeed,
+  buildCalendar,
+  buildRssFeed,
+  groupFeedAlerts,
+};
@@ -0,0 +1,153 @@
+const GtfsRealtimeBindings = require('gtfs-realtime-bindings');
+
+// Nombres del enum Effect de GTFS-RT por su valor numérico
+const ALERT_EFFECT_NAMES = new Map(
+  Object.entries(GtfsRealtimeBindings.transit_realtime.Alert.Effect).map(
+    ([name, value]) => [value, name],
+  ),
+);
+
+// Los feeds pueden traer el efecto de una alerta como nombre del enum o como
+// su valor numérico. Devolvemos siempre el nombre.
+const normalizeAlertEffect = (effect) => {
+  if (effect === null || effect === undefined || effect === '') return null;
+
+  const value = Number(effect);
+  if (!Number.isInteger(value)) return String(effect);
+
+  return ALERT_EFFECT_NAMES.get(value) ?? 'UNKNOWN_EFFECT';
+};
+
+// Periodos de vigencia de una alerta en segundos unix. `active_period`
+// llega como JSON desde la base de datos o ya como array. Un inicio o fin
+// vacío (o 0) deja el periodo abierto por ese lado.
+const getAlertPeriods = (alert) => {
+  let periods = alert.active_period;
+  if (typeof periods === 'string') {
+    try {
+      periods = JSON.parse(periods);
+    } catch {
+      periods = null;
+    }
+  }
+
+  return (Array.isArray(periods) ? periods : [])
+    .filter((period) => period && typeof period === 'object')
+    .map((period) => ({
+      start: Number(period.start) || null,
+      end: Number(period.end) || null,
+    }));
+};
+
+// Si la alerta está vigente en algún momento entre `from` y `to`. Sin
+// periodos la alerta está siempre vigente.
+const isAlertActive = (alert, { from, to = from }) => {
+  const periods = getAlertPeriods(alert);
+  if (!periods.length) return true;
+
+  return periods.some(
+    ({ start, end }) => (start ?? -Infinity) <= to && (end ?? Infinity) >= from,
+  );
+};
+
+// Si la alerta tiene algún periodo que todavía no ha empezado
+const isAlertUpcoming = (alert, now) =>
+  getAlertPeriods(alert).some(({ start }) => start !== null && start > now);
+
+// Filtra las alertas de gtfsGetAlerts por línea, parada, agencia, efecto y
+// vigencia: `now` (vigentes ahora), `future` (con algún periodo que aún no
+// ha empezado) o `all`
+const filterAlerts = (
+  alerts,
+  { linea, parada, agencia, efecto, activas = 'all', now },
+) =>
+  alerts.filter((alert) => {
+    if (linea && String(alert.ruta?.linea) !== String(linea)) return false;
+    if (parada && String(alert.ruta?.parada) !== String(parada)) return false;
+    if (agencia && String(alert.ruta?.agencia) !== String(agencia)) {
+      return false;
+    }
+    if (efecto && alert.effect !== efecto) return false;
+    if (activas === 'now') return isAlertActive(alert, { from: now });
+    if (activas === 'future') return isAlertUpcoming(alert, now);
+    return true;
+  });
+
+// Resumen de una alerta para incluirla en otras respuestas
+const summarizeAlert = (alert) => ({
+  id: alert.id ?? null,
+  causa: alert.cause ?? null,
+  efecto: alert.effect ?? null,
+  resumen: alert.resumen ?? null,
+  descripcion: alert.descripcion ?? null,
+  url: alert.url ?? null,
+  periodos: getAlertPeriods(alert),
+});
+
+// gtfsGetAlerts devuelve una alerta por entidad informada: nos quedamos con
+// una por id
+const selectAlerts = (alerts, predicate) => {
+  const seen = new Set();
+
+  return alerts.filter((alert) => {
+    if (!predicate(alert)) return false;
+
+    const key = alert.id ?? `${alert.resumen}|${alert.descripcion}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Alertas de una parada: las que la informan (con o sin línea) y las
+// generales, que no informan ni línea ni parada
+const getStopAlerts = (alerts, stopCode, period) =>
+  selectAlerts(alerts, (alert) => {
+    const parada = alert.ruta?.parada ?? null;
+    const routeId = alert.ruta?.gtfsRouteId ?? null;
+    const informsStop =
+      parada !== null ? String(parada) === String(stopCode) : routeId === null;
+    return informsStop && isAlertActive(alert, period);
+  }).map(summarizeAlert);
+
+// Alertas de una línea: las que la informan sin parada y, si se indica
+// `stopCode`, también las de la línea en esa parada
+const getRouteAlerts = (alerts, routeId, { stopCode = null, period }) =>
+  selectAlerts(alerts, (alert) => {
+    const parada = alert.ruta?.parada ?? null;
+    const alertRouteId = alert.ruta?.gtfsRouteId ?? null;
+    return (
+      alertRouteId !== null &&
+      String(alertRouteId) === String(routeId) &&
+      (parada === null ||
+        (stopCode !== null && String(parada) === String(stopCode))) &&
+      isAlertActive(alert, period)
+    );
+  }).map(summarizeAlert);
+
+// Alertas de una parada dentro de una línea: las que informan la parada para
+// esa línea o para todas. Las de toda la línea van aparte.
+const getLineStopAlerts = (alerts, routeId, stopCode, period) =>
+  selectAlerts(alerts, (alert) => {
+    const parada = alert.ruta?.parada ?? null;
+    const alertRouteId = alert.ruta?.gtfsRouteId ?? null;
+    return (
+      parada !== null &&
+      String(parada) === String(stopCode) &&
+      (alertRouteId === null || String(alertRouteId) === String(routeId)) &&
+      isAlertActive(alert, period)
+    );
+  }).map(summarizeAlert);
+
+module.exports = {
+  filterAlerts,
+  getAlertPeriods,
+  getLineStopAlerts,
+  getRouteAlerts,
+  getStopAlerts,
+  isAlertActive,
+  isAlertUpcoming,
+  normalizeAlertEffect,
+  selectAlerts,
+  summarizeAlert,
+};
@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Esperas antes de cada reintento de una entrega fallida (en ms). Tras el
+// último, la entrega se guarda en el registro de entregas fallidas.
+const DEFAULT_RETRY_DELAYS = [10000, 60000, 300000];
+const DEFAULT_TIMEOUT = 10000;
+const SIGNATURE_HEADER = 'X-Signature-256';
+
+// Respuestas que indican un fallo temporal del receptor. El resto de 4xx no
+// se reintentan porque volverían a fallar igual.
+const isRetryableStatus = (status) =>
+  status === 408 || status === 429 || status >= 500;
+
+// Firma HMAC-SHA256 del cuerpo con el secreto del webhook
+const signPayload = (body, secret) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+// Valida los webhooks configurados: cada uno necesita una URL http(s) y un
+// secreto. Los filtros de líneas y paradas son opcionales.
+const normalizeWebhooks = (webhooks, { onInvalid = () => {} } = {}) =>
+  (Array.isArray(webhooks) ? webhooks : []).flatMap((webhook, index) => {
+    let url;
+    try {
+      url = new URL(webhook?.url);
+    } catch {
+      url = null;
+    }
+
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      onInvalid(index, 'URL no válida');
+      return [];
+    }
+    if (!webhook.secreto) {
+      onInvalid(index, 'falta el secreto');
+      return [];
+    }
+
+    return [
+      {
+        url: url.href,
+        secreto: String(webhook.secreto),
+        lineas: (webhook.lineas || []).map(String),
+        paradas: (webhook.paradas || []).map(String),
+      },
+    ];
+  });
+
+// Lee los webhooks del archivo JSON de configuración
+const readWebhooksConfig = (path) =>
+  normalizeWebhooks(JSON.parse(fs.readFileSync(path, 'utf8')), {
+    onInvalid: (index, reason) =>
+      console.error(`Webhook de alertas ${index} ignorado: ${reason}`),
+  });
+
+// Sin filtros, el webhook recibe todas las alertas. Con filtros, solo las
+// que informan alguna de sus líneas o paradas.
+const matchesWebhook = ({ lineas, paradas }, alert) =>
+  (!lineas.length && !paradas.length) ||
+  lineas.includes(String(alert.ruta?.linea)) ||
+  paradas.includes(String(alert.ruta?.parada));
+
+// La clave de deduplicación cambia con el contenido de la alerta. Para
+// distinguir una alerta modificada de una nueva usamos su id y la entidad
+// informada; sin id solo tenemos la clave.
+const getAlertIdentity = (alert) =>
+  alert.id == null
+    ? `clave:${alert.clave}`
+    : [
+        alert.id,
+        alert.ruta?.gtfsRouteId,
+        alert.ruta?.parada,
+        alert.ruta?.agencia,
+      ]
+        .map((value) => value ?? '')
+        .join('|');
+
+// Cambios entre dos listados de alertas (con el formato de gtfsGetAlerts):
+// `nueva`, `modificada` (con la versión `anterior`) o `eliminada`
+const diffAlerts = (previous, current) => {
+  const previousKeys = new Set(previous.map((alert) => alert.clave));
+  const currentKeys = new Set(current.map((alert) => alert.clave));
+  const removed = new Map();
+  previous
+    .filter((alert) => !currentKeys.has(alert.clave))
+    .forEach((alert) => {
+      const identity = getAlertIdentity(alert);
+      if (!removed.has(identity)) removed.set(identity, []);
+      removed.get(identity).push(alert);
+    });
+
+  const changes = [];
+  current
+    .filter((alert) => !previousKeys.has(alert.clave))
+    .forEach((alert) => {
+      const anterior = removed.get(getAlertIdentity(alert))?.shift();
+      changes.push(
+        anterior
+          ? { tipo: 'modificada', alerta: alert, anterior }
+          : { tipo: 'nueva', alerta: alert },
+      );
+    });
+  removed.forEach((alerts) =>
+    alerts.forEach((alert) =>
+      changes.push({ tipo: 'eliminada', alerta: alert }),
+    ),
+  );
+
+  return changes;
+};
+
+// Envía un POST firmado a cada webhook interesado cuando una alerta aparece,
+// cambia o desaparece. Cada entrega se reintenta según `retryDelays` y, si
+// sigue fallando, se anota en `deadLetterPath`. Con `testPath` las entregas
+// se escriben en ese archivo en lugar de enviarse.
+const createAlertWebhooks = ({
+  webhooks,
+  deadLetterPath,
+  testPath = null,
+  retryDelays = DEFAULT_RETRY_DELAYS,
+  timeout = DEFAULT_TIMEOUT,
+  fetch = globalThis.fetch,
+  appendFile = fs.promises.appendFile,
+  setTimer = setTimeout,
+  now = () => new Date(),
+  onError = () => {},
+}) => {
+  // Alertas de la última actualización. La primera solo sirve de referencia
+  // para no avisar de todas las alertas cada vez que arranca el servidor.
+  let previous = null;
+
+  const appendLine = (path, entry) =>
+    appendFile(path, `${JSON.stringify(entry)}\n`);
+
+  const send = async (webhook, body, headers) => {
+    if (testPath) {
+      await appendLine(testPath, {
+        url: webhook.url,
+        headers,
+        payload: JSON.parse(body),
+      });
+      return;
+    }
+
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(timeout),
+    });
+    if (!response.ok) {
+      const error = new Error(`El webhook respondió ${response.status}`);
+      error.retryable = isRetryableStatus(response.status);
+      throw error;
+    }
+  };
+
+  const deliver = (webhook, payload, attempt = 1) => {
+    const body = JSON.stringify(payload);
+    const headers = {
+      'Content-Type': 'application/json',
+      [SIGNATURE_HEADER]: signPayload(body, webhook.secreto),
+    };
+
+    return send(webhook, body, headers).catch((error) => {
+      if (error.retryable !== false && attempt <= retryDelays.length) {
+        setTimer(
+          () => deliver(webhook, payload, attempt + 1),
+          retryDelays[attempt - 1],
+        );
+        return;
+      }
+
+      return appendLine(deadLetterPath, {
+        fecha: now().toISOString(),
+        url: webhook.url,
+        intentos: attempt,
+        error: error.message,
+        payload,
+      }).catch(onError);
+    });
+  };
+
+  // Compara las alertas con las de la actualización anterior y entrega los
+  // cambios. Devuelve una promesa que se resuelve tras el primer intento de
+  // cada entrega.
+  const update = (alerts) => {
+    const current = alerts.filter((alert) => alert.clave);
+    if (!previous) {
+      previous = current;
+      return Promise.resolve([]);
+    }
+
+    const changes = diffAlerts(previous, current);
+    previous = current;
+
+    const deliveries = changes.flatMap((change) =>
+      webhooks
+        .filter((webhook) => matchesWebhook(webhook, change.alerta))
+        .map((webhook) =>
+          deliver(webhook, {
+            id: crypto.randomUUID(),
+            tipo: change.tipo,
+            fecha: now().toISOString(),
+            alerta: change.alerta,
+            anterior: change.anterior ?? null,
+          }),
+        ),
+    );
+
+    return Promise.all(deliveries).then(() => changes);
+  };
+
+  return { update };
+};
+
+module.exports = {
+  DEFAULT_RETRY_DELAYS,
+  SIGNATURE_HEADER,
+  createAlertWebhooks,
+  diffAlerts,
+  matchesWebhook,
+  normalizeWebhooks,
+  readWebhooksConfig,
+  signPayload,
+};
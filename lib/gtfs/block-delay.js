@@ -0,0 +1,48 @@
+// Tiempo mínimo (en segundos) que el vehículo pasa en cabecera entre dos
+// viajes de su bloque, aunque llegue con retraso
+const DEFAULT_MIN_LAYOVER = 120;
+
+// Viajes de cada bloque (block_id) ordenados por hora de salida. Los bloques
+// solo son únicos dentro de una agencia, así que la clave incluye ambos.
+const buildBlockIndex = (tripsById, tripSpans, getAgencyId) => {
+  const blocks = new Map();
+
+  tripsById.forEach((trip, tripId) => {
+    const span = tripSpans.get(tripId);
+    if (!trip.block_id || !span) return;
+
+    const key = `${getAgencyId(trip)}:${trip.block_id}`;
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push({ tripId, ...span });
+  });
+
+  blocks.forEach((trips) => trips.sort((a, b) => a.start - b.start));
+  return blocks;
+};
+
+// Viaje del bloque que termina justo antes de que salga `tripId`
+const getPreviousBlockTrip = (blockTrips, tripId) => {
+  const index = blockTrips.findIndex((trip) => trip.tripId === tripId);
+  return index > 0 ? blockTrips[index - 1] : null;
+};
+
+// Retraso con el que saldrá el siguiente viaje del bloque: el vehículo llega
+// a cabecera con `delay` segundos de retraso y necesita al menos
+// `minLayover` segundos antes de volver a salir. Si el descanso programado
+// absorbe el retraso, el viaje sale a su hora.
+const getCarriedDelay = ({
+  previousEnd,
+  delay,
+  nextStart,
+  minLayover = DEFAULT_MIN_LAYOVER,
+}) => {
+  if (!delay || delay <= 0) return 0;
+  return Math.max(0, previousEnd + delay + minLayover - nextStart);
+};
+
+module.exports = {
+  DEFAULT_MIN_LAYOVER,
+  buildBlockIndex,
+  getCarriedDelay,
+  getPreviousBlockTrip,
+};
@@ -0,0 +1,113 @@
+// Franjas horarias en las que suele cambiar el comportamiento del tráfico
+// (hora de inicio de cada una)
+const TIME_BANDS = [
+  { id: 'madrugada', from: 0 },
+  { id: 'puntaManana', from: 7 },
+  { id: 'manana', from: 10 },
+  { id: 'mediodia', from: 13 },
+  { id: 'tarde', from: 16 },
+  { id: 'noche', from: 20 },
+];
+// Por debajo de este número de observaciones no nos fiamos de un tramo
+const MIN_OBSERVATIONS = 5;
+// Días de histórico con los que se entrena el modelo
+const DEFAULT_TRAINING_DAYS = 28;
+
+// Franja horaria de una hora (0-23) o de unos segundos desde el inicio del
+// día de servicio, que pueden pasar de 24:00
+const getTimeBand = ({ hour, seconds }) => {
+  const value = hour ?? Math.floor(seconds / 3600) % 24;
+  return TIME_BANDS.findLast((band) => value >= band.from).id;
+};
+
+const getSegmentKey = (routeShortName, fromStopId, toStopId, band) =>
+  `${routeShortName}|${fromStopId}|${toStopId}|${band}`;
+
+// Crecimiento medio del retraso en cada tramo entre dos paradas, por línea y
+// franja horaria, y para todo el día. `rows` viene agrupado por hora con
+// el número de observaciones y el crecimiento medio (en segundos).
+const trainDelayModel = (rows) => {
+  const totals = new Map();
+  const add = (key, observations, growth) => {
+    const total = totals.get(key) || { observations: 0, sum: 0 };
+    total.observations += observations;
+    total.sum += growth * observations;
+    totals.set(key, total);
+  };
+
+  rows.forEach((row) => {
+    const { route_short_name: line, from_stop_id: from, to_stop_id: to } = row;
+    const band = getTimeBand({ hour: row.hour });
+    add(getSegmentKey(line, from, to, band), row.observations, row.growth);
+    add(getSegmentKey(line, from, to, '*'), row.observations, row.growth);
+  });
+
+  const segments = new Map();
+  totals.forEach(({ observations, sum }, key) => {
+    segments.set(key, { observations, growth: sum / observations });
+  });
+  return { segments };
+};
+
+// Crecimiento esperado del retraso entre dos paradas consecutivas, o null
+// si no hay histórico suficiente
+const getSegmentGrowth = (
+  model,
+  { routeShortName, fromStopId, toStopId, time },
+) => {
+  if (!model) return null;
+
+  const keys = [
+    getSegmentKey(
+      routeShortName,
+      fromStopId,
+      toStopId,
+      getTimeBand({ seconds: time }),
+    ),
+    getSegmentKey(routeShortName, fromStopId, toStopId, '*'),
+  ];
+
+  for (const key of keys) {
+    const segment = model.segments.get(key);
+    if (segment && segment.observations >= MIN_OBSERVATIONS) {
+      return segment.growth;
+    }
+  }
+  return null;
+};
+
+// Retraso previsto en `stops[toIndex]` a partir del conocido en
+// `stops[fromIndex]`. Las paradas van ordenadas por stop_sequence con su
+// stopId y scheduledTime. Si la parada es anterior se descuenta el
+// crecimiento. Los tramos sin histórico no cambian el retraso, que es lo que
+// se hacía antes de tener el modelo.
+const predictDelay = (
+  model,
+  { routeShortName, stops, fromIndex, toIndex, delay },
+) => {
+  const start = Math.min(fromIndex, toIndex);
+  const end = Math.max(fromIndex, toIndex);
+  let growth = 0;
+
+  for (let i = start; i < end; i++) {
+    growth +=
+      getSegmentGrowth(model, {
+        routeShortName,
+        fromStopId: stops[i].stopId,
+        toStopId: stops[i + 1].stopId,
+        time: stops[i].scheduledTime,
+      }) ?? 0;
+  }
+
+  return Math.round(toIndex >= fromIndex ? delay + growth : delay - growth);
+};
+
+module.exports = {
+  DEFAULT_TRAINING_DAYS,
+  MIN_OBSERVATIONS,
+  TIME_BANDS,
+  getSegmentGrowth,
+  getTimeBand,
+  predictDelay,
+  trainDelayModel,
+};
@@ -0,0 +1,112 @@
+const EARTH_RADIUS_METERS = 6371008.8;
+const METERS_PER_DEGREE_LATITUDE = 111320;
+const DEFAULT_CELL_SIZE_METERS = 250;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Distancia en metros entre dos coordenadas (fórmula del haversine)
+const haversineDistance = (latA, lonA, latB, lonB) => {
+  const deltaLat = toRadians(latB - latA);
+  const deltaLon = toRadians(lonB - lonA);
+  const a =
+    Math.sin(deltaLat / 2) ** 2 +
+    Math.cos(toRadians(latA)) *
+      Math.cos(toRadians(latB)) *
+      Math.sin(deltaLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Rumbo en grados (0 norte, 90 este) para ir de A a B
+const getBearing = (latA, lonA, latB, lonB) => {
+  const deltaLon = toRadians(lonB - lonA);
+  const y = Math.sin(deltaLon) * Math.cos(toRadians(latB));
+  const x =
+    Math.cos(toRadians(latA)) * Math.sin(toRadians(latB)) -
+    Math.sin(toRadians(latA)) * Math.cos(toRadians(latB)) * Math.cos(deltaLon);
+
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+};
+
+const isValidCoordinate = (lat, lon) =>
+  Number.isFinite(lat) &&
+  Number.isFinite(lon) &&
+  Math.abs(lat) <= 90 &&
+  Math.abs(lon) <= 180;
+
+// Índice espacial en rejilla: agrupa los elementos en celdas de tamaño fijo
+// para que una búsqueda por radio solo revise las celdas cercanas en lugar
+// de recorrer todas las paradas.
+const createSpatialIndex = (
+  items,
+  {
+    getLat = (item) => item.lat,
+    getLon = (item) => item.lon,
+    cellSize = DEFAULT_CELL_SIZE_METERS,
+  } = {},
+) => {
+  const cellDegrees = cellSize / METERS_PER_DEGREE_LATITUDE;
+  const cells = new Map();
+  let size = 0;
+
+  const getCellKey = (row, column) => `${row}:${column}`;
+
+  for (const item of items) {
+    const lat = Number(getLat(item));
+    const lon = Number(getLon(item));
+    if (!isValidCoordinate(lat, lon)) continue;
+
+    const key = getCellKey(
+      Math.floor(lat / cellDegrees),
+      Math.floor(lon / cellDegrees),
+    );
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push({ item, lat, lon });
+    size++;
+  }
+
+  // Devuelve los elementos a menos de `radius` metros ordenados por distancia
+  const within = (lat, lon, radius) => {
+    if (!isValidCoordinate(lat, lon) || !(radius >= 0)) return [];
+
+    const latSpan = radius / METERS_PER_DEGREE_LATITUDE;
+    const lonSpan =
+      radius /
+      (METERS_PER_DEGREE_LATITUDE * Math.max(Math.cos(toRadians(lat)), 0.01));
+    const minRow = Math.floor((lat - latSpan) / cellDegrees);
+    const maxRow = Math.floor((lat + latSpan) / cellDegrees);
+    const minColumn = Math.floor((lon - lonSpan) / cellDegrees);
+    const maxColumn = Math.floor((lon + lonSpan) / cellDegrees);
+    const results = [];
+
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let column = minColumn; column <= maxColumn; column++) {
+        const cell = cells.get(getCellKey(row, column));
+        if (!cell) continue;
+
+        for (const entry of cell) {
+          const distance = haversineDistance(lat, lon, entry.lat, entry.lon);
+          if (distance <= radius) {
+            results.push({ item: entry.item, distance });
+          }
+        }
+      }
+    }
+
+    return results.sort((a, b) => a.distance - b.distance);
+  };
+
+  return {
+    size,
+    within,
+  };
+};
+
+module.exports = {
+  DEFAULT_CELL_SIZE_METERS,
+  EARTH_RADIUS_METERS,
+  createSpatialIndex,
+  getBearing,
+  haversineDistance,
+  isValidCoordinate,
+};
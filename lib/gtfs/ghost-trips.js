@@ -0,0 +1,105 @@
+// Margen tras la salida programada antes de dar un viaje por no iniciado
+const DEFAULT_GRACE_PERIOD = 5 * 60;
+
+// ScheduleRelationship de GTFS-RT: según el importador llega como texto o
+// número (3 = CANCELED)
+const isCanceled = (scheduleRelationship) =>
+  scheduleRelationship === 'CANCELED' || scheduleRelationship === 3;
+
+// Datos en tiempo real disponibles de cada viaje
+const buildRealtimeTripIndex = (tripUpdates, vehiclePositions) => {
+  const trips = new Map();
+  const getTrip = (tripId) => {
+    if (!trips.has(tripId)) {
+      trips.set(tripId, {
+        canceled: false,
+        hasTripUpdate: false,
+        hasVehiclePosition: false,
+      });
+    }
+    return trips.get(tripId);
+  };
+
+  tripUpdates.forEach((tripUpdate) => {
+    if (!tripUpdate.trip_id) return;
+    const trip = getTrip(tripUpdate.trip_id);
+    if (isCanceled(tripUpdate.schedule_relationship)) {
+      trip.canceled = true;
+    } else {
+      trip.hasTripUpdate = true;
+    }
+  });
+  vehiclePositions.forEach((position) => {
+    if (!position.trip_id) return;
+    getTrip(position.trip_id).hasVehiclePosition = true;
+  });
+
+  return trips;
+};
+
+// Primera salida y última llegada de cada viaje, en segundos desde el inicio
+// del día de servicio
+const getTripSpans = (connections) => {
+  const spans = new Map();
+  connections.forEach(({ tripId, departure, arrival }) => {
+    const span = spans.get(tripId);
+    if (!span) {
+      spans.set(tripId, { start: departure, end: arrival });
+      return;
+    }
+    span.start = Math.min(span.start, departure);
+    span.end = Math.max(span.end, arrival);
+  });
+  return spans;
+};
+
+// Viajes en curso según su horario. Cada día de servicio es { day, time },
+// con los tripSpans del día y la hora actual en segundos desde su inicio
+// (más de 24 horas en el día anterior). Devuelve un Map trip_id -> día de
+// servicio; si un viaje está en curso en dos días se queda el primero.
+const getRunningTrips = (serviceDays) => {
+  const running = new Map();
+  serviceDays.forEach((serviceDay) => {
+    serviceDay.day.tripSpans.forEach((span, tripId) => {
+      if (running.has(tripId)) return;
+      if (span.start <= serviceDay.time && serviceDay.time <= span.end) {
+        running.set(tripId, serviceDay);
+      }
+    });
+  });
+  return running;
+};
+
+// Estado de un viaje programado:
+// - cancelado: el feed lo marca como CANCELED
+// - en_servicio: tiene trip update o posición de vehículo
+// - probablemente_sin_servicio: debería haber salido hace más de
+//   `gracePeriod` segundos y no hay ningún dato en tiempo real
+// - programado: todavía no debería haber salido
+// null si ya ha terminado o si su agencia no publica tiempo real ahora mismo
+const classifyTrip = ({
+  realtime,
+  span,
+  now,
+  covered,
+  gracePeriod = DEFAULT_GRACE_PERIOD,
+}) => {
+  if (realtime?.canceled) return 'cancelado';
+  if (realtime?.hasTripUpdate || realtime?.hasVehiclePosition) {
+    return 'en_servicio';
+  }
+  if (!covered || !span) return null;
+  if (now < span.start + gracePeriod) return 'programado';
+  if (now > span.end) return null;
+
+  return 'probablemente_sin_servicio';
+};
+
+module.exports = {
+  DEFAULT_GRACE_PERIOD,
+  buildRealtimeTripIndex,
+  classifyTrip,
+  getRunningTrips,
+  getTripSpans,
+  isCanceled,
+};
@@ -12,18 +12,146 @@ const {
   GTFS_RT_RETRY_DELAY,
   GTFS_STATIC_REFRESH_RATE,
   GTFS_RT_CACHE,
+  GTFS_DIR,
+  GTFS_RT_ARCHIVE,
+  GTFS_RT_ARCHIVE_RETENTION_DAYS,
+  GTFS_BLOCK_MIN_LAYOVER,
+  GTFS_ALERT_WEBHOOKS,
+  GTFS_ALERT_WEBHOOKS_DEAD_LETTER,
+  GTFS_ALERT_WEBHOOKS_TEST_FILE,
 } = environment;
 const gtfsConfig = require('./config');
 const {
   updateRealtimeWithQualityRetry,
 } = require('./realtime-quality');
 const { createRealtimeScheduler } = require('./realtime-scheduler');
+const { createStopStreamHub } = require('./stop-stream');
+const { createVehicleFeedHub } = require('./vehicle-feed');
+const { getNextStopTime, vehiclesToGeoJSON } = require('./vehicles');
+const {
+  buildStopArrivals,
+  summarizeDirection,
+  toHeadwayMinutes,
+} = require('./regularity');
+const { findSuspendedStops } = require('./suspended-stops');
+const { createAlertWebhooks, readWebhooksConfig } = require('./alert-webhooks');
+const { buildAtomFeed, buildCalendar, buildRssFeed } = require('./alert-feeds');
+const {
+  filterAlerts,
+  getAlertPeriods,
+  getLineStopAlerts,
+  getRouteAlerts,
+  getStopAlerts,
+  isAlertActive,
+  normalizeAlertEffect,
+} = require('./alert-matching');
+const {
+  DEFAULT_TRAINING_DAYS,
+  predictDelay,
+  trainDelayModel,
+} = require('./delay-predictor');
+const {
+  DEFAULT_MIN_LAYOVER,
+  buildBlockIndex,
+  getCarriedDelay,
+  getPreviousBlockTrip,
+} = require('./block-delay');
+const {
+  buildRealtimeTripIndex,
+  classifyTrip,
+  getRunningTrips,
+  getTripSpans,
+} = require('./ghost-trips');
+const {
+  buildAlertEntities,
+  buildFeedMessage,
+  buildTripUpdateEntities,
+  buildVehiclePositionEntities,
+  encodeFeedMessage,
+  feedMessageToJSON,
+} = require('./realtime-feed');
+const {
+  DEFAULT_RETENTION_DAYS,
+  buildDelayObservations,
+  createRealtimeArchive,
+  summarizePunctuality,
+} = require('./realtime-archive');
+const { createSpatialIndex, haversineDistance } = require('./geo');
+const {
+  buildShapeLine,
+  estimateVehicle,
+  getShapeCoordinates,
+  locateStops,
+  trackVehicle,
+} = require('./shape-progress');
+const {
+  createStopSearchIndex,
+  normalizeStopName,
+} = require('./stop-search');
+const {
+  buildTimetable,
+  compareLines,
+  formatLine,
+  getLineDirections,
+  selectLineRoute,
+  timeToSeconds,
+} = require('./lines');
+const {
+  DEFAULT_MAX_ACCESS_DISTANCE,
+  DEFAULT_MAX_DURATION,
+  DEFAULT_MAX_TRANSFER_DISTANCE,
+  applyTripDelays,
+  buildConnections,
+  getDelayAtSequence,
+  getTripDelays,
+  getWalkingTime,
+  planJourneys,
+} = require('./journey-planner');
+const {
+  DEFAULT_MAX_STATION_DISTANCE,
+  findBikeRides,
+  getBikeRideLegs,
+} = require('../gbfs/bike-rides');
 const moment = require('moment-timezone');
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
 const { importGtfs } = require('./helpers/import');
 const { updateGtfsHealth } = require('../../routes/health');
 
 let gtfs;
 let staticUpdateInProgress = false;
+// Índices de paradas (espacial y de búsqueda por nombre), se reconstruyen
+// tras cada importación estática
+let stopsSpatialIndex = null;
+let stopsSearchIndex = null;
+let stopsById = new Map();
+const DEFAULT_NEARBY_RADIUS = 500;
+// Avisa a quien lo necesite (streams de paradas, etc.) cada vez que termina
+// correctamente una importación GTFS-RT
+const realtimeEvents = new EventEmitter();
+realtimeEvents.setMaxListeners(0);
+// Histórico de retrasos, activado por defecto
+let realtimeArchive = null;
+// Predictor de retrasos entrenado con el histórico
+let delayModel = null;
+// Webhooks que reciben los cambios en las alertas, si están configurados
+let alertWebhooks = null;
+const configuredArchiveRetentionDays = Number.parseInt(
+  GTFS_RT_ARCHIVE_RETENTION_DAYS,
+  10,
+);
+const archiveRetentionDays =
+  Number.isInteger(configuredArchiveRetentionDays) &&
+  configuredArchiveRetentionDays > 0
+    ? configuredArchiveRetentionDays
+    : DEFAULT_RETENTION_DAYS;
+// Descanso mínimo en cabecera al propagar retrasos al siguiente viaje del
+// bloque
+const configuredMinLayover = Number.parseInt(GTFS_BLOCK_MIN_LAYOVER, 10);
+const blockMinLayover =
+  Number.isInteger(configuredMinLayover) && configuredMinLayover >= 0
+    ? configuredMinLayover
+    : DEFAULT_MIN_LAYOVER;
 const counters = {
   changes: 0,
   total: 0,
@@ -72,6 +200,10 @@ const initializeGtfs = async () => {
           console.log('🔄 Actualizando GTFS estático (descarga + reimportación SQLite)...');
           await importGtfs();
           invalidateActiveServiceIdsCache();
+          journeyConnectionsCache.clear();
+          tripRoutesCache.clear();
+          updateDelayModel();
+          await rebuildStopsIndexes();
           console.log('✅ GTFS estático actualizado y reimportado correctamente');
         } catch (error) {
           console.error('Error al importar estáticos importGtfs():', error);
@@ -94,6 +226,41 @@ const initializeGtfs = async () => {
       };
       scheduleStaticUpdate();
 
+      // Archivar cada importación GTFS-RT válida
+      if (GTFS_RT_ARCHIVE !== 'False') {
+        try {
+          const { DatabaseSync } = require('node:sqlite');
+          realtimeArchive = createRealtimeArchive({
+            db: new DatabaseSync(`${GTFS_DIR}/archive.sqlite`),
+            retentionDays: archiveRetentionDays,
+          });
+          onRealtimeUpdate(archiveRealtimeSnapshot);
+          onRealtimeUpdate(archiveAlerts);
+          updateDelayModel();
+        } catch (error) {
+          console.error('Error al abrir el histórico GTFS-RT:', error);
+        }
+      }
+
+      // Avisar a los webhooks configurados de los cambios en las alertas
+      if (GTFS_ALERT_WEBHOOKS) {
+        try {
+          alertWebhooks = createAlertWebhooks({
+            webhooks: readWebhooksConfig(GTFS_ALERT_WEBHOOKS),
+            deadLetterPath:
+              GTFS_ALERT_WEBHOOKS_DEAD_LETTER ||
+              `${GTFS_DIR}/webhooks-dead-letter.jsonl`,
+            testPath: GTFS_ALERT_WEBHOOKS_TEST_FILE || null,
+            onError: (error) => {
+              console.error('Error al registrar una entrega fallida:', error);
+            },
+          });
+          onRealtimeUpdate(notifyAlertWebhooks);
+        } catch (error) {
+          console.error('Error al leer los webhooks de alertas:', error);
+        }
+      }
+
       // Importar GTFS realtime
       try {
         await updateGtfsRt();
@@ -118,6 +285,97 @@ const initializeGtfs = async () => {
   });
 };
 
+// Suscribe un listener a las actualizaciones GTFS-RT. Devuelve la función
+// para cancelar la suscripción.
+const onRealtimeUpdate = (listener) => {
+  realtimeEvents.on('update', listener);
+  return () => realtimeEvents.off('update', listener);
+};
+
+// Un error en un listener no debe marcar la importación como fallida
+const notifyRealtimeUpdate = (quality) => {
+  try {
+    realtimeEvents.emit('update', quality);
+  } catch (error) {
+    console.error('Error al notificar la actualización GTFS-RT:', error);
+  }
+};
+
+// Guarda en el histórico los retrasos por parada de la última importación
+const archiveRealtimeSnapshot = async (quality) => {
+  try {
+    const stopTimeUpdates = await gtfs.getStopTimeUpdates();
+    const tripIds = [
+      ...new Set(stopTimeUpdates.map((update) => update.trip_id)),
+    ].filter(Boolean);
+    if (!tripIds.length) return;
+
+    const trips = await gtfs.getTrips({ trip_id: tripIds });
+    const routes = await gtfs.getRoutes({
+      route_id: [...new Set(trips.map((trip) => trip.route_id))],
+    });
+    const routesById = new Map(routes.map((route) => [route.route_id, route]));
+    const startDates = new Map(
+      (await gtfs.getTripUpdates()).map((tripUpdate) => [
+        tripUpdate.trip_id,
+        tripUpdate.trip_start_date,
+      ]),
+    );
+    const today = moment().tz('Europe/Madrid').format('YYYYMMDD');
+
+    const archivedTrips = new Map(
+      trips.map((trip) => {
+        const route = routesById.get(trip.route_id);
+        return [
+          trip.trip_id,
+          {
+            serviceDate: startDates.get(trip.trip_id) || today,
+            routeShortName: route?.route_short_name ?? null,
+            agencyId: route?.agency_id ?? null,
+          },
+        ];
+      }),
+    );
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const observations = buildDelayObservations(stopTimeUpdates, {
+      trips: archivedTrips,
+      stopTimesByTrip: groupByTrip(
+        await gtfs.getStoptimes({ trip_id: tripIds }),
+      ),
+      getServiceDayStart: (serviceDate) =>
+        moment.tz(serviceDate, 'YYYYMMDD', 'Europe/Madrid').unix(),
+      timestamp,
+    });
+
+    realtimeArchive.record(observations, { timestamp, quality });
+  } catch (error) {
+    console.error('Error al archivar los datos GTFS-RT:', error);
+  }
+};
+
+// Guarda en el histórico las alertas de cada importación GTFS-RT válida
+const archiveAlerts = async () => {
+  try {
+    realtimeArchive.recordAlerts(await loadCurrentAlerts(), {
+      timestamp: Math.floor(Date.now() / 1000),
+    });
+  } catch (error) {
+    console.error('Error al archivar las alertas GTFS-RT:', error);
+  }
+};
+
+// Entrega a los webhooks los cambios en las alertas de cada importación. Si
+// no se han podido leer no se compara nada, para no avisar de que todas han
+// desaparecido y luego de que vuelven a ser nuevas.
+const notifyAlertWebhooks = async () => {
+  try {
+    await alertWebhooks.update(await loadCurrentAlerts());
+  } catch (error) {
+    console.error('Error al avisar a los webhooks de alertas:', error);
+  }
+};
+
 const updateGtfsRt = async () => {
   try {
     console.log('🔄 Updating GTFS realtime data with native timeout support...');
@@ -190,6 +448,8 @@ const updateGtfsRt = async () => {
       console.log({ counters });
       console.log('*** Datos de GTFS actualizados en caché. ***');
     }
+
+    notifyRealtimeUpdate(importQuality);
   } catch (error) {
     // Update health tracking with error
     updateGtfsHealth(false, error);
@@ -208,34 +468,156 @@ const updateGtfsRt = async () => {
   }
 };
 
+// Formato común de una parada en los listados
+const formatStopSummary = (stop, routes) => ({
+  parada: {
+    nombre: stop.stop_name,
+    numero: stop.stop_code,
+  },
+  // TODO: Ver si gtfs tiene datos del tipo de parada
+  lineas: {
+    // Aquí obtenemos las líneas para esta parada
+    ordinarias: routes.map(
+      (route) => route.route_short_name || route.route_long_name,
+    ),
+  },
+  ubicacion: {
+    x: stop.stop_lon,
+    y: stop.stop_lat,
+  },
+});
+
+// Todas las paradas de todas las agencias junto a las líneas que pasan por ellas
+const getStopsWithRoutes = async () => {
+  const gtfsStops = await gtfs.getStops();
+
+  return Promise.all(
+    gtfsStops.map(async (stop) => ({
+      stop,
+      routes: await gtfs.getRoutes({ stop_id: stop.stop_id }),
+    })),
+  );
+};
+
+// Reconstruye los índices de paradas con los datos de la última importación.
+// El índice anterior se mantiene hasta que el nuevo está listo.
+const rebuildStopsIndexes = async () => {
+  try {
+    const stops = await getStopsWithRoutes();
+    stopsSpatialIndex = createSpatialIndex(stops, {
+      getLat: ({ stop }) => stop.stop_lat,
+      getLon: ({ stop }) => stop.stop_lon,
+    });
+    stopsSearchIndex = createStopSearchIndex(stops, {
+      getName: ({ stop }) => stop.stop_name,
+      getCode: ({ stop }) => stop.stop_code,
+    });
+    stopsById = new Map(stops.map((item) => [item.stop.stop_id, item]));
+    console.log(
+      `🗺️ Índices de paradas: ${stopsSpatialIndex.size} ubicadas, ${stopsSearchIndex.size} buscables`,
+    );
+  } catch (error) {
+    console.error('Error al reconstruir los índices de paradas:', error);
+  }
+};
+
 // Obtenemos la información de todas las paradas
 const gtfsGetStops = async () => {
-  const gtfsStops = await gtfs.getStops();
+  const stops = await getStopsWithRoutes();
+  return stops.map(({ stop, routes }) => formatStopSummary(stop, routes));
+};
 
-  const paradas = await Promise.all(
-    gtfsStops.map(async (stop) => {
-      const routes = await gtfs.getRoutes({ stop_id: stop.stop_id });
-      const routeNames = routes.map(
-        (route) => route.route_short_name || route.route_long_name,
-      );
+// Obtenemos las paradas a menos de `radius` metros en línea recta, ordenadas
+// por distancia
+const gtfsGetNearbyStops = async (lat, lon, radius = DEFAULT_NEARBY_RADIUS) => {
+  if (!stopsSpatialIndex) {
+    await rebuildStopsIndexes();
+  }
 
-      return {
-        parada: {
-          nombre: stop.stop_name,
-          numero: stop.stop_code,
-        },
-        // TODO: Ver si gtfs tiene datos del tipo de parada
-        lineas: {
-          ordinarias: routeNames, // Aquí obtenemos las líneas para esta parada
-        },
-        ubicacion: {
-          x: stop.stop_lon,
-          y: stop.stop_lat,
-        },
-      };
-    }),
-  );
-  return paradas;
+  if (!stopsSpatialIndex) {
+    return [];
+  }
+
+  return stopsSpatialIndex
+    .within(lat, lon, radius)
+    .map(({ item: { stop, routes }, distance }) => ({
+      ...formatStopSummary(stop, routes),
+      distancia: Math.round(distance),
+    }));
+};
+
+// Búsqueda aproximada de paradas por nombre o código
+const gtfsSearchStops = async (query, limit) => {
+  if (!stopsSearchIndex) {
+    await rebuildStopsIndexes();
+  }
+
+  if (!stopsSearchIndex) {
+    return [];
+  }
+
+  return stopsSearchIndex
+    .search(query, { limit })
+    .map(({ item: { stop, routes }, score }) => ({
+      ...formatStopSummary(stop, routes),
+      puntuacion: score,
+    }));
+};
+
+// Alertas formateadas con gtfsGetAlerts. Se recalculan tras cada
+// actualización GTFS-RT para no repetir el trabajo en cada petición.
+let currentAlerts = null;
+onRealtimeUpdate(() => {
+  currentAlerts = null;
+});
+
+// Falla si no se han podido leer las alertas: un error no es lo mismo que
+// que no haya ninguna, y el histórico y los webhooks no deben tratarlo así
+const loadCurrentAlerts = () => {
+  if (!currentAlerts) {
+    currentAlerts = loadAlerts(gtfs).catch((error) => {
+      currentAlerts = null;
+      throw error;
+    });
+  }
+  return currentAlerts;
+};
+
+// En las respuestas de la API un error al leer las alertas no impide
+// devolver el resto: las tratamos como un array vacío
+const getCurrentAlerts = async () => {
+  if (!gtfs) return [];
+
+  try {
+    return await loadCurrentAlerts();
+  } catch (error) {
+    console.error(error);
+    return [];
+  }
+};
+
+// Momento en el que comprobar si una alerta está vigente: ahora o, si se
+// consulta otra fecha (YYYYMMDD), cualquier momento de ese día
+const getAlertPeriodForDate = (date) => {
+  if (!date) return { from: moment().unix() };
+
+  const day = moment.tz(date, 'YYYYMMDD', 'Europe/Madrid');
+  return { from: day.unix(), to: day.clone().endOf('day').unix() };
+};
+
+// Nombre y coordenadas de una parada, sin sus horarios
+const gtfsGetStopLocation = async (stopCode) => {
+  const [stop] = await gtfs.getStops({ stop_code: stopCode });
+  if (!stop) {
+    return { error: 'No existe esa parada' };
+  }
+
+  return {
+    nombre: stop.stop_name,
+    numero: stop.stop_code,
+    latitud: Number(stop.stop_lat),
+    longitud: Number(stop.stop_lon),
+  };
 };
 
 // Obtenemos la información de una parada
@@ -246,6 +628,13 @@ const gtfsGetStop = async (stopNumber, routeShortName, date) => {
   if (!gtfsStop || gtfsStop.length === 0) {
     return { error: 'No existe esa parada' };
   }
+
+  const alerts = await getCurrentAlerts();
+  const alertPeriod = getAlertPeriodForDate(date);
+  const activeAlerts = alerts.filter((alert) =>
+    isAlertActive(alert, alertPeriod),
+  );
+
   // Asumiendo que solo necesitas un subconjunto de los datos de la parada
   const parada = gtfsStop.map((stop) => ({
     parada: stop.stop_name,
@@ -254,6 +643,13 @@ const gtfsGetStop = async (stopNumber, routeShortName, date) => {
     longitud: stop.stop_lon,
     url: stop.stop_url,
     datosFecha: date,
+    suprimida:
+      findSuspendedStops(
+        activeAlerts,
+        [{ parada: { nombre: stop.stop_name, numero: stop.stop_code } }],
+        { normalizeStopName },
+      ).length > 0,
+    alertas: getStopAlerts(alerts, stop.stop_code, alertPeriod),
   }));
 
   const stopTimes = await gtfs.getStoptimes({ stop_id: gtfsStop[0].stop_id });
@@ -304,6 +700,10 @@ const gtfsGetStop = async (stopNumber, routeShortName, date) => {
         destino: destino,
         horarios,
         realtime,
+        alertas: getRouteAlerts(alerts, route.route_id, {
+          stopCode: gtfsStop[0].stop_code,
+          period: alertPeriod,
+        }),
       };
     }),
   );
@@ -314,6 +714,24 @@ const gtfsGetStop = async (stopNumber, routeShortName, date) => {
   };
 };
 
+// Clientes suscritos a los cambios de una parada (SSE). Se refrescan tras
+// cada actualización GTFS-RT.
+const stopStreamHub = createStopStreamHub({
+  getStop: (stopCode) => gtfsGetStop(stopCode),
+  onError: (error, stopCode) => {
+    console.error(
+      'Error al actualizar el stream de la parada %s:',
+      stopCode,
+      error,
+    );
+  },
+});
+onRealtimeUpdate(() => stopStreamHub.refreshAll());
+
+// Suscribe un listener a los cambios de una parada
+const gtfsSubscribeStop = (stopCode, listener) =>
+  stopStreamHub.subscribe(stopCode, listener);
+
 // Caché de los service_ids activos
 let activeServiceIdsCache = {};
 
@@ -388,9 +806,8 @@ const getActiveServiceIds = async (date) => {
   return activeServiceIdsCache[currentDate].serviceIds;
 };
 
-// Obtenemos los horarios de una parada específica
-// Esta función filtra los horarios de llegada de los autobuses en una parada dada, considerando solo los servicios activos para la fecha proponcionada.
-const getStopSchedule = async ({ stop_id, route_id }, date) => {
+// Obtenemos los viajes de una línea con servicio en la fecha proporcionada u hoy
+const getActiveTrips = async (route_id, date) => {
   // Obtiene los service_id activos para la fecha proponcionada
   const activeServiceIds = await getActiveServiceIds(date);
 
@@ -398,9 +815,14 @@ const getStopSchedule = async ({ stop_id, route_id }, date) => {
   const allTrips = await gtfs.getTrips({ route_id });
 
   // Filtra los viajes para incluir solo aquellos con service_id activo
-  const activeTrips = allTrips.filter((trip) =>
-    activeServiceIds.has(trip.service_id),
-  );
+  return allTrips.filter((trip) => activeServiceIds.has(trip.service_id));
+};
+
+// Obtenemos los horarios de una parada específica
+// Esta función filtra los horarios de llegada de los autobuses en una parada dada, considerando solo los servicios activos para la fecha proponcionada.
+const getStopSchedule = async ({ stop_id, route_id }, date) => {
+  // Viajes de la línea con servicio en la fecha proporcionada
+  const activeTrips = await getActiveTrips(route_id, date);
 
   // Obtiene los tiempos de parada para la parada especificada
   const stopTimes = await gtfs.getStoptimes({ stop_id });
@@ -435,6 +857,61 @@ const getStopSchedule = async ({ stop_id, route_id }, date) => {
   return filteredStopTimes;
 };
 
+// Datos en tiempo real de cada viaje y agencias que los publican en este
+// momento. Se recalcula tras cada actualización GTFS-RT.
+let realtimeTripIndex = null;
+onRealtimeUpdate(() => {
+  realtimeTripIndex = null;
+});
+
+const loadRealtimeTripIndex = async () => {
+  const trips = buildRealtimeTripIndex(
+    await gtfs.getTripUpdates(),
+    await gtfs.getVehiclePositions(),
+  );
+  const tripIds = [...trips.keys()];
+  const staticTrips = tripIds.length
+    ? await gtfs.getTrips({ trip_id: tripIds })
+    : [];
+  const routeIds = [...new Set(staticTrips.map((trip) => trip.route_id))];
+  const routes = routeIds.length
+    ? await gtfs.getRoutes({ route_id: routeIds })
+    : [];
+
+  return {
+    trips,
+    agencyIds: new Set(routes.map((route) => String(route.agency_id))),
+  };
+};
+
+const getRealtimeTripIndex = () => {
+  if (!realtimeTripIndex) {
+    realtimeTripIndex = loadRealtimeTripIndex().catch((error) => {
+      realtimeTripIndex = null;
+      throw error;
+    });
+  }
+  return realtimeTripIndex;
+};
+
+// Devuelve una función que clasifica los viajes de hoy (cancelado,
+// en_servicio, probablemente_sin_servicio, programado o null). Solo se
+// buscan viajes fantasma en las agencias que publican tiempo real ahora.
+const getTripStatusResolver = async () => {
+  const { trips, agencyIds } = await getRealtimeTripIndex();
+  const now = moment().tz('Europe/Madrid');
+  const day = await getDayConnections(now.format('YYYYMMDD'));
+  const secondsSinceStart = now.diff(now.clone().startOf('day'), 'seconds');
+
+  return (tripId, agencyId) =>
+    classifyTrip({
+      realtime: trips.get(tripId),
+      span: day.tripSpans.get(tripId),
+      now: secondsSinceStart,
+      covered: agencyIds.has(String(agencyId)),
+    });
+};
+
 //
 const getRTStopTimes = async (stopTimes, route) => {
   // Crear un mapa para búsqueda rápida
@@ -468,29 +945,63 @@ const getRTStopTimes = async (stopTimes, route) => {
 
   // Crear mapa para lookup O(1) de posiciones de vehículos
   const vehiclePositionsMap = new Map();
-  allVehiclePositions.forEach(({ tripId, positions }) => {
+  for (const { tripId, positions } of allVehiclePositions) {
     if (positions && positions.length > 0) {
       // Transformar al formato esperado por el código existente
-      const formattedPositions = positions.map(position => ({
-        updateId: position.update_id,
-        latitud: position.latitude,
-        longitud: position.longitude,
-        velocidad: position.speed,
-        tripId: position.trip_id,
-        vehicleId: position.vehicle_id,
-        matricula: position.vehicle_license_plate,
-        ocupacion: position.occupancy_status,
-        timestamp: position.timestamp,
-        isUpdated: position.isUpdated,
-      }));
+      const formattedPositions = await Promise.all(
+        positions.map(async (position) => ({
+          updateId: position.update_id,
+          latitud: position.latitude,
+          longitud: position.longitude,
+          velocidad: position.speed,
+          tripId: position.trip_id,
+          vehicleId: position.vehicle_id,
+          matricula: position.vehicle_license_plate,
+          ocupacion: position.occupancy_status,
+          timestamp: position.timestamp,
+          isUpdated: position.isUpdated,
+          recorrido: await getVehicleRouteSafe(position),
+        })),
+      );
       vehiclePositionsMap.set(tripId, formattedPositions);
     }
-  });
+  }
+
+  // Estado de cada viaje (cancelado, sin datos en tiempo real...). Si falla
+  // seguimos devolviendo el resto de datos en tiempo real
+  let getTripStatus = () => null;
+  try {
+    getTripStatus = await getTripStatusResolver();
+  } catch (error) {
+    console.error('Error al clasificar los viajes:', error);
+  }
 
   // Iterar sobre los elementos en stopTimesMap
   const rtStopTimesNew = Array.from(stopTimesMap).map(
     async ([key, scheduledStop]) => {
       const rtSt = rtStopTimesMap.get(key);
+      const estadoViaje = getTripStatus(scheduledStop.trip_id, route.agency_id);
+
+      // Un viaje cancelado no pasará, no aplicamos horario ni retrasos
+      if (estadoViaje === 'cancelado') {
+        return {
+          trip_id: scheduledStop.trip_id,
+          vehicleId: null,
+          matricula: null,
+          stop_sequence: scheduledStop.stop_sequence,
+          desfase: null,
+          latitud: null,
+          longitud: null,
+          velocidad: null,
+          ocupacion: null,
+          recorrido: null,
+          propagated_delay: null,
+          propagadoDesde: null,
+          fechaHoraLlegada: null,
+          schedule_relationship: 'CANCELED',
+          estadoViaje,
+        };
+      }
 
       // OPTIMIZACIÓN: Usar lookup O(1) en lugar de consulta individual
       const vehiclePosition = vehiclePositionsMap.get(scheduledStop.trip_id) || [];
@@ -505,10 +1016,11 @@ const getRTStopTimes = async (stopTimes, route) => {
       if (rtSt === undefined) {
         // Si no hay datos realtime buscamos el delay más cercano
         // y lo aplicamos a la hora programada
-        const propagatedDelay = await getPropagatedDelay(
-          scheduledStop.trip_id,
-          scheduledStop.stop_sequence,
-        );
+        const { delay: propagatedDelay, propagadoDesde } =
+          await getEstimatedDelay(
+            scheduledStop.trip_id,
+            scheduledStop.stop_sequence,
+          );
         if (propagatedDelay) {
           updated_arrival = moment
             .tz(scheduled_arrival, 'UTC')
@@ -541,11 +1053,14 @@ const getRTStopTimes = async (stopTimes, route) => {
           longitud: hasVehiclePosition ? vehiclePosition[0].longitud : null,
           velocidad: hasVehiclePosition ? vehiclePosition[0].velocidad : null,
           ocupacion: hasVehiclePosition ? vehiclePosition[0].ocupacion : null,
+          recorrido: hasVehiclePosition ? vehiclePosition[0].recorrido : null,
           propagated_delay: propagated ? propagated : null,
+          propagadoDesde: propagatedDelay ? propagadoDesde : null,
           fechaHoraLlegada: updated_arrival,
           schedule_relationship: schedule_relationship
             ? schedule_relationship
             : null,
+          estadoViaje,
         };
       }
 
@@ -577,9 +1092,12 @@ const getRTStopTimes = async (stopTimes, route) => {
         longitud: hasVehiclePosition ? vehiclePosition[0].longitud : null,
         velocidad: hasVehiclePosition ? vehiclePosition[0].velocidad : null,
         ocupacion: hasVehiclePosition ? vehiclePosition[0].ocupacion : null,
+        recorrido: hasVehiclePosition ? vehiclePosition[0].recorrido : null,
         propagated_delay: propagated ? propagated : null,
+        propagadoDesde: null,
         fechaHoraLlegada: fullArrivalDateTime,
         estado: rtSt.schedule_relationship ? rtSt.schedule_relationship : null,
+        estadoViaje,
       };
     },
   );
@@ -767,7 +1285,7 @@ const parseActivePeriod = (activePeriod) => {
 
 const getAlertContent = (alert) => ({
   cause: alert.cause ?? null,
-  effect: alert.effect ?? null,
+  effect: normalizeAlertEffect(alert.effect),
   activePeriod: alert.active_period ?? null,
   startTime: alert.start_time ?? null,
   endTime: alert.end_time ?? null,
@@ -847,8 +1365,10 @@ const formatServiceAlerts = (serviceAlerts, lineas, paradas) => {
 
       formattedAlerts.push({
         id: alertId,
+        // Identifica la alerta y la entidad informada entre importaciones
+        clave: crypto.createHash('sha1').update(deduplicationKey).digest('hex'),
         cause: content.cause,
-        effect: alert.effect ?? null,
+        effect: content.effect,
         active_period: content.activePeriod,
         url: alert.url ?? null,
         header_text: content.headerText,
@@ -858,6 +1378,9 @@ const formatServiceAlerts = (serviceAlerts, lineas, paradas) => {
           gtfsRouteId: routeId,
           linea: routeInfo?.route_short_name ?? null,
           parada: stopInfo?.stop_code ?? null,
+          agencia:
+            normalizeAlertId(entity?.agency_id) ??
+            normalizeAlertId(routeInfo?.agency_id),
           start_time: content.startTime,
           end_time: content.endTime,
           active_period: content.activePeriod,
@@ -872,23 +1395,28 @@ const formatServiceAlerts = (serviceAlerts, lineas, paradas) => {
   return formattedAlerts;
 };
 
+// Como gtfsGetAlerts, pero propaga los errores
+const loadAlerts = async (gtfsClient) => {
+  const [serviceAlerts, lineas, paradas] = await Promise.all([
+    Promise.resolve(gtfsClient.getServiceAlerts()),
+    Promise.resolve(gtfsClient.getRoutes()),
+    Promise.resolve(gtfsClient.getStops()),
+  ]);
+
+  return formatServiceAlerts(
+    Array.isArray(serviceAlerts) ? serviceAlerts : [],
+    Array.isArray(lineas) ? lineas : [],
+    Array.isArray(paradas) ? paradas : [],
+  );
+};
+
 const gtfsGetAlerts = async (gtfsClient = gtfs) => {
   try {
     if (!gtfsClient) {
       return [];
     }
 
-    const [serviceAlerts, lineas, paradas] = await Promise.all([
-      Promise.resolve(gtfsClient.getServiceAlerts()),
-      Promise.resolve(gtfsClient.getRoutes()),
-      Promise.resolve(gtfsClient.getStops()),
-    ]);
-
-    return formatServiceAlerts(
-      Array.isArray(serviceAlerts) ? serviceAlerts : [],
-      Array.isArray(lineas) ? lineas : [],
-      Array.isArray(paradas) ? paradas : [],
-    );
+    return await loadAlerts(gtfsClient);
   } catch (error) {
     console.error(error);
     // Si hay algún error devolvemos un array vacío.
@@ -896,6 +1424,64 @@ const gtfsGetAlerts = async (gtfsClient = gtfs) => {
   }
 };
 
+// Alertas filtradas por línea, parada, agencia, efecto y vigencia
+const gtfsGetFilteredAlerts = async (filters = {}) =>
+  filterAlerts(await getCurrentAlerts(), {
+    ...filters,
+    now: moment().unix(),
+  });
+
+const DEFAULT_ALERT_HISTORY_DAYS = 7;
+
+// Alertas vistas entre dos fechas (YYYYMMDD, incluidas), con la primera y la
+// última vez que aparecieron en el feed. Por defecto, los últimos 7 días.
+const gtfsGetAlertHistory = async ({ from, to, ...filters } = {}) => {
+  if (!realtimeArchive) {
+    return { error: 'El histórico de tiempo real no está activado' };
+  }
+
+  try {
+    const hasta = to || moment().tz('Europe/Madrid').format('YYYYMMDD');
+    const desde =
+      from ||
+      moment
+        .tz(hasta, 'YYYYMMDD', 'Europe/Madrid')
+        .subtract(DEFAULT_ALERT_HISTORY_DAYS, 'days')
+        .format('YYYYMMDD');
+    const formatSeen = (timestamp) =>
+      moment.unix(timestamp).tz('Europe/Madrid').format('YYYY-MM-DDTHH:mm:ssZ');
+
+    const rows = realtimeArchive.getAlertHistory({
+      from: moment.tz(desde, 'YYYYMMDD', 'Europe/Madrid').unix(),
+      to: moment.tz(hasta, 'YYYYMMDD', 'Europe/Madrid').endOf('day').unix(),
+      ...filters,
+    });
+
+    return {
+      desde,
+      hasta,
+      alertas: rows.map((row) => ({
+        clave: row.key,
+        id: row.alert_id,
+        causa: row.cause,
+        efecto: row.effect,
+        gtfsRouteId: row.route_id,
+        linea: row.route_short_name,
+        parada: row.stop_code,
+        agencia: row.agency_id,
+        resumen: row.header_text,
+        descripcion: row.description_text,
+        periodos: getAlertPeriods({ active_period: row.active_period }),
+        primeraVez: formatSeen(row.first_seen),
+        ultimaVez: formatSeen(row.last_seen),
+      })),
+    };
+  } catch (error) {
+    console.error('Error al obtener el histórico de alertas:', error);
+    return { error: 'Error al procesar la solicitud.' };
+  }
+};
+
 // Obtener los minutos restantes hasta la llegada de la hora indicada
 const getRemainingMinutes = (targetTime) => {
   const now = new Date();
@@ -947,164 +1533,703 @@ const getDateFromTime = (time) => {
   return new Date(now.getFullYear(), now.getMonth(), now.getDate(), hh, mm, ss);
 };
 
-// Función para obtener todas las posiciones de vehículos en tiempo real
-const gtfsGetBusPosition = async (tripId) => {
-  try {
-    // Pasar el tripId como parámetro para filtrar las posiciones de vehículos
-    const vehiclePositions = await gtfs.getVehiclePositions({ trip_id: tripId });
+// Recorrido de cada viaje con sus paradas situadas sobre él, para ajustar
+// las posiciones de los vehículos. Se vacía tras cada importación estática.
+const tripRoutesCache = new Map();
+const MAX_CACHED_TRIP_ROUTES = 500;
+
+const loadTripRoute = async (tripId) => {
+  const [trip] = await gtfs.getTrips({ trip_id: tripId });
+  if (!trip) return null;
+
+  const stopTimes = (
+    await gtfs.getStoptimes({ trip_id: tripId }, [
+      'stop_id',
+      'stop_sequence',
+      'arrival_time',
+      'departure_time',
+    ])
+  ).sort((a, b) => a.stop_sequence - b.stop_sequence);
+  const stops = stopTimes.length
+    ? await gtfs.getStops({ stop_id: stopTimes.map((sT) => sT.stop_id) })
+    : [];
+  const stopsByTripStopId = new Map(stops.map((stop) => [stop.stop_id, stop]));
+
+  const tripStops = stopTimes
+    .map((stopTime) => {
+      const stop = stopsByTripStopId.get(stopTime.stop_id);
+      const arrival = stopTime.arrival_time || stopTime.departure_time;
+      const departure = stopTime.departure_time || stopTime.arrival_time;
+      return stop
+        ? {
+            stopId: stop.stop_id,
+            stopSequence: stopTime.stop_sequence,
+            arrival: arrival ? timeToSeconds(arrival) : null,
+            departure: departure ? timeToSeconds(departure) : null,
+            lat: stop.stop_lat,
+            lon: stop.stop_lon,
+            nombre: stop.stop_name,
+            numero: stop.stop_code,
+          }
+        : null;
+    })
+    .filter(Boolean);
 
-    if (!vehiclePositions || vehiclePositions.length === 0) {
-      return {
-        error: `No hay datos disponibles en tiempo real para el viaje ${tripId}.`,
-      };
-    }
+  // Si el viaje no tiene shape usamos las paradas como recorrido
+  const shapes = await gtfs.getShapesAsGeoJSON(
+    trip.shape_id ? { shape_id: trip.shape_id } : { trip_id: tripId },
+  );
+  const line =
+    buildShapeLine(getShapeCoordinates(shapes)) ||
+    buildShapeLine(tripStops.map((stop) => [stop.lon, stop.lat]));
+  if (!line) return null;
 
-    return vehiclePositions.map(position => ({
-      updateId: position.update_id,
-      latitud: position.latitude,
-      longitud: position.longitude,
-      velocidad: position.speed,
-      tripId: position.trip_id,
-      vehicleId: position.vehicle_id,
-      matricula: position.vehicle_license_plate,
-      ocupacion: position.occupancy_status,
-      timestamp: position.timestamp,
-      isUpdated: position.isUpdated,
-    }));
-  } catch (error) {
-    console.error(
-      'Error al obtener las posiciones de los vehículos para el viaje %s:',
-      tripId,
-      error
-    );
-    return { error: 'Error al procesar la solicitud.' };
-  }
+  return { line, stops: locateStops(line, tripStops) };
 };
 
-// Función para recuperar el geojson de los recorridos de un trip_id
-const fetchShapesForTrip = async (tripId) => {
-  try {
-    const shapes = await gtfs.getShapesAsGeoJSON({
-      trip_id: tripId,
+const getTripRoute = (tripId) => {
+  if (!tripRoutesCache.has(tripId)) {
+    const tripRoute = loadTripRoute(tripId).catch((error) => {
+      tripRoutesCache.delete(tripId);
+      throw error;
     });
-    return shapes;
-  } catch (error) {
-    console.error('Error fetching shapes:', error);
-    return null;
+    tripRoutesCache.set(tripId, tripRoute);
+
+    while (tripRoutesCache.size > MAX_CACHED_TRIP_ROUTES) {
+      tripRoutesCache.delete(tripRoutesCache.keys().next().value);
+    }
   }
+
+  return tripRoutesCache.get(tripId);
 };
 
-// Función para recuperar el geojson de las paradas de un trip_id
-const fetchStopsForTrip = async (tripId) => {
+const formatStopRef = (stop) =>
+  stop ? { nombre: stop.nombre, numero: stop.numero } : null;
+
+// Avance sobre el recorrido: distancias en metros y rumbo en grados desde
+// el norte
+const formatVehicleRoute = (progress) => {
+  if (!progress) return null;
+
+  return {
+    latitud: Number(progress.lat.toFixed(6)),
+    longitud: Number(progress.lon.toFixed(6)),
+    distanciaRecorrida: Math.round(progress.distance),
+    distanciaTotal: Math.round(progress.totalDistance),
+    desvio: Math.round(progress.offset),
+    rumbo: Math.round(progress.bearing),
+    paradaAnterior: formatStopRef(progress.previousStop),
+    siguienteParada: progress.nextStop
+      ? {
+          ...formatStopRef(progress.nextStop),
+          distancia: Math.round(progress.distanceToNextStop),
+        }
+      : null,
+  };
+};
+
+// Posición del vehículo ajustada al recorrido de su viaje
+const getVehicleRoute = async (position) => {
+  const tripRoute = await getTripRoute(position.trip_id);
+  if (!tripRoute) return null;
+
+  const stopSequence = Number.parseInt(position.current_stop_sequence, 10);
+  return formatVehicleRoute(
+    trackVehicle(tripRoute, {
+      lat: Number(position.latitude),
+      lon: Number(position.longitude),
+      stopSequence: Number.isNaN(stopSequence) ? null : stopSequence,
+    }),
+  );
+};
+
+// El recorrido es un dato añadido: si falla no debe impedir devolver la
+// posición del vehículo
+const getVehicleRouteSafe = async (position) => {
   try {
-    const shapes = await gtfs.getStopsAsGeoJSON({
-      trip_id: tripId,
-    });
-    return shapes;
+    return await getVehicleRoute(position);
   } catch (error) {
-    console.error('Error fetching shapes:', error);
+    console.error(
+      'Error al ajustar la posición del viaje %s a su recorrido:',
+      position.trip_id,
+      error,
+    );
     return null;
   }
 };
 
-// Definimos términos que se usan indistintamente al referirse a los nombres de las paradas
-function normalizeStopName(name) {
-  // Reemplazar palabras clave por sus equivalentes
-  const replacements = {
-    'C/': 'calle',
-    'fte': 'frente',
-    'plza': 'plaza',
-    'pza': 'plaza',
-    'pº': 'paseo',
-    'esq': 'esquina',
-    'sta': 'santa',
-    'Avda': 'avenida',
-    'Ctra': 'carretera',
-  };
-
-  // Aplicar reemplazos
-  let normalizedName = name;
-  for (const [key, value] of Object.entries(replacements)) {
-    // Solo reemplazar si el valor no está ya presente en el nombre normalizado
-    if (!normalizedName.includes(value)) {
-      normalizedName = normalizedName.replace(new RegExp(key, 'gi'), value);
-    }
+// Días de servicio con viajes que pueden estar en curso ahora: hoy y, de
+// madrugada, el anterior, cuyos viajes nocturnos tienen horas >= 24:00
+const getCurrentServiceDays = async (now) => {
+  const secondsSinceStart = now.diff(now.clone().startOf('day'), 'seconds');
+  const serviceDays = [
+    {
+      day: await getDayConnections(now.format('YYYYMMDD')),
+      time: secondsSinceStart,
+    },
+  ];
+
+  if (secondsSinceStart < PREVIOUS_DAY_TRIPS_UNTIL) {
+    serviceDays.push({
+      day: await getDayConnections(
+        now.clone().subtract(1, 'days').format('YYYYMMDD'),
+      ),
+      time: secondsSinceStart + SECONDS_PER_DAY,
+    });
   }
 
-  // Convertir a minúsculas y eliminar espacios, puntos y comas
-  return normalizedName
-    .toLowerCase()
-    .replace(/[\s.,]+/g, ' ')
-    .trim();
-}
+  return serviceDays;
+};
 
-const suspendedStops = async () => {
-  try {
-    // Obtener las alertas
-    const alerts = await gtfsGetAlerts();
+// Posición de un viaje según su horario, interpolada sobre su recorrido,
+// con el mismo formato que las posiciones en tiempo real. `time` es la
+// hora en segundos desde el inicio del día de servicio del viaje. Devuelve
+// null si el viaje no está en curso.
+const getEstimatedBusPosition = async (tripId, now, time) => {
+  const tripRoute = await getTripRoute(tripId);
+  if (!tripRoute) return null;
 
-    // Obtener todas las paradas
-    const allStops = await gtfsGetStops();
+  const recorrido = formatVehicleRoute(estimateVehicle(tripRoute, time));
+  if (!recorrido) return null;
 
-    // Objeto para almacenar las paradas suprimidas de manera única
-    const suspendedStopsMap = {};
+  return {
+    updateId: null,
+    latitud: recorrido.latitud,
+    longitud: recorrido.longitud,
+    velocidad: null,
+    tripId,
+    vehicleId: null,
+    matricula: null,
+    ocupacion: null,
+    timestamp: now.format('YYYY-MM-DDTHH:mm:ssZ'),
+    isUpdated: false,
+    recorrido,
+    fuente: 'estimado',
+  };
+};
 
-    // Iterar sobre las alertas
-    for (const alert of alerts) {
-      // Extraer el nombre de la parada de la descripción de la alerta
-      const match = alert.descripcion.match(
-        /Paradas suprimidas:\s*(.+)|Parada suprimida:\s*(.+)|Línea \d+ sentido .+ desviada desde .+ hasta .+ Parada suprimida:\s*(.+)|Parada suprimida (\d+) (.+)/,
+// Función para obtener todas las posiciones de vehículos en tiempo real
+const gtfsGetBusPosition = async (tripId) => {
+  try {
+    // Pasar el tripId como parámetro para filtrar las posiciones de vehículos
+    const vehiclePositions = await gtfs.getVehiclePositions({ trip_id: tripId });
+
+    // Sin vehículo en tiempo real estimamos la posición con el horario,
+    // salvo que el viaje esté cancelado
+    if (!vehiclePositions || vehiclePositions.length === 0) {
+      const now = moment().tz('Europe/Madrid');
+      const serviceDay = getRunningTrips(await getCurrentServiceDays(now)).get(
+        tripId,
       );
-      if (match) {
-        let stopNames;
-        // Comprobar si el tercer grupo capturado (el número de parada) está presente
-        if (match[3]) {
-          // Si el número de parada está presente, combinar el nombre de la parada sin el número
-          stopNames = match[5]
-            ? match[5]
-                .trim()
-                .split(',')
-                .map((name) => name.trim())
-            : [];
-        } else {
-          // Si el número de parada no está presente, usar el primer o segundo grupo capturado
-          stopNames =
-            match[1] || match[2]
-              ? (match[1] || match[2])
-                  .trim()
-                  .split(',')
-                  .map((name) => name.trim())
-              : [];
-        }
+      const { trips } = await getRealtimeTripIndex();
+      const estimated =
+        serviceDay && !trips.get(tripId)?.canceled
+          ? await getEstimatedBusPosition(tripId, now, serviceDay.time)
+          : null;
+
+      return estimated
+        ? [estimated]
+        : {
+            error: `No hay datos disponibles en tiempo real para el viaje ${tripId}.`,
+          };
+    }
 
-        // Iterar sobre cada nombre de parada y procesarlos
-        for (const stopName of stopNames) {
-          // Limpiar el nombre de la parada eliminando espacios, puntos y comas
-          const cleanedStopName = stopName.replace(/[\s.,]+/g, ' ').trim();
+    return Promise.all(
+      vehiclePositions.map(async (position) => ({
+        updateId: position.update_id,
+        latitud: position.latitude,
+        longitud: position.longitude,
+        velocidad: position.speed,
+        tripId: position.trip_id,
+        vehicleId: position.vehicle_id,
+        matricula: position.vehicle_license_plate,
+        ocupacion: position.occupancy_status,
+        timestamp: position.timestamp,
+        isUpdated: position.isUpdated,
+        recorrido: await getVehicleRouteSafe(position),
+        fuente: 'tiempo_real',
+      })),
+    );
+  } catch (error) {
+    console.error(
+      'Error al obtener las posiciones de los vehículos para el viaje %s:',
+      tripId,
+      error
+    );
+    return { error: 'Error al procesar la solicitud.' };
+  }
+};
 
-          // Buscar la parada en el listado de todas las paradas
-          const suspendedStop = allStops.find(
-            (stop) =>
-              normalizeStopName(stop.parada.nombre) ===
-              normalizeStopName(cleanedStopName),
-          );
+// Agrupa filas por trip_id
+const groupByTrip = (rows) =>
+  rows.reduce((groups, row) => {
+    if (!groups.has(row.trip_id)) groups.set(row.trip_id, []);
+    groups.get(row.trip_id).push(row);
+    return groups;
+  }, new Map());
+
+// Siguiente parada de un vehículo, hora prevista de llegada a ella y
+// retraso, a partir de su posición y de las actualizaciones de su viaje
+const getVehicleProgress = (
+  position,
+  { stopTimes, stopTimeUpdates, now, today },
+) => {
+  const serviceDayStart = moment
+    .tz(position.trip_start_date || today, 'YYYYMMDD', 'Europe/Madrid')
+    .unix();
+  const scheduledBySequence = new Map(
+    stopTimes.map((stopTime) => [
+      stopTime.stop_sequence,
+      timeToSeconds(stopTime.arrival_time || stopTime.departure_time),
+    ]),
+  );
+  const tripDelays =
+    getTripDelays(stopTimeUpdates, {
+      serviceDayStart,
+      getScheduledTime: (tripId, stopSequence) =>
+        scheduledBySequence.get(Number(stopSequence)) ?? null,
+    }).get(position.trip_id) ?? null;
+
+  const nextStopTime = getNextStopTime(position, stopTimes, {
+    now,
+    serviceDayStart,
+    tripDelays,
+  });
+  const delay = getDelayAtSequence(
+    tripDelays,
+    nextStopTime?.stop_sequence ?? Infinity,
+  );
+
+  return {
+    serviceDayStart,
+    tripDelays,
+    nextStopTime,
+    nextStopArrival: nextStopTime
+      ? serviceDayStart +
+        scheduledBySequence.get(nextStopTime.stop_sequence) +
+        (delay ?? 0)
+      : null,
+    delay,
+  };
+};
+
+// Posiciones de todos los vehículos junto a su línea, destino, siguiente
+// parada y retraso
+const getVehicles = async () => {
+  const vehiclePositions = await gtfs.getVehiclePositions();
+  const tripIds = [
+    ...new Set(
+      vehiclePositions.map((position) => position.trip_id).filter(Boolean),
+    ),
+  ];
+  const trips = tripIds.length ? await gtfs.getTrips({ trip_id: tripIds }) : [];
+  const routeIds = [...new Set(trips.map((trip) => trip.route_id))];
+  const routes = routeIds.length
+    ? await gtfs.getRoutes({ route_id: routeIds })
+    : [];
+  const stopTimesByTrip = groupByTrip(
+    tripIds.length ? await gtfs.getStoptimes({ trip_id: tripIds }) : [],
+  );
+  const updatesByTrip = groupByTrip(
+    tripIds.length ? await gtfs.getStopTimeUpdates({ trip_id: tripIds }) : [],
+  );
+  const { agenciesById } = await getAgencies();
+
+  const tripsById = new Map(trips.map((trip) => [trip.trip_id, trip]));
+  const routesById = new Map(routes.map((route) => [route.route_id, route]));
+  const now = Math.floor(Date.now() / 1000);
+  const today = moment().tz('Europe/Madrid').format('YYYYMMDD');
+
+  const vehicles = vehiclePositions.map((position) => {
+    const trip = tripsById.get(position.trip_id);
+    const route = routesById.get(trip?.route_id);
+    const line = route ? formatLine(route, agenciesById) : null;
+
+    const { nextStopTime, nextStopArrival, delay } = getVehicleProgress(
+      position,
+      {
+        stopTimes: stopTimesByTrip.get(position.trip_id) || [],
+        stopTimeUpdates: updatesByTrip.get(position.trip_id) || [],
+        now,
+        today,
+      },
+    );
 
-          // Si la parada se encuentra y no está ya en el mapa, agregarla
-          if (
-            suspendedStop &&
-            !suspendedStopsMap[suspendedStop.parada.nombre]
-          ) {
-            suspendedStopsMap[suspendedStop.parada.nombre] = {
-              nombre: suspendedStop.parada.nombre,
-              numero: suspendedStop.parada.numero,
-            };
+    return {
+      vehicleId: position.vehicle_id ?? null,
+      tripId: position.trip_id ?? null,
+      linea: line?.linea ?? null,
+      color: line?.color ?? null,
+      agencia: line?.agencia ?? null,
+      destino: trip?.trip_headsign ?? null,
+      latitud: position.latitude,
+      longitud: position.longitude,
+      rumbo: position.bearing ?? null,
+      velocidad: position.speed,
+      matricula: position.vehicle_license_plate,
+      ocupacion: position.occupancy_status,
+      timestamp: position.timestamp,
+      nextStopTime,
+      nextStopArrival,
+      retraso: delay !== null ? Math.round(delay / 60) : null,
+    };
+  });
+
+  const nextStopIds = [
+    ...new Set(
+      vehicles
+        .filter((vehicle) => vehicle.nextStopTime)
+        .map((vehicle) => vehicle.nextStopTime.stop_id),
+    ),
+  ];
+  const nextStops = nextStopIds.length
+    ? await gtfs.getStops({ stop_id: nextStopIds })
+    : [];
+  const nextStopsById = new Map(nextStops.map((stop) => [stop.stop_id, stop]));
+
+  return vehicles.map(({ nextStopTime, nextStopArrival, ...vehicle }) => {
+    const stop = nextStopsById.get(nextStopTime?.stop_id);
+
+    return {
+      ...vehicle,
+      siguienteParada: stop
+        ? {
+            nombre: stop.stop_name,
+            numero: stop.stop_code,
+            llegada: Number.isFinite(nextStopArrival)
+              ? moment
+                  .unix(nextStopArrival)
+                  .tz('Europe/Madrid')
+                  .format('YYYY-MM-DDTHH:mm:ssZ')
+              : null,
           }
-        }
+        : null,
+    };
+  });
+};
+
+// Filtra los vehículos por línea y agencia
+const filterVehicles = (vehicles, { routeShortName, agencyId } = {}) =>
+  vehicles.filter(
+    (vehicle) =>
+      (!routeShortName || vehicle.linea === routeShortName) &&
+      (!agencyId || String(vehicle.agencia?.id) === String(agencyId)),
+  );
+
+// Obtenemos todos los vehículos en circulación
+const gtfsGetVehicles = async (filters) => {
+  try {
+    return filterVehicles(await getVehicles(), filters);
+  } catch (error) {
+    console.error('Error al obtener los vehículos:', error);
+    return { error: 'Error al procesar la solicitud.' };
+  }
+};
+
+// Obtenemos todos los vehículos en circulación como capa GeoJSON
+const gtfsGetVehiclesGeoJSON = async (filters) => {
+  try {
+    return vehiclesToGeoJSON(filterVehicles(await getVehicles(), filters));
+  } catch (error) {
+    console.error('Error al obtener la capa GeoJSON de vehículos:', error);
+    return { error: 'Error al procesar la solicitud.' };
+  }
+};
+
+// Clientes conectados al feed en vivo de vehículos (WebSocket). Reciben los
+// cambios tras cada actualización GTFS-RT.
+const vehicleFeedHub = createVehicleFeedHub({
+  getVehicles: () => getVehicles(),
+  onError: (error) => {
+    console.error('Error al actualizar el feed de vehículos:', error);
+  },
+});
+onRealtimeUpdate(() => vehicleFeedHub.refresh());
+
+// Registra un cliente del feed de vehículos
+const gtfsConnectVehicleFeed = (sendMessage) =>
+  vehicleFeedHub.addClient(sendMessage);
+
+// Feeds GTFS-RT republicados a partir de lo importado en SQLite. Se
+// construyen una sola vez tras cada actualización.
+const realtimeFeedCache = new Map();
+let lastRealtimeImport = null;
+onRealtimeUpdate(() => {
+  lastRealtimeImport = Math.floor(Date.now() / 1000);
+  realtimeFeedCache.clear();
+});
+
+const REALTIME_FEED_ENTITIES = {
+  tripupdates: async () =>
+    buildTripUpdateEntities(
+      await gtfs.getTripUpdates(),
+      await gtfs.getStopTimeUpdates(),
+    ),
+  vehiclepositions: async () =>
+    buildVehiclePositionEntities(await gtfs.getVehiclePositions()),
+  alerts: async () => buildAlertEntities(await gtfs.getServiceAlerts()),
+};
+
+// Obtenemos un feed GTFS-RT (tripupdates, vehiclepositions o alerts) en
+// protobuf o en JSON con la misma estructura
+const gtfsGetRealtimeFeed = async (feedType, format) => {
+  try {
+    if (!realtimeFeedCache.has(feedType)) {
+      const entities = await REALTIME_FEED_ENTITIES[feedType]();
+      const message = buildFeedMessage(entities, {
+        timestamp: lastRealtimeImport ?? Math.floor(Date.now() / 1000),
+      });
+      realtimeFeedCache.set(feedType, {
+        message,
+        buffer: encodeFeedMessage(message),
+      });
+    }
+
+    const feed = realtimeFeedCache.get(feedType);
+    return format === 'json' ? feedMessageToJSON(feed.message) : feed.buffer;
+  } catch (error) {
+    console.error('Error al generar el feed GTFS-RT %s:', feedType, error);
+    return { error: 'Error al procesar la solicitud.' };
+  }
+};
+
+const ALERT_FEED_BUILDERS = {
+  rss: buildRssFeed,
+  atom: buildAtomFeed,
+  ics: buildCalendar,
+};
+
+// Alertas filtradas como feed RSS, Atom o iCalendar. `link` apunta al
+// listado JSON de alertas, `selfUrl` al propio feed y `domain` completa los
+// UID de los eventos.
+const gtfsGetAlertsFeed = async (
+  format,
+  filters,
+  { link, selfUrl, domain },
+) => {
+  try {
+    const alerts = await gtfsGetFilteredAlerts(filters);
+    return ALERT_FEED_BUILDERS[format](alerts, {
+      link,
+      selfUrl,
+      domain,
+      updated: lastRealtimeImport ?? Math.floor(Date.now() / 1000),
+    });
+  } catch (error) {
+    console.error('Error al generar el feed de alertas %s:', format, error);
+    return { error: 'Error al procesar la solicitud.' };
+  }
+};
+
+// Viajes de hoy cancelados o que deberían estar en circulación y no tienen
+// ningún dato en tiempo real
+const gtfsGetGhostTrips = async ({ routeShortName, agencyId } = {}) => {
+  try {
+    const now = moment().tz('Europe/Madrid');
+    const date = now.format('YYYYMMDD');
+    const day = await getDayConnections(date);
+    const getTripStatus = await getTripStatusResolver();
+    const { agenciesById } = await getAgencies();
+
+    const viajes = [];
+    day.tripsById.forEach((trip, tripId) => {
+      const route = day.routesById.get(trip.route_id);
+      if (!route) return;
+      if (routeShortName && route.route_short_name !== routeShortName) return;
+      if (agencyId && String(route.agency_id) !== String(agencyId)) return;
+
+      const estado = getTripStatus(tripId, route.agency_id);
+      if (estado !== 'cancelado' && estado !== 'probablemente_sin_servicio') {
+        return;
+      }
+
+      const line = formatLine(route, agenciesById);
+      const span = day.tripSpans.get(tripId);
+      viajes.push({
+        trip_id: tripId,
+        linea: line.linea,
+        color: line.color,
+        agencia: line.agencia,
+        destino: trip.trip_headsign ?? null,
+        salida: span ? formatServiceTime(date, span.start) : null,
+        llegada: span ? formatServiceTime(date, span.end) : null,
+        estado,
+      });
+    });
+
+    viajes.sort((a, b) => (a.salida ?? '').localeCompare(b.salida ?? ''));
+
+    return {
+      fecha: date,
+      hora: now.format('HH:mm:ss'),
+      cancelados: viajes.filter((viaje) => viaje.estado === 'cancelado').length,
+      sinServicio: viajes.filter(
+        (viaje) => viaje.estado === 'probablemente_sin_servicio',
+      ).length,
+      viajes,
+    };
+  } catch (error) {
+    console.error('Error al buscar viajes fantasma:', error);
+    return { error: 'Error al procesar la solicitud.' };
+  }
+};
+
+// Posiciones estimadas según el horario de los viajes en curso que no
+// tienen vehículo en tiempo real: todos los de las agencias sin feed
+// (ECSA, La Regional, Linecar) y los de AUVASA cuyo vehículo no aparece.
+const gtfsGetEstimatedPositions = async ({ routeShortName, agencyId } = {}) => {
+  try {
+    const now = moment().tz('Europe/Madrid');
+    const runningTrips = getRunningTrips(await getCurrentServiceDays(now));
+    const { trips } = await getRealtimeTripIndex();
+
+    const tripIds = [];
+    runningTrips.forEach(({ day }, tripId) => {
+      const trip = day.tripsById.get(tripId);
+      const route = day.routesById.get(trip?.route_id);
+      if (!route) return;
+      if (routeShortName && route.route_short_name !== routeShortName) return;
+      if (agencyId && String(route.agency_id) !== String(agencyId)) return;
+
+      const realtime = trips.get(tripId);
+      if (realtime?.canceled || realtime?.hasVehiclePosition) return;
+
+      tripIds.push(tripId);
+    });
+
+    const positions = [];
+    for (const tripId of tripIds) {
+      try {
+        const position = await getEstimatedBusPosition(
+          tripId,
+          now,
+          runningTrips.get(tripId).time,
+        );
+        if (position) positions.push(position);
+      } catch (error) {
+        console.error(
+          'Error al estimar la posición del viaje %s:',
+          tripId,
+          error,
+        );
       }
     }
 
-    // Convertir el objeto en un array y devolverlo
-    return Object.values(suspendedStopsMap);
+    return positions;
+  } catch (error) {
+    console.error('Error al estimar las posiciones de los vehículos:', error);
+    return { error: 'Error al procesar la solicitud.' };
+  }
+};
+
+// Días de la semana (0 domingo ... 6 sábado) de cada tipo de día
+const PUNCTUALITY_DAY_TYPES = {
+  laborables: [1, 2, 3, 4, 5],
+  sabados: [6],
+  domingos: [0],
+};
+const DEFAULT_PUNCTUALITY_DAYS = 30;
+
+// Puntualidad histórica por línea, parada y hora del día entre dos fechas
+// de servicio (YYYYMMDD). Por defecto, los últimos 30 días.
+// El histórico y el índice de paradas se pueden sustituir en los tests.
+const gtfsGetPunctuality = async (
+  { routeShortName, from, to, dayType },
+  { archive = realtimeArchive, stops = stopsById } = {},
+) => {
+  if (!archive) {
+    return { error: 'El histórico de tiempo real no está activado' };
+  }
+
+  try {
+    if (!stops.size) {
+      await rebuildStopsIndexes();
+      stops = stopsById;
+    }
+
+    const hasta = to || moment().tz('Europe/Madrid').format('YYYYMMDD');
+    const desde =
+      from ||
+      moment
+        .tz(hasta, 'YYYYMMDD', 'Europe/Madrid')
+        .subtract(DEFAULT_PUNCTUALITY_DAYS, 'days')
+        .format('YYYYMMDD');
+
+    const rows = archive.getDelaySummaries({
+      routeShortName,
+      from: desde,
+      to: hasta,
+      weekdays: PUNCTUALITY_DAY_TYPES[dayType],
+    });
+    const { resumen, porLinea, porParada, porHora } =
+      summarizePunctuality(rows);
+
+    return {
+      linea: routeShortName ?? null,
+      desde,
+      hasta,
+      dias: dayType ?? 'todos',
+      resumen,
+      porLinea: porLinea.sort((a, b) =>
+        String(a.linea).localeCompare(String(b.linea), 'es', {
+          numeric: true,
+        }),
+      ),
+      porParada: porParada
+        .map(({ stopId, ...stats }) => {
+          const stop = stops.get(stopId)?.stop;
+          return {
+            parada: {
+              nombre: stop?.stop_name ?? null,
+              numero: stop?.stop_code ?? stopId,
+            },
+            ...stats,
+          };
+        })
+        .sort((a, b) => b.retrasoMedio - a.retrasoMedio),
+      porHora,
+    };
+  } catch (error) {
+    console.error('Error al calcular la puntualidad:', error);
+    return { error: 'Error al procesar la solicitud.' };
+  }
+};
+
+// Función para recuperar el geojson de los recorridos de un trip_id
+const fetchShapesForTrip = async (tripId) => {
+  try {
+    const shapes = await gtfs.getShapesAsGeoJSON({
+      trip_id: tripId,
+    });
+    return shapes;
+  } catch (error) {
+    console.error('Error fetching shapes:', error);
+    return null;
+  }
+};
+
+// Función para recuperar el geojson de las paradas de un trip_id
+const fetchStopsForTrip = async (tripId) => {
+  try {
+    const shapes = await gtfs.getStopsAsGeoJSON({
+      trip_id: tripId,
+    });
+    return shapes;
+  } catch (error) {
+    console.error('Error fetching shapes:', error);
+    return null;
+  }
+};
+
+const suspendedStops = async () => {
+  try {
+    // Obtener las alertas
+    const alerts = await gtfsGetAlerts();
+
+    // Obtener todas las paradas
+    const allStops = await gtfsGetStops();
+
+    return findSuspendedStops(alerts, allStops, { normalizeStopName });
   } catch (error) {
     console.error('Error al obtener las paradas suprimidas:', error);
     return [];
@@ -1113,7 +2238,8 @@ const suspendedStops = async () => {
 
 // Devuelve en segundos la diferencia de tiempo entre programado
 // y tiempo real de la parada anterior más cercana, no hay anterior
-// busca en la parada siguiente más cercana
+// busca en la parada siguiente más cercana. Ese retraso se ajusta con lo
+// que suele crecer en los tramos intermedios según el histórico.
 const getPropagatedDelay = async (tripId, stopSequence) => {
   try {
     // Obtener las stoptimes para el tripId
@@ -1143,7 +2269,7 @@ const getPropagatedDelay = async (tripId, stopSequence) => {
           const delaySeconds =
             (new Date(updatedArrival) - new Date(scheduledArrival)) / 1000;
 
-          return delaySeconds;
+          return predictStopDelay(stoptimes, i, stopSequence, delaySeconds);
         }
       }
     }
@@ -1172,7 +2298,7 @@ const getPropagatedDelay = async (tripId, stopSequence) => {
           const delaySeconds =
             (new Date(updatedArrival) - new Date(scheduledArrival)) / 1000;
 
-          return delaySeconds;
+          return predictStopDelay(stoptimes, i, stopSequence, delaySeconds);
         }
       }
     }
@@ -1185,6 +2311,114 @@ const getPropagatedDelay = async (tripId, stopSequence) => {
   }
 };
 
+// Entrena el predictor de retrasos con las últimas semanas del histórico.
+// Se repite tras cada importación estática, que puede cambiar las paradas.
+const updateDelayModel = () => {
+  if (!realtimeArchive) return;
+
+  try {
+    const today = moment().tz('Europe/Madrid');
+    delayModel = trainDelayModel(
+      realtimeArchive.getDelayGrowth({
+        from: today
+          .clone()
+          .subtract(DEFAULT_TRAINING_DAYS, 'days')
+          .format('YYYYMMDD'),
+        to: today.format('YYYYMMDD'),
+      }),
+    );
+    console.log(
+      `🧠 Predictor de retrasos: ${delayModel.segments.size} tramos entrenados`,
+    );
+  } catch (error) {
+    console.error('Error al entrenar el predictor de retrasos:', error);
+  }
+};
+
+// Ajusta con el predictor el retraso conocido en stoptimes[knownIndex] para
+// la parada `stopSequence` (o la última del viaje si no existe). Sin
+// histórico devuelve el mismo retraso.
+const predictStopDelay = (stoptimes, knownIndex, stopSequence, delay) => {
+  if (!delayModel?.segments.size) return delay;
+
+  const [trip] = gtfs.getTrips({ trip_id: stoptimes[knownIndex].trip_id });
+  const [route] = trip ? gtfs.getRoutes({ route_id: trip.route_id }) : [];
+  if (!route) return delay;
+
+  const targetIndex = stoptimes.findIndex(
+    (stoptime) => stoptime.stop_sequence >= stopSequence,
+  );
+  return predictDelay(delayModel, {
+    routeShortName: route.route_short_name,
+    stops: stoptimes.map((stoptime) => ({
+      stopId: stoptime.stop_id,
+      scheduledTime: timeToSeconds(
+        stoptime.arrival_time || stoptime.departure_time,
+      ),
+    })),
+    fromIndex: knownIndex,
+    toIndex: targetIndex === -1 ? stoptimes.length - 1 : targetIndex,
+    delay,
+  });
+};
+
+// Retraso que arrastra cada viaje desde el anterior de su bloque. Se
+// recalcula tras cada actualización GTFS-RT.
+const blockDelayCache = new Map();
+onRealtimeUpdate(() => blockDelayCache.clear());
+
+const loadBlockPropagatedDelay = async (tripId) => {
+  const now = moment().tz('Europe/Madrid');
+  const day = await getDayConnections(now.format('YYYYMMDD'));
+  const trip = day.tripsById.get(tripId);
+  if (!trip?.block_id) return null;
+
+  const agencyId = day.routesById.get(trip.route_id)?.agency_id;
+  const blockTrips = day.blocks.get(`${agencyId}:${trip.block_id}`) || [];
+  const previousTrip = getPreviousBlockTrip(blockTrips, tripId);
+  const nextTrip = blockTrips.find((blockTrip) => blockTrip.tripId === tripId);
+  if (!previousTrip) return null;
+
+  // Retraso previsto al final del viaje anterior
+  const delay = await getPropagatedDelay(previousTrip.tripId, Infinity);
+  const carriedDelay = getCarriedDelay({
+    previousEnd: previousTrip.end,
+    delay,
+    nextStart: nextTrip.start,
+    minLayover: blockMinLayover,
+  });
+
+  return carriedDelay > 0
+    ? { delay: carriedDelay, tripId: previousTrip.tripId }
+    : null;
+};
+
+const getBlockPropagatedDelay = (tripId) => {
+  if (!blockDelayCache.has(tripId)) {
+    blockDelayCache.set(
+      tripId,
+      loadBlockPropagatedDelay(tripId).catch((error) => {
+        console.error('Error al propagar el retraso del bloque:', error);
+        return null;
+      }),
+    );
+  }
+  return blockDelayCache.get(tripId);
+};
+
+// Retraso estimado para una parada sin datos en tiempo real: el del propio
+// viaje o, si no tiene ninguno, el que arrastra el vehículo desde el viaje
+// anterior de su bloque. `propagadoDesde` es el trip_id de ese viaje.
+const getEstimatedDelay = async (tripId, stopSequence) => {
+  const delay = await getPropagatedDelay(tripId, stopSequence);
+  if (delay !== null) return { delay, propagadoDesde: null };
+
+  const blockDelay = await getBlockPropagatedDelay(tripId);
+  return blockDelay
+    ? { delay: blockDelay.delay, propagadoDesde: blockDelay.tripId }
+    : { delay: null, propagadoDesde: null };
+};
+
 // Devuelve una lista de paradas para un tripId con su info y
 // sus tiempos programados y en tiempo real de llegada
 const gtfsGetTripSequence = async (tripId) => {
@@ -1227,6 +2461,7 @@ const gtfsGetTripSequence = async (tripId) => {
         let updated_arrival;
         let schedule_relationship;
         let propagated = 'false';
+        let propagadoDesde = null;
         let delay;
         if (
           realTimeArrival.length > 0 &&
@@ -1243,17 +2478,18 @@ const gtfsGetTripSequence = async (tripId) => {
         } else {
           // Si no hay datos realtime buscamos el delay más cercano
           // y lo aplicamos a la hora programada
-          const propagatedDelay = await getPropagatedDelay(
+          const estimatedDelay = await getEstimatedDelay(
             tripId,
             stoptime.stop_sequence,
           );
-          if (scheduled_arrival && propagatedDelay) {
+          if (scheduled_arrival && estimatedDelay.delay) {
             updated_arrival = moment
               .tz(scheduled_arrival, 'UTC')
               .tz('Europe/Madrid')
-              .add(propagatedDelay, 'seconds')
+              .add(estimatedDelay.delay, 'seconds')
               .format('YYYY-MM-DDTHH:mm:ssZ');
             propagated = 'true';
+            propagadoDesde = estimatedDelay.propagadoDesde;
             schedule_relationship = 'SCHEDULED';
           } else {
             updated_arrival = null;
@@ -1281,6 +2517,7 @@ const gtfsGetTripSequence = async (tripId) => {
           updated_arrival: updated_arrival ? updated_arrival : null,
           delay: delay !== undefined ? delay : null,
           propagated_delay: propagated ? propagated : null,
+          propagadoDesde,
           schedule_relationship: schedule_relationship
             ? schedule_relationship
             : null,
@@ -1295,12 +2532,719 @@ const gtfsGetTripSequence = async (tripId) => {
   }
 };
 
+// Agencias indexadas por agency_id y en el orden en que se importan
+const getAgencies = async () => {
+  const agencies = await gtfs.getAgencies();
+
+  return {
+    agenciesById: new Map(agencies.map((agency) => [agency.agency_id, agency])),
+    agencyOrder: new Map(
+      agencies.map((agency, index) => [agency.agency_id, index]),
+    ),
+  };
+};
+
+// Rutas con el nombre corto indicado, opcionalmente de una sola agencia.
+// Varias agencias pueden compartir nombre corto de línea.
+const findRoutesByShortName = async (routeShortName, agencyId) => {
+  const routes = await gtfs.getRoutes({ route_short_name: routeShortName });
+  return agencyId
+    ? routes.filter((route) => String(route.agency_id) === String(agencyId))
+    : routes;
+};
+
+// Catálogo de líneas de todas las agencias
+const gtfsGetLines = async (agencyId) => {
+  const { agenciesById, agencyOrder } = await getAgencies();
+  const routes = await gtfs.getRoutes();
+
+  return routes
+    .filter(
+      (route) => !agencyId || String(route.agency_id) === String(agencyId),
+    )
+    .map((route) => formatLine(route, agenciesById))
+    .sort(compareLines(agencyOrder));
+};
+
+// Detalle de una línea con las paradas ordenadas de cada sentido
+const gtfsGetLine = async (routeShortName, agencyId) => {
+  try {
+    const match = selectLineRoute(
+      await findRoutesByShortName(routeShortName, agencyId),
+    );
+    if (match.error) return match;
+    const { route } = match;
+
+    const { agenciesById } = await getAgencies();
+    const trips = await gtfs.getTrips({ route_id: route.route_id });
+    const stopTimes = trips.length
+      ? await gtfs.getStoptimes({
+          trip_id: trips.map((trip) => trip.trip_id),
+        })
+      : [];
+    const directions = getLineDirections(trips, stopTimes);
+
+    const stopIds = [
+      ...new Set(directions.flatMap((direction) => direction.stopIds)),
+    ];
+    const stops = stopIds.length
+      ? await gtfs.getStops({ stop_id: stopIds })
+      : [];
+    const stopsById = new Map(stops.map((stop) => [stop.stop_id, stop]));
+
+    const alertPeriod = getAlertPeriodForDate();
+    const alerts = (await getCurrentAlerts()).filter((alert) =>
+      isAlertActive(alert, alertPeriod),
+    );
+    const suspendedStopCodes = new Set(
+      findSuspendedStops(
+        alerts,
+        stops.map((stop) => ({
+          parada: { nombre: stop.stop_name, numero: stop.stop_code },
+        })),
+        { normalizeStopName },
+      ).map((stop) => stop.numero),
+    );
+
+    return {
+      ...formatLine(route, agenciesById),
+      alertas: getRouteAlerts(alerts, route.route_id, { period: alertPeriod }),
+      sentidos: directions.map((direction) => ({
+        sentido: direction.directionId,
+        destino: direction.headsign,
+        destinos: direction.headsigns,
+        paradas: direction.stopIds
+          .map((stopId) => stopsById.get(stopId))
+          .filter(Boolean)
+          .map((stop, index) => ({
+            orden: index + 1,
+            nombre: stop.stop_name,
+            numero: stop.stop_code,
+            latitud: stop.stop_lat,
+            longitud: stop.stop_lon,
+            suprimida: suspendedStopCodes.has(stop.stop_code),
+            alertas: getLineStopAlerts(
+              alerts,
+              route.route_id,
+              stop.stop_code,
+              alertPeriod,
+            ),
+          })),
+      })),
+    };
+  } catch (error) {
+    console.error('Error al obtener la línea %s:', routeShortName, error);
+    return { error: 'Error al procesar la solicitud.' };
+  }
+};
+
+// Cuadro horario completo de una línea para un día de servicio
+const gtfsGetLineTimetable = async (routeShortName, date, agencyId) => {
+  try {
+    const match = selectLineRoute(
+      await findRoutesByShortName(routeShortName, agencyId),
+    );
+    if (match.error) return match;
+    const { route } = match;
+
+    const { agenciesById } = await getAgencies();
+    const trips = await getActiveTrips(route.route_id, date);
+    const stopTimes = trips.length
+      ? await gtfs.getStoptimes({
+          trip_id: trips.map((trip) => trip.trip_id),
+        })
+      : [];
+    const timetable = buildTimetable(trips, stopTimes);
+
+    const stopIds = [
+      ...new Set(timetable.flatMap((direction) => direction.stopIds)),
+    ];
+    const stops = stopIds.length
+      ? await gtfs.getStops({ stop_id: stopIds })
+      : [];
+    const stopsById = new Map(stops.map((stop) => [stop.stop_id, stop]));
+
+    return {
+      ...formatLine(route, agenciesById),
+      fecha: date,
+      alertas: getRouteAlerts(await getCurrentAlerts(), route.route_id, {
+        period: getAlertPeriodForDate(date),
+      }),
+      sentidos: timetable.map((direction) => ({
+        sentido: direction.directionId,
+        destino: direction.headsign,
+        paradas: direction.stopIds.map((stopId) => ({
+          nombre: stopsById.get(stopId)?.stop_name ?? null,
+          numero: stopsById.get(stopId)?.stop_code ?? null,
+        })),
+        viajes: direction.trips.map((trip) => ({
+          trip_id: trip.tripId,
+          destino: trip.headsign,
+          horas: trip.times,
+        })),
+      })),
+    };
+  } catch (error) {
+    console.error(
+      'Error al obtener el horario de la línea %s:',
+      routeShortName,
+      error,
+    );
+    return { error: 'Error al procesar la solicitud.' };
+  }
+};
+
+// Regularidad en vivo de una línea: intervalos reales entre autobuses
+// consecutivos de cada sentido, agrupamientos y huecos
+const gtfsGetLineRegularity = async (
+  routeShortName,
+  agencyId,
+  bunchingThreshold,
+) => {
+  try {
+    const match = selectLineRoute(
+      await findRoutesByShortName(routeShortName, agencyId),
+    );
+    if (match.error) return match;
+    const { route } = match;
+
+    const { agenciesById } = await getAgencies();
+    const trips = await getActiveTrips(route.route_id);
+    const stopTimes = trips.length
+      ? await gtfs.getStoptimes({
+          trip_id: trips.map((trip) => trip.trip_id),
+        })
+      : [];
+    const stopTimesByTrip = groupByTrip(stopTimes);
+    const directions = buildTimetable(trips, stopTimes);
+    const directionByTrip = new Map(
+      directions.flatMap((direction) =>
+        direction.trips.map((trip) => [trip.tripId, direction]),
+      ),
+    );
+
+    const positions = (await gtfs.getVehiclePositions()).filter((position) =>
+      directionByTrip.has(position.trip_id),
+    );
+    const updatesByTrip = groupByTrip(
+      positions.length
+        ? await gtfs.getStopTimeUpdates({
+            trip_id: positions.map((position) => position.trip_id),
+          })
+        : [],
+    );
+    const now = Math.floor(Date.now() / 1000);
+    const today = moment().tz('Europe/Madrid').format('YYYYMMDD');
+
+    const vehicles = positions
+      .map((position) => {
+        const stopTimes = stopTimesByTrip.get(position.trip_id) || [];
+        const { nextStopTime, serviceDayStart, tripDelays } =
+          getVehicleProgress(position, {
+            stopTimes,
+            stopTimeUpdates: updatesByTrip.get(position.trip_id) || [],
+            now,
+            today,
+          });
+        const direction = directionByTrip.get(position.trip_id);
+
+        return {
+          vehicleId: position.vehicle_id ?? null,
+          tripId: position.trip_id,
+          matricula: position.vehicle_license_plate ?? null,
+          direction,
+          stopTimes,
+          serviceDayStart,
+          tripDelays,
+          nextStopId: nextStopTime?.stop_id ?? null,
+          progress: direction.stopIds.indexOf(nextStopTime?.stop_id),
+        };
+      })
+      .filter((vehicle) => vehicle.progress !== -1);
+
+    const arrivalsByStop = buildStopArrivals(
+      vehicles,
+      new Set(vehicles.map((vehicle) => vehicle.nextStopId)),
+    );
+    const getArrivals = (stopId) => arrivalsByStop.get(stopId) ?? new Map();
+
+    if (!stopsById.size) {
+      await rebuildStopsIndexes();
+    }
+
+    return {
+      ...formatLine(route, agenciesById),
+      umbralAgrupamiento: toHeadwayMinutes(bunchingThreshold),
+      sentidos: directions.map((direction) =>
+        summarizeDirection(
+          direction,
+          vehicles.filter((vehicle) => vehicle.direction === direction),
+          { getArrivals, stops: stopsById, bunchingThreshold },
+        ),
+      ),
+    };
+  } catch (error) {
+    console.error(
+      'Error al calcular la regularidad de la línea %s:',
+      routeShortName,
+      error,
+    );
+    return { error: 'Error al procesar la solicitud.' };
+  }
+};
+
+// Conexiones de cada día de servicio para el planificador de viajes. Se
+// guarda la promesa para no cargar el mismo día dos veces en paralelo y se
+// vacía tras cada importación estática.
+const journeyConnectionsCache = new Map();
+const MAX_CACHED_JOURNEY_DAYS = 2;
+// Los viajes nocturnos del día anterior (horas >= 24:00) se tienen en cuenta
+// al planificar de madrugada
+const PREVIOUS_DAY_TRIPS_UNTIL = 6 * 3600;
+// Margen para incluir conexiones programadas antes de la hora de salida que
+// en tiempo real pasan más tarde
+const REALTIME_DELAY_MARGIN = 30 * 60;
+const SECONDS_PER_DAY = 24 * 3600;
+
+const loadDayConnections = async (date) => {
+  const routes = await gtfs.getRoutes();
+  const tripsById = new Map();
+  const tripsStopTimes = [];
+
+  for (const route of routes) {
+    const trips = await getActiveTrips(route.route_id, date);
+    if (!trips.length) continue;
+
+    const stopTimes = await gtfs.getStoptimes(
+      { trip_id: trips.map((trip) => trip.trip_id) },
+      ['trip_id', 'stop_id', 'stop_sequence', 'arrival_time', 'departure_time'],
+    );
+    const stopTimesByTrip = new Map();
+    stopTimes.forEach((stopTime) => {
+      if (!stopTimesByTrip.has(stopTime.trip_id)) {
+        stopTimesByTrip.set(stopTime.trip_id, []);
+      }
+      stopTimesByTrip.get(stopTime.trip_id).push(stopTime);
+    });
+
+    trips.forEach((trip) => {
+      tripsById.set(trip.trip_id, trip);
+      tripsStopTimes.push({
+        tripId: trip.trip_id,
+        stopTimes: stopTimesByTrip.get(trip.trip_id) || [],
+      });
+    });
+  }
+
+  const connections = buildConnections(tripsStopTimes, { timeToSeconds });
+  console.log(
+    `🧭 Planificador: ${connections.length} conexiones cargadas para ${date}`,
+  );
+
+  const routesById = new Map(routes.map((route) => [route.route_id, route]));
+  const tripSpans = getTripSpans(connections);
+
+  return {
+    connections,
+    tripsById,
+    routesById,
+    tripSpans,
+    blocks: buildBlockIndex(
+      tripsById,
+      tripSpans,
+      (trip) => routesById.get(trip.route_id)?.agency_id,
+    ),
+  };
+};
+
+const getDayConnections = (date) => {
+  if (!journeyConnectionsCache.has(date)) {
+    const day = loadDayConnections(date).catch((error) => {
+      journeyConnectionsCache.delete(date);
+      throw error;
+    });
+    journeyConnectionsCache.set(date, day);
+
+    // Map mantiene el orden de inserción: descartamos los días más antiguos
+    while (journeyConnectionsCache.size > MAX_CACHED_JOURNEY_DAYS) {
+      journeyConnectionsCache.delete(
+        journeyConnectionsCache.keys().next().value,
+      );
+    }
+  }
+
+  return journeyConnectionsCache.get(date);
+};
+
+// Conexiones que pueden formar parte de un itinerario que sale a
+// `departureTime`, incluidas las de madrugada del día de servicio anterior
+const getJourneyConnections = async (date, departureTime) => {
+  const from = departureTime - REALTIME_DELAY_MARGIN;
+  const to = departureTime + DEFAULT_MAX_DURATION;
+  const day = await getDayConnections(date);
+  const inWindow = (connection) =>
+    connection.departure >= from && connection.departure <= to;
+
+  const connections = day.connections.filter(inWindow);
+  const tripsById = new Map(day.tripsById);
+  const routesById = new Map(day.routesById);
+
+  if (departureTime < PREVIOUS_DAY_TRIPS_UNTIL) {
+    const previousDate = moment(date, 'YYYYMMDD')
+      .subtract(1, 'days')
+      .format('YYYYMMDD');
+    const previousDay = await getDayConnections(previousDate);
+
+    previousDay.connections.forEach((connection) => {
+      if (connection.departure < SECONDS_PER_DAY) return;
+
+      const shifted = {
+        ...connection,
+        departure: connection.departure - SECONDS_PER_DAY,
+        arrival: connection.arrival - SECONDS_PER_DAY,
+      };
+      if (inWindow(shifted)) {
+        connections.push(shifted);
+        tripsById.set(
+          connection.tripId,
+          previousDay.tripsById.get(connection.tripId),
+        );
+      }
+    });
+    previousDay.routesById.forEach((route, routeId) =>
+      routesById.set(routeId, route),
+    );
+    connections.sort((a, b) => a.departure - b.departure);
+  }
+
+  return { connections, tripsById, routesById };
+};
+
+// Aplica los retrasos de los stop_time_updates a las conexiones
+const applyRealtimeToConnections = async (connections, date) => {
+  const stopTimeUpdates = await gtfs.getStopTimeUpdates();
+  if (!stopTimeUpdates.length) return connections;
+
+  const tripIds = new Set(stopTimeUpdates.map((update) => update.trip_id));
+  const scheduledTimes = new Map();
+  connections.forEach((connection) => {
+    if (!tripIds.has(connection.tripId)) return;
+    scheduledTimes.set(
+      `${connection.tripId}:${connection.fromSequence}`,
+      connection.departure,
+    );
+    scheduledTimes.set(
+      `${connection.tripId}:${connection.toSequence}`,
+      connection.arrival,
+    );
+  });
+
+  const delaysByTrip = getTripDelays(stopTimeUpdates, {
+    serviceDayStart: moment.tz(date, 'YYYYMMDD', 'Europe/Madrid').unix(),
+    getScheduledTime: (tripId, stopSequence) =>
+      scheduledTimes.get(`${tripId}:${stopSequence}`) ?? null,
+  });
+
+  return applyTripDelays(connections, delaysByTrip);
+};
+
+const formatServiceTime = (date, seconds) =>
+  moment
+    .tz(date, 'YYYYMMDD', 'Europe/Madrid')
+    .add(seconds, 'seconds')
+    .format('YYYY-MM-DDTHH:mm:ssZ');
+
+const formatJourneyPlace = (stopId, coordinates) => {
+  const stop = stopsById.get(stopId)?.stop;
+  if (!stop) {
+    return { nombre: null, numero: null, ...coordinates };
+  }
+
+  return {
+    nombre: stop.stop_name,
+    numero: stop.stop_code,
+    latitud: stop.stop_lat,
+    longitud: stop.stop_lon,
+  };
+};
+
+const formatStationPlace = (station) => ({
+  nombre: station?.nombre ?? null,
+  estacion: station?.id ?? null,
+  latitud: station?.latitud ?? null,
+  longitud: station?.longitud ?? null,
+  bicisDisponibles: station?.bicisDisponibles ?? null,
+  anclajesLibres: station?.anclajesLibres ?? null,
+});
+
+const toMinutes = (seconds) => Math.round(seconds / 60);
+
+// Trayectos en bici que pueden formar parte de un itinerario: desde el
+// origen hasta una parada, desde una parada hasta el destino y directamente
+// del origen al destino, con las estaciones que ahora mismo tienen bicis o
+// anclajes libres
+const getBikeJourneyOptions = (
+  origin,
+  destination,
+  stations,
+  findStopsNear,
+) => {
+  const nearPoint = (point) => (station) => {
+    const distance = haversineDistance(
+      point.lat,
+      point.lon,
+      station.latitud,
+      station.longitud,
+    );
+    return distance <= DEFAULT_MAX_STATION_DISTANCE
+      ? [{ stopId: null, distance }]
+      : [];
+  };
+  const nearStops = (station) =>
+    findStopsNear(
+      station.latitud,
+      station.longitud,
+      DEFAULT_MAX_TRANSFER_DISTANCE,
+    );
+
+  const accessStops = findBikeRides({
+    stations,
+    getStartsNear: nearPoint(origin),
+    getEndsNear: nearStops,
+  }).map((ride) => ({
+    stopId: ride.end.stopId,
+    duration: ride.duration,
+    legs: getBikeRideLegs(ride),
+  }));
+  const egressStops = findBikeRides({
+    stations,
+    getStartsNear: nearStops,
+    getEndsNear: nearPoint(destination),
+  }).map((ride) => ({
+    stopId: ride.start.stopId,
+    duration: ride.duration,
+    legs: getBikeRideLegs(ride),
+  }));
+  const [directRide] = findBikeRides({
+    stations,
+    getStartsNear: nearPoint(origin),
+    getEndsNear: nearPoint(destination),
+  });
+
+  return { accessStops, egressStops, directRide: directRide ?? null };
+};
+
+// Planifica itinerarios entre dos coordenadas saliendo a la hora (HH:mm)
+// y fecha (YYYYMMDD) indicadas, o ahora si no se indican. Con
+// `bikeStations` (estaciones GBFS con su disponibilidad) los itinerarios
+// pueden empezar o terminar en bici.
+const gtfsPlanJourney = async (
+  origin,
+  destination,
+  date,
+  time,
+  { bikeStations = null } = {},
+) => {
+  try {
+    const now = moment().tz('Europe/Madrid');
+    const today = now.format('YYYYMMDD');
+    date = date || today;
+    const departureTime = timeToSeconds(time || now.format('HH:mm:ss'));
+
+    if (!stopsSpatialIndex) {
+      await rebuildStopsIndexes();
+    }
+
+    if (!stopsSpatialIndex) {
+      return { error: 'Error al procesar la solicitud.' };
+    }
+
+    const { tripsById, routesById, ...window } = await getJourneyConnections(
+      date,
+      departureTime,
+    );
+    const connections =
+      date === today
+        ? await applyRealtimeToConnections(window.connections, date)
+        : window.connections;
+
+    const findStopsNear = (lat, lon, radius) =>
+      stopsSpatialIndex
+        .within(lat, lon, radius)
+        .map(({ item, distance }) => ({ stopId: item.stop.stop_id, distance }));
+    const transfersByStop = new Map();
+    const getTransfers = (stopId) => {
+      if (!transfersByStop.has(stopId)) {
+        const stop = stopsById.get(stopId)?.stop;
+        transfersByStop.set(
+          stopId,
+          stop
+            ? findStopsNear(
+                stop.stop_lat,
+                stop.stop_lon,
+                DEFAULT_MAX_TRANSFER_DISTANCE,
+              )
+            : [],
+        );
+      }
+      return transfersByStop.get(stopId);
+    };
+
+    const directDistance = haversineDistance(
+      origin.lat,
+      origin.lon,
+      destination.lat,
+      destination.lon,
+    );
+    const bike = bikeStations
+      ? getBikeJourneyOptions(origin, destination, bikeStations, findStopsNear)
+      : { accessStops: [], egressStops: [], directRide: null };
+    // Ir en bici solo tiene sentido si es más rápido que ir andando
+    const directLegs =
+      bike.directRide &&
+      bike.directRide.duration < getWalkingTime(directDistance)
+        ? getBikeRideLegs(bike.directRide)
+        : null;
+
+    const itineraries = planJourneys({
+      connections,
+      departureTime,
+      accessStops: [
+        ...findStopsNear(origin.lat, origin.lon, DEFAULT_MAX_ACCESS_DISTANCE),
+        ...bike.accessStops,
+      ],
+      egressStops: [
+        ...findStopsNear(
+          destination.lat,
+          destination.lon,
+          DEFAULT_MAX_ACCESS_DISTANCE,
+        ),
+        ...bike.egressStops,
+      ],
+      directDistance,
+      directLegs,
+      getTransfers,
+    });
+
+    const { agenciesById } = await getAgencies();
+    const originPlace = { latitud: origin.lat, longitud: origin.lon };
+    const destinationPlace = {
+      latitud: destination.lat,
+      longitud: destination.lon,
+    };
+
+    const stationsById = new Map(
+      (bikeStations || []).map((station) => [station.id, station]),
+    );
+    const formatPlace = (stopId, stationId, coordinates) =>
+      stationId
+        ? formatStationPlace(stationsById.get(stationId))
+        : formatJourneyPlace(stopId, coordinates);
+
+    const formatLeg = (leg) => {
+      const common = {
+        desde: formatPlace(leg.fromStopId, leg.fromStationId, originPlace),
+        hasta: formatPlace(leg.toStopId, leg.toStationId, destinationPlace),
+        salida: formatServiceTime(date, leg.departure),
+        llegada: formatServiceTime(date, leg.arrival),
+        duracion: toMinutes(leg.arrival - leg.departure),
+      };
+
+      if (leg.type === 'walk') {
+        return {
+          tipo: 'caminar',
+          ...common,
+          distancia: Math.round(leg.distance),
+        };
+      }
+
+      if (leg.type === 'bike') {
+        return {
+          tipo: 'bici',
+          ...common,
+          distancia: Math.round(leg.distance),
+        };
+      }
+
+      const trip = tripsById.get(leg.tripId);
+      const route = routesById.get(trip?.route_id);
+      const line = route ? formatLine(route, agenciesById) : null;
+
+      return {
+        tipo: 'bus',
+        ...common,
+        linea: line?.linea ?? null,
+        color: line?.color ?? null,
+        agencia: line?.agencia ?? null,
+        destino: trip?.trip_headsign ?? null,
+        trip_id: leg.tripId,
+        paradas: leg.stopsCount,
+        salidaProgramada: formatServiceTime(date, leg.scheduledDeparture),
+        llegadaProgramada: formatServiceTime(date, leg.scheduledArrival),
+        tiempoReal: leg.delay !== null,
+        retraso: leg.delay !== null ? toMinutes(leg.delay) : null,
+      };
+    };
+
+    return {
+      origen: originPlace,
+      destino: destinationPlace,
+      fecha: date,
+      hora: formatServiceTime(date, departureTime),
+      itinerarios: itineraries.map((itinerary) => {
+        const walkLegs = itinerary.legs.filter((leg) => leg.type === 'walk');
+        const bikeLegs = itinerary.legs.filter((leg) => leg.type === 'bike');
+        const transitLegs = itinerary.legs.filter(
+          (leg) => leg.type === 'transit',
+        );
+
+        return {
+          salida: formatServiceTime(date, itinerary.departure),
+          llegada: formatServiceTime(date, itinerary.arrival),
+          duracion: toMinutes(itinerary.arrival - itinerary.departure),
+          transbordos: Math.max(0, transitLegs.length - 1),
+          distanciaCaminando: Math.round(
+            walkLegs.reduce((total, leg) => total + leg.distance, 0),
+          ),
+          distanciaBici: Math.round(
+            bikeLegs.reduce((total, leg) => total + leg.distance, 0),
+          ),
+          tramos: itinerary.legs.map(formatLeg),
+        };
+      }),
+    };
+  } catch (error) {
+    console.error('Error al planificar el viaje:', error);
+    return { error: 'Error al procesar la solicitud.' };
+  }
+};
+
 module.exports = {
   gtfsGetStop,
+  gtfsGetStopLocation,
   gtfsGetStops,
+  gtfsGetNearbyStops,
+  gtfsSearchStops,
   initializeGtfs,
   gtfsGetAlerts,
   gtfsGetBusPosition,
+  gtfsGetLines,
+  gtfsGetLine,
+  gtfsGetLineTimetable,
+  gtfsGetLineRegularity,
+  gtfsPlanJourney,
+  gtfsSubscribeStop,
+  gtfsConnectVehicleFeed,
+  gtfsGetVehicles,
+  gtfsGetVehiclesGeoJSON,
+  gtfsGetRealtimeFeed,
+  gtfsGetPunctuality,
+  gtfsGetGhostTrips,
+  gtfsGetEstimatedPositions,
+  gtfsGetFilteredAlerts,
+  gtfsGetAlertHistory,
+  gtfsGetAlertsFeed,
+  onRealtimeUpdate,
   fetchShapesForTrip,
   fetchStopsForTrip,
   gtfsGetTripSequence,
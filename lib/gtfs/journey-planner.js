@@ -0,0 +1,460 @@
+// Planificador de viajes basado en el algoritmo Connection Scan (CSA).
+// Una conexión es el tramo de un viaje entre dos paradas consecutivas; al
+// recorrerlas ordenadas por hora de salida se obtiene la llegada más
+// temprana a cada parada sin necesidad de un grafo.
+
+const WALKING_SPEED = 1.1; // m/s, contando cruces y desvíos
+const DEFAULT_MAX_ACCESS_DISTANCE = 800;
+const DEFAULT_MAX_TRANSFER_DISTANCE = 300;
+const DEFAULT_MAX_DIRECT_WALK_DISTANCE = 2000;
+const DEFAULT_MIN_TRANSFER_TIME = 60;
+const DEFAULT_MAX_DURATION = 3 * 3600;
+const DEFAULT_MAX_ITINERARIES = 3;
+
+const getWalkingTime = (distance, walkingSpeed = WALKING_SPEED) =>
+  Math.ceil(distance / walkingSpeed);
+
+// Los accesos, salidas y tramos sin autobús son un tramo a pie o una
+// secuencia de tramos (a pie y en bici) con su duración total
+const getLegDuration = (leg, walkingSpeed) =>
+  leg.duration ?? getWalkingTime(leg.distance, walkingSpeed);
+
+// Convierte los stop_times de cada viaje en conexiones ordenadas por salida
+const buildConnections = (tripsStopTimes, { timeToSeconds }) => {
+  const connections = [];
+
+  tripsStopTimes.forEach(({ tripId, stopTimes }) => {
+    const sorted = [...stopTimes].sort(
+      (a, b) => a.stop_sequence - b.stop_sequence,
+    );
+
+    for (let i = 0; i < sorted.length - 1; i++) {
+      const from = sorted[i];
+      const to = sorted[i + 1];
+      const departure = timeToSeconds(from.departure_time || from.arrival_time);
+      const arrival = timeToSeconds(to.arrival_time || to.departure_time);
+      if (departure === null || arrival === null) continue;
+
+      connections.push({
+        tripId,
+        fromStopId: from.stop_id,
+        toStopId: to.stop_id,
+        fromSequence: from.stop_sequence,
+        toSequence: to.stop_sequence,
+        departure,
+        arrival,
+      });
+    }
+  });
+
+  return connections.sort((a, b) => a.departure - b.departure);
+};
+
+const toFiniteNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Retrasos en segundos por viaje y stop_sequence a partir de los
+// stop_time_updates. Como en getPropagatedDelay, comparamos el timestamp
+// previsto con la hora programada; si el feed no lo trae usamos el retraso.
+const getTripDelays = (
+  stopTimeUpdates,
+  { serviceDayStart, getScheduledTime },
+) => {
+  const delaysByTrip = new Map();
+
+  stopTimeUpdates.forEach((update) => {
+    if (
+      update.schedule_relationship === 'SKIPPED' ||
+      update.schedule_relationship === 'NO_DATA'
+    ) {
+      return;
+    }
+
+    const timestamp =
+      toFiniteNumber(update.arrival_timestamp) ??
+      toFiniteNumber(update.departure_timestamp);
+    const scheduled = getScheduledTime(update.trip_id, update.stop_sequence);
+    const delay =
+      timestamp !== null && scheduled !== null
+        ? timestamp - (serviceDayStart + scheduled)
+        : (toFiniteNumber(update.arrival_delay) ??
+          toFiniteNumber(update.departure_delay));
+    if (delay === null) return;
+
+    if (!delaysByTrip.has(update.trip_id)) delaysByTrip.set(update.trip_id, []);
+    delaysByTrip
+      .get(update.trip_id)
+      .push({ sequence: Number(update.stop_sequence), delay });
+  });
+
+  delaysByTrip.forEach((delays) =>
+    delays.sort((a, b) => a.sequence - b.sequence),
+  );
+
+  return delaysByTrip;
+};
+
+// Retraso aplicable en una parada: el de la parada anterior más cercana con
+// datos o, si no hay, el de la siguiente (igual que getPropagatedDelay)
+const getDelayAtSequence = (tripDelays, sequence) => {
+  if (!tripDelays || !tripDelays.length) return null;
+
+  let delay = null;
+  for (const entry of tripDelays) {
+    if (entry.sequence > sequence) break;
+    delay = entry.delay;
+  }
+
+  return delay ?? tripDelays[0].delay;
+};
+
+// Aplica los retrasos en tiempo real y reordena las conexiones
+const applyTripDelays = (connections, delaysByTrip) =>
+  connections
+    .map((connection) => {
+      const tripDelays = delaysByTrip.get(connection.tripId);
+      if (!tripDelays) return connection;
+
+      const departureDelay = getDelayAtSequence(
+        tripDelays,
+        connection.fromSequence,
+      );
+      const arrivalDelay = getDelayAtSequence(
+        tripDelays,
+        connection.toSequence,
+      );
+
+      return {
+        ...connection,
+        departure: connection.departure + departureDelay,
+        arrival: connection.arrival + arrivalDelay,
+        scheduledDeparture: connection.departure,
+        scheduledArrival: connection.arrival,
+        delay: arrivalDelay,
+      };
+    })
+    .sort((a, b) => a.departure - b.departure);
+
+// Una pasada del CSA: llegada más temprana al destino saliendo a
+// `departureTime`. Devuelve los tramos o null si no hay itinerario. Los
+// accesos y salidas con `legs` (por ejemplo, en bici) se añaden tal cual al
+// itinerario en lugar de un tramo a pie.
+const scanConnections = ({
+  connections,
+  departureTime,
+  accessStops,
+  egressStops,
+  getTransfers,
+  walkingSpeed,
+  minTransferTime,
+  maxDuration,
+}) => {
+  const arrivals = new Map();
+  const pointers = new Map();
+  const tripBoardings = new Map();
+  const egressByStop = new Map();
+  egressStops.forEach((egress) => {
+    const current = egressByStop.get(egress.stopId);
+    if (
+      !current ||
+      getLegDuration(egress, walkingSpeed) <
+        getLegDuration(current, walkingSpeed)
+    ) {
+      egressByStop.set(egress.stopId, egress);
+    }
+  });
+  let bestArrival = Infinity;
+  let bestEgress = null;
+
+  const reachStop = (stopId, time, pointer) => {
+    if (time >= (arrivals.get(stopId) ?? Infinity)) return false;
+
+    arrivals.set(stopId, time);
+    pointers.set(stopId, pointer);
+
+    // Solo se sale hacia el destino después de haber cogido algún autobús:
+    // ir andando sin autobús es el itinerario directo de planJourneys
+    if (pointer.type !== 'access' && egressByStop.has(stopId)) {
+      const egress = egressByStop.get(stopId);
+      const targetArrival = time + getLegDuration(egress, walkingSpeed);
+      if (targetArrival < bestArrival) {
+        bestArrival = targetArrival;
+        bestEgress = egress;
+      }
+    }
+
+    return true;
+  };
+
+  accessStops.forEach((access) => {
+    reachStop(
+      access.stopId,
+      departureTime + getLegDuration(access, walkingSpeed),
+      { type: 'access', distance: access.distance, legs: access.legs },
+    );
+  });
+
+  const latestDeparture = departureTime + maxDuration;
+
+  for (let index = 0; index < connections.length; index++) {
+    const connection = connections[index];
+    if (connection.departure < departureTime) continue;
+    if (connection.departure >= bestArrival) break;
+    if (connection.departure > latestDeparture) break;
+
+    if (!tripBoardings.has(connection.tripId)) {
+      const reachedAt = arrivals.get(connection.fromStopId);
+      if (reachedAt === undefined) continue;
+
+      // Cambiar de autobús en la misma parada requiere un margen mínimo
+      const pointer = pointers.get(connection.fromStopId);
+      const buffer = pointer.type === 'transit' ? minTransferTime : 0;
+      if (reachedAt + buffer > connection.departure) continue;
+
+      tripBoardings.set(connection.tripId, index);
+    }
+
+    const improved = reachStop(connection.toStopId, connection.arrival, {
+      type: 'transit',
+      boardIndex: tripBoardings.get(connection.tripId),
+      alightIndex: index,
+    });
+
+    if (improved) {
+      // Transbordos a pie hacia paradas cercanas
+      getTransfers(connection.toStopId).forEach(({ stopId, distance }) => {
+        if (stopId === connection.toStopId) return;
+        reachStop(
+          stopId,
+          connection.arrival + getWalkingTime(distance, walkingSpeed),
+          { type: 'walk', fromStopId: connection.toStopId, distance },
+        );
+      });
+    }
+  }
+
+  if (!bestEgress) return null;
+
+  // Reconstruimos el itinerario desde el destino hacia el origen
+  const legs = bestEgress.legs
+    ? [...bestEgress.legs].reverse()
+    : [
+        {
+          type: 'walk',
+          fromStopId: bestEgress.stopId,
+          toStopId: null,
+          distance: bestEgress.distance,
+        },
+      ];
+  let stopId = bestEgress.stopId;
+
+  while (stopId !== null) {
+    const pointer = pointers.get(stopId);
+
+    if (pointer.type === 'access') {
+      if (pointer.legs) {
+        legs.push(...[...pointer.legs].reverse());
+      } else {
+        legs.push({
+          type: 'walk',
+          fromStopId: null,
+          toStopId: stopId,
+          distance: pointer.distance,
+        });
+      }
+      stopId = null;
+    } else if (pointer.type === 'walk') {
+      legs.push({
+        type: 'walk',
+        fromStopId: pointer.fromStopId,
+        toStopId: stopId,
+        distance: pointer.distance,
+      });
+      stopId = pointer.fromStopId;
+    } else {
+      const board = connections[pointer.boardIndex];
+      const alight = connections[pointer.alightIndex];
+      let stopsCount = 0;
+      for (let i = pointer.boardIndex; i <= pointer.alightIndex; i++) {
+        if (connections[i].tripId === board.tripId) stopsCount++;
+      }
+
+      legs.push({
+        type: 'transit',
+        tripId: board.tripId,
+        fromStopId: board.fromStopId,
+        toStopId: alight.toStopId,
+        departure: board.departure,
+        arrival: alight.arrival,
+        scheduledDeparture: board.scheduledDeparture ?? board.departure,
+        scheduledArrival: alight.scheduledArrival ?? alight.arrival,
+        delay: alight.delay ?? null,
+        stopsCount,
+      });
+      stopId = board.fromStopId;
+    }
+  }
+
+  return legs.reverse();
+};
+
+// Completa las horas de los tramos sin autobús: los anteriores al primer
+// autobús terminan justo cuando sale y el resto empiezan al terminar el
+// tramo anterior
+const scheduleLegs = (legs, walkingSpeed) => {
+  const firstTransitIndex = legs.findIndex((leg) => leg.type === 'transit');
+  let clock = legs[firstTransitIndex].departure;
+
+  const accessLegs = legs
+    .slice(0, firstTransitIndex)
+    .reverse()
+    .map((leg) => {
+      const duration = getLegDuration(leg, walkingSpeed);
+      const accessLeg = { ...leg, departure: clock - duration, arrival: clock };
+      clock -= duration;
+      return accessLeg;
+    })
+    .reverse();
+
+  return [
+    ...accessLegs,
+    ...legs.slice(firstTransitIndex).map((leg) => {
+      if (leg.type === 'transit') {
+        clock = leg.arrival;
+        return leg;
+      }
+
+      const duration = getLegDuration(leg, walkingSpeed);
+      const scheduledLeg = {
+        ...leg,
+        departure: clock,
+        arrival: clock + duration,
+      };
+      clock += duration;
+      return scheduledLeg;
+    }),
+  ];
+};
+
+// Horas de un itinerario sin autobús que sale a `departureTime`
+const scheduleDirectLegs = (legs, departureTime, walkingSpeed) => {
+  let clock = departureTime;
+
+  return legs.map((leg) => {
+    const duration = getLegDuration(leg, walkingSpeed);
+    const scheduledLeg = {
+      ...leg,
+      departure: clock,
+      arrival: clock + duration,
+    };
+    clock += duration;
+    return scheduledLeg;
+  });
+};
+
+const getItineraryKey = (legs) =>
+  legs
+    .filter((leg) => leg.type === 'transit')
+    .map((leg) => `${leg.tripId}:${leg.fromStopId}:${leg.toStopId}`)
+    .join('|');
+
+// Busca varios itinerarios alternativos: tras cada resultado se repite la
+// búsqueda saliendo justo después del primer autobús del anterior. Además
+// de ir andando, `directLegs` permite proponer otro itinerario sin autobús
+// (por ejemplo, en bici).
+const planJourneys = ({
+  connections,
+  departureTime,
+  accessStops,
+  egressStops,
+  directDistance = null,
+  directLegs = null,
+  getTransfers = () => [],
+  walkingSpeed = WALKING_SPEED,
+  minTransferTime = DEFAULT_MIN_TRANSFER_TIME,
+  maxDuration = DEFAULT_MAX_DURATION,
+  maxDirectWalkDistance = DEFAULT_MAX_DIRECT_WALK_DISTANCE,
+  maxItineraries = DEFAULT_MAX_ITINERARIES,
+}) => {
+  const itineraries = [];
+  const seen = new Set();
+  let searchTime = departureTime;
+
+  while (itineraries.length < maxItineraries) {
+    const legs = scanConnections({
+      connections,
+      departureTime: searchTime,
+      accessStops,
+      egressStops,
+      getTransfers,
+      walkingSpeed,
+      minTransferTime,
+      maxDuration,
+    });
+    if (!legs) break;
+
+    const scheduledLegs = scheduleLegs(legs, walkingSpeed);
+    const key = getItineraryKey(scheduledLegs);
+    if (!seen.has(key)) {
+      seen.add(key);
+      itineraries.push({
+        departure: scheduledLegs[0].departure,
+        arrival: scheduledLegs[scheduledLegs.length - 1].arrival,
+        legs: scheduledLegs,
+      });
+    }
+
+    const firstTransit = scheduledLegs.find((leg) => leg.type === 'transit');
+    const accessTime = firstTransit.departure - scheduledLegs[0].departure;
+    searchTime = Math.max(
+      searchTime + 1,
+      firstTransit.departure - accessTime + 1,
+    );
+  }
+
+  if (directDistance !== null && directDistance <= maxDirectWalkDistance) {
+    const duration = getWalkingTime(directDistance, walkingSpeed);
+    itineraries.push({
+      departure: departureTime,
+      arrival: departureTime + duration,
+      legs: [
+        {
+          type: 'walk',
+          fromStopId: null,
+          toStopId: null,
+          distance: directDistance,
+          departure: departureTime,
+          arrival: departureTime + duration,
+        },
+      ],
+    });
+  }
+
+  if (directLegs) {
+    const legs = scheduleDirectLegs(directLegs, departureTime, walkingSpeed);
+    itineraries.push({
+      departure: departureTime,
+      arrival: legs[legs.length - 1].arrival,
+      legs,
+    });
+  }
+
+  return itineraries.sort((a, b) => a.arrival - b.arrival);
+};
+
+module.exports = {
+  DEFAULT_MAX_ACCESS_DISTANCE,
+  DEFAULT_MAX_DURATION,
+  DEFAULT_MAX_TRANSFER_DISTANCE,
+  WALKING_SPEED,
+  applyTripDelays,
+  buildConnections,
+  getDelayAtSequence,
+  getLegDuration,
+  getTripDelays,
+  getWalkingTime,
+  planJourneys,
+};
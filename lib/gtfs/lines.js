@@ -0,0 +1,231 @@
+const formatColor = (color) => (color ? `#${String(color).trim()}` : null);
+
+// Formato común de una línea en el catálogo
+const formatLine = (route, agenciesById = new Map()) => {
+  const agency = agenciesById.get(route.agency_id);
+
+  return {
+    linea: route.route_short_name || route.route_long_name,
+    nombre: route.route_long_name || null,
+    color: formatColor(route.route_color),
+    colorTexto: formatColor(route.route_text_color),
+    tipo: route.route_type ?? null,
+    gtfsRouteId: route.route_id,
+    agencia: {
+      id: route.agency_id ?? null,
+      nombre: agency?.agency_name ?? null,
+    },
+  };
+};
+
+// Ordena las líneas por agencia y después por nombre corto de forma
+// natural ("2" antes que "10", "C1" antes que "C2")
+const compareLines = (agencyOrder) => (a, b) => {
+  const agencyA = agencyOrder.get(a.agencia.id) ?? Number.MAX_SAFE_INTEGER;
+  const agencyB = agencyOrder.get(b.agencia.id) ?? Number.MAX_SAFE_INTEGER;
+  if (agencyA !== agencyB) return agencyA - agencyB;
+
+  return String(a.linea).localeCompare(String(b.linea), 'es', {
+    numeric: true,
+    sensitivity: 'base',
+  });
+};
+
+// Ruta de una línea entre las que comparten su nombre corto. Si son de
+// varias agencias no sabemos cuál es y pedimos que se indique la agencia.
+const selectLineRoute = (routes) => {
+  if (!routes.length) return { error: 'No existe esa línea' };
+
+  const agencyIds = [
+    ...new Set(routes.map((route) => String(route.agency_id))),
+  ];
+  if (agencyIds.length > 1) {
+    return {
+      error:
+        'Varias agencias tienen una línea con ese nombre, indica la agencia',
+      agencias: agencyIds,
+    };
+  }
+
+  return { route: routes[0] };
+};
+
+// Los feeds propios no siempre traen direction_id; en ese caso agrupamos
+// los viajes por destino
+const getDirectionKey = (trip) =>
+  trip.direction_id !== undefined && trip.direction_id !== null
+    ? `direction:${trip.direction_id}`
+    : `headsign:${trip.trip_headsign ?? ''}`;
+
+const countBy = (values) =>
+  values.reduce((counts, value) => {
+    counts.set(value, (counts.get(value) || 0) + 1);
+    return counts;
+  }, new Map());
+
+const getMostFrequent = (counts) =>
+  [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+
+// Segundos desde el inicio del día de servicio (admite horas >= 24)
+const timeToSeconds = (time) => {
+  if (!time) return null;
+  const [hh, mm, ss] = String(time).split(':').map(Number);
+  return hh * 3600 + mm * 60 + (ss || 0);
+};
+
+// Agrupa los viajes por sentido junto a sus stop_times ordenados
+const groupTripsByDirection = (trips, stopTimes) => {
+  const stopTimesByTrip = new Map();
+  stopTimes.forEach((stopTime) => {
+    if (!stopTimesByTrip.has(stopTime.trip_id)) {
+      stopTimesByTrip.set(stopTime.trip_id, []);
+    }
+    stopTimesByTrip.get(stopTime.trip_id).push(stopTime);
+  });
+
+  const directions = new Map();
+  trips.forEach((trip) => {
+    const tripStopTimes = (stopTimesByTrip.get(trip.trip_id) || []).sort(
+      (a, b) => a.stop_sequence - b.stop_sequence,
+    );
+    if (!tripStopTimes.length) return;
+
+    const key = getDirectionKey(trip);
+    if (!directions.has(key)) {
+      directions.set(key, {
+        directionId: trip.direction_id ?? null,
+        headsigns: [],
+        trips: [],
+      });
+    }
+
+    const direction = directions.get(key);
+    direction.trips.push({ trip, stopTimes: tripStopTimes });
+    if (trip.trip_headsign) direction.headsigns.push(trip.trip_headsign);
+  });
+
+  return [...directions.values()].sort(
+    (a, b) => (a.directionId ?? 0) - (b.directionId ?? 0),
+  );
+};
+
+// Elige como recorrido de cada sentido la secuencia de paradas más repetida.
+// Los viajes cortos o con variantes no alteran la lista de paradas, pero sus
+// destinos sí se incluyen.
+const getLineDirections = (trips, stopTimes) =>
+  groupTripsByDirection(trips, stopTimes).map((direction) => {
+    const patterns = new Map();
+    direction.trips.forEach(({ stopTimes: tripStopTimes }) => {
+      const stopIds = tripStopTimes.map((stopTime) => stopTime.stop_id);
+      const patternKey = stopIds.join('|');
+      if (!patterns.has(patternKey)) {
+        patterns.set(patternKey, { stopIds, count: 0 });
+      }
+      patterns.get(patternKey).count++;
+    });
+
+    const mainPattern = [...patterns.values()].sort(
+      (a, b) => b.count - a.count || b.stopIds.length - a.stopIds.length,
+    )[0];
+    const headsignCounts = countBy(direction.headsigns);
+
+    return {
+      directionId: direction.directionId,
+      headsign: getMostFrequent(headsignCounts),
+      headsigns: [...headsignCounts.keys()],
+      stopIds: mainPattern.stopIds,
+    };
+  });
+
+// Une las secuencias de paradas de las distintas variantes de un sentido en
+// una sola lista ordenada. Partimos de la variante más larga e insertamos
+// las paradas que faltan justo detrás de la anterior parada conocida. Cada
+// parada se busca por delante de la anterior, así los viajes circulares que
+// pasan dos veces por la misma parada tienen una columna para cada paso.
+const mergeStopSequences = (sequences) => {
+  const [longest, ...rest] = [...sequences].sort((a, b) => b.length - a.length);
+  const merged = [...(longest || [])];
+
+  rest.forEach((sequence) => {
+    let previousIndex = -1;
+    sequence.forEach((stopId) => {
+      const index = merged.indexOf(stopId, previousIndex + 1);
+      if (index !== -1) {
+        previousIndex = index;
+        return;
+      }
+
+      merged.splice(previousIndex + 1, 0, stopId);
+      previousIndex++;
+    });
+  });
+
+  return merged;
+};
+
+// Posición en la lista unida de cada parada de una secuencia, con la misma
+// búsqueda hacia delante que mergeStopSequences
+const alignStopSequence = (merged, sequence) => {
+  let previousIndex = -1;
+  return sequence.map((stopId) => {
+    const index = merged.indexOf(stopId, previousIndex + 1);
+    if (index !== -1) previousIndex = index;
+    return index;
+  });
+};
+
+const getStopTimeDeparture = (stopTime) =>
+  stopTime.departure_time || stopTime.arrival_time || null;
+
+// Cuadro horario de un día: para cada sentido, las paradas en orden y la
+// hora de salida de cada viaje en cada parada (null si no pasa por ella)
+const buildTimetable = (trips, stopTimes) =>
+  groupTripsByDirection(trips, stopTimes).map((direction) => {
+    const stopIds = mergeStopSequences(
+      direction.trips.map(({ stopTimes: tripStopTimes }) =>
+        tripStopTimes.map((stopTime) => stopTime.stop_id),
+      ),
+    );
+
+    const tripRows = [...direction.trips]
+      .sort(
+        (a, b) =>
+          timeToSeconds(getStopTimeDeparture(a.stopTimes[0])) -
+          timeToSeconds(getStopTimeDeparture(b.stopTimes[0])),
+      )
+      .map(({ trip, stopTimes: tripStopTimes }) => {
+        const times = stopIds.map(() => null);
+        alignStopSequence(
+          stopIds,
+          tripStopTimes.map((stopTime) => stopTime.stop_id),
+        ).forEach((index, position) => {
+          if (index !== -1) {
+            times[index] = getStopTimeDeparture(tripStopTimes[position]);
+          }
+        });
+
+        return {
+          tripId: trip.trip_id,
+          headsign: trip.trip_headsign ?? null,
+          times,
+        };
+      });
+
+    return {
+      directionId: direction.directionId,
+      headsign: getMostFrequent(countBy(direction.headsigns)),
+      stopIds,
+      trips: tripRows,
+    };
+  });
+
+module.exports = {
+  buildTimetable,
+  compareLines,
+  formatLine,
+  getDirectionKey,
+  getLineDirections,
+  mergeStopSequences,
+  selectLineRoute,
+  timeToSeconds,
+};
@@ -0,0 +1,378 @@
+const { getTripDelays } = require('./journey-planner');
+const { timeToSeconds } = require('./lines');
+
+const DEFAULT_RETENTION_DAYS = 90;
+// Margen de puntualidad habitual: hasta 1 minuto adelantado y 5 de retraso
+const ON_TIME_MIN_DELAY = -60;
+const ON_TIME_MAX_DELAY = 300;
+// Como mucho limpiamos el histórico una vez por hora
+const PRUNE_INTERVAL = 3600;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS snapshots (
+    timestamp INTEGER PRIMARY KEY,
+    trip_updates INTEGER NOT NULL,
+    vehicle_positions INTEGER NOT NULL,
+    observations INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS stop_delays (
+    service_date TEXT NOT NULL,
+    weekday INTEGER NOT NULL,
+    trip_id TEXT NOT NULL,
+    route_short_name TEXT,
+    agency_id TEXT,
+    stop_id TEXT NOT NULL,
+    stop_sequence INTEGER NOT NULL,
+    scheduled_time INTEGER NOT NULL,
+    delay INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    PRIMARY KEY (service_date, trip_id, stop_sequence)
+  );
+  CREATE INDEX IF NOT EXISTS stop_delays_route
+    ON stop_delays (route_short_name, service_date);
+  CREATE TABLE IF NOT EXISTS alert_history (
+    key TEXT PRIMARY KEY,
+    alert_id TEXT,
+    cause TEXT,
+    effect TEXT,
+    route_id TEXT,
+    route_short_name TEXT,
+    stop_code TEXT,
+    agency_id TEXT,
+    header_text TEXT,
+    description_text TEXT,
+    active_period TEXT,
+    first_seen INTEGER NOT NULL,
+    last_seen INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS alert_history_last_seen
+    ON alert_history (last_seen);
+`;
+
+// Fecha de servicio YYYYMMDD a día de la semana (0 domingo ... 6 sábado)
+const getWeekday = (serviceDate) =>
+  new Date(
+    Date.UTC(
+      Number(serviceDate.slice(0, 4)),
+      Number(serviceDate.slice(4, 6)) - 1,
+      Number(serviceDate.slice(6, 8)),
+    ),
+  ).getUTCDay();
+
+// Una observación por parada con tiempo real. Como cada importación
+// sobrescribe la anterior, lo que queda archivado es el último retraso
+// conocido antes de que el autobús pasara por la parada.
+const buildDelayObservations = (
+  stopTimeUpdates,
+  { trips, stopTimesByTrip, getServiceDayStart, timestamp },
+) => {
+  const updatesByTrip = new Map();
+  stopTimeUpdates.forEach((update) => {
+    if (!trips.has(update.trip_id)) return;
+    if (!updatesByTrip.has(update.trip_id)) {
+      updatesByTrip.set(update.trip_id, []);
+    }
+    updatesByTrip.get(update.trip_id).push(update);
+  });
+
+  const observations = [];
+  updatesByTrip.forEach((updates, tripId) => {
+    const trip = trips.get(tripId);
+    const stopTimesBySequence = new Map(
+      (stopTimesByTrip.get(tripId) || []).map((stopTime) => [
+        Number(stopTime.stop_sequence),
+        {
+          stopId: stopTime.stop_id,
+          scheduledTime: timeToSeconds(
+            stopTime.arrival_time || stopTime.departure_time,
+          ),
+        },
+      ]),
+    );
+    const getScheduledTime = (id, sequence) =>
+      stopTimesBySequence.get(Number(sequence))?.scheduledTime ?? null;
+
+    const delays =
+      getTripDelays(updates, {
+        serviceDayStart: getServiceDayStart(trip.serviceDate),
+        getScheduledTime,
+      }).get(tripId) || [];
+
+    delays.forEach(({ sequence, delay }) => {
+      const stopTime = stopTimesBySequence.get(sequence);
+      if (!stopTime || stopTime.scheduledTime === null) return;
+
+      observations.push({
+        serviceDate: trip.serviceDate,
+        weekday: getWeekday(trip.serviceDate),
+        tripId,
+        routeShortName: trip.routeShortName,
+        agencyId: trip.agencyId,
+        stopId: stopTime.stopId,
+        stopSequence: sequence,
+        scheduledTime: stopTime.scheduledTime,
+        delay: Math.round(delay),
+        updatedAt: timestamp,
+      });
+    });
+  });
+
+  return observations;
+};
+
+const round = (value, decimals = 1) =>
+  Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Indicadores de puntualidad de un conjunto de grupos de retrasos ya
+// agregados (ver getDelaySummaries)
+const summarizeDelays = (groups) => {
+  const total = groups.reduce((acc, group) => acc + group.observations, 0);
+  const early = groups.reduce((acc, group) => acc + group.early, 0);
+  const late = groups.reduce((acc, group) => acc + group.late, 0);
+  const sum = groups.reduce((acc, group) => acc + group.total_delay, 0);
+
+  return {
+    observaciones: total,
+    retrasoMedio: total ? round(sum / total / 60) : null,
+    puntualidad: total ? round(((total - early - late) / total) * 100) : null,
+    adelantados: total ? round((early / total) * 100) : null,
+    retrasados: total ? round((late / total) * 100) : null,
+  };
+};
+
+const groupDelays = (rows, getKey) => {
+  const groups = new Map();
+  rows.forEach((row) => {
+    const key = getKey(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return groups;
+};
+
+// Puntualidad global, por línea, por parada y por hora del día (según la
+// hora programada de paso) a partir de los retrasos agregados por línea,
+// parada y hora
+const summarizePunctuality = (rows) => ({
+  resumen: summarizeDelays(rows),
+  porLinea: [...groupDelays(rows, (row) => row.route_short_name)].map(
+    ([linea, groups]) => ({ linea, ...summarizeDelays(groups) }),
+  ),
+  porParada: [...groupDelays(rows, (row) => row.stop_id)].map(
+    ([stopId, groups]) => ({ stopId, ...summarizeDelays(groups) }),
+  ),
+  porHora: [...groupDelays(rows, (row) => row.hour)]
+    .sort(([a], [b]) => a - b)
+    .map(([hora, groups]) => ({ hora, ...summarizeDelays(groups) })),
+});
+
+// Archivo histórico de tiempo real sobre una base de datos SQLite propia,
+// independiente de la que se reimporta con cada GTFS estático
+const createRealtimeArchive = ({
+  db,
+  retentionDays = DEFAULT_RETENTION_DAYS,
+  now = () => Math.floor(Date.now() / 1000),
+}) => {
+  db.exec(SCHEMA);
+
+  const insertSnapshot = db.prepare(
+    `INSERT OR REPLACE INTO snapshots
+      (timestamp, trip_updates, vehicle_positions, observations)
+      VALUES (?, ?, ?, ?)`,
+  );
+  const upsertDelay = db.prepare(
+    `INSERT INTO stop_delays
+      (service_date, weekday, trip_id, route_short_name, agency_id, stop_id,
+       stop_sequence, scheduled_time, delay, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (service_date, trip_id, stop_sequence)
+      DO UPDATE SET delay = excluded.delay, updated_at = excluded.updated_at`,
+  );
+  const upsertAlert = db.prepare(
+    `INSERT INTO alert_history
+      (key, alert_id, cause, effect, route_id, route_short_name, stop_code,
+       agency_id, header_text, description_text, active_period, first_seen,
+       last_seen)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (key) DO UPDATE SET last_seen = excluded.last_seen`,
+  );
+  let lastPrune = 0;
+
+  const prune = () => {
+    const cutoff = now() - retentionDays * 86400;
+    const cutoffDate = new Date(cutoff * 1000)
+      .toISOString()
+      .slice(0, 10)
+      .replace(/-/g, '');
+
+    db.prepare('DELETE FROM snapshots WHERE timestamp < ?').run(cutoff);
+    db.prepare('DELETE FROM stop_delays WHERE service_date < ?').run(
+      cutoffDate,
+    );
+    db.prepare('DELETE FROM alert_history WHERE last_seen < ?').run(cutoff);
+    lastPrune = now();
+  };
+
+  const record = (observations, { timestamp, quality }) => {
+    db.exec('BEGIN');
+    try {
+      insertSnapshot.run(
+        timestamp,
+        quality.tripUpdatesCount,
+        quality.vehiclePositionsCount,
+        observations.length,
+      );
+      observations.forEach((observation) =>
+        upsertDelay.run(
+          observation.serviceDate,
+          observation.weekday,
+          observation.tripId,
+          observation.routeShortName ?? null,
+          observation.agencyId ?? null,
+          observation.stopId,
+          observation.stopSequence,
+          observation.scheduledTime,
+          observation.delay,
+          observation.updatedAt,
+        ),
+      );
+      db.exec('COMMIT');
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw error;
+    }
+
+    if (now() - lastPrune >= PRUNE_INTERVAL) prune();
+  };
+
+  // Alertas vistas en una importación (con el formato de gtfsGetAlerts).
+  // La primera vez se guardan y después solo se actualiza cuándo se vieron
+  // por última vez.
+  const recordAlerts = (alerts, { timestamp }) => {
+    db.exec('BEGIN');
+    try {
+      alerts.forEach((alert) =>
+        upsertAlert.run(
+          alert.clave,
+          alert.id ?? null,
+          alert.cause ?? null,
+          alert.effect ?? null,
+          alert.ruta?.gtfsRouteId ?? null,
+          alert.ruta?.linea ?? null,
+          alert.ruta?.parada ?? null,
+          alert.ruta?.agencia ?? null,
+          alert.resumen ?? null,
+          alert.descripcion ?? null,
+          typeof alert.active_period === 'string'
+            ? alert.active_period
+            : JSON.stringify(alert.active_period ?? null),
+          timestamp,
+          timestamp,
+        ),
+      );
+      db.exec('COMMIT');
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw error;
+    }
+  };
+
+  // Alertas vistas en algún momento entre `from` y `to` (segundos unix)
+  const getAlertHistory = ({ from, to, linea, parada, agencia, efecto }) => {
+    const conditions = ['last_seen >= ?', 'first_seen <= ?'];
+    const params = [from, to];
+    const filters = [
+      ['route_short_name', linea],
+      ['stop_code', parada],
+      ['agency_id', agencia],
+      ['effect', efecto],
+    ];
+
+    filters.forEach(([column, value]) => {
+      if (value) {
+        conditions.push(`${column} = ?`);
+        params.push(value);
+      }
+    });
+
+    return db
+      .prepare(
+        `SELECT * FROM alert_history WHERE ${conditions.join(' AND ')}
+          ORDER BY first_seen DESC`,
+      )
+      .all(...params);
+  };
+
+  // Retrasos archivados entre dos fechas de servicio (YYYYMMDD, incluidas),
+  // agregados por línea, parada y hora programada de paso para no cargar
+  // cada observación en memoria
+  const getDelaySummaries = ({ routeShortName, from, to, weekdays }) => {
+    const conditions = ['service_date BETWEEN ? AND ?'];
+    const params = [from, to];
+
+    if (routeShortName) {
+      conditions.push('route_short_name = ?');
+      params.push(routeShortName);
+    }
+    if (weekdays) {
+      conditions.push(`weekday IN (${weekdays.map(() => '?').join(', ')})`);
+      params.push(...weekdays);
+    }
+
+    return db
+      .prepare(
+        `SELECT route_short_name, stop_id,
+            (scheduled_time / 3600) % 24 AS hour,
+            COUNT(*) AS observations,
+            SUM(delay) AS total_delay,
+            SUM(CASE WHEN delay < ? THEN 1 ELSE 0 END) AS early,
+            SUM(CASE WHEN delay > ? THEN 1 ELSE 0 END) AS late
+          FROM stop_delays WHERE ${conditions.join(' AND ')}
+          GROUP BY route_short_name, stop_id, hour`,
+      )
+      .all(ON_TIME_MIN_DELAY, ON_TIME_MAX_DELAY, ...params);
+  };
+
+  // Cómo crece el retraso entre cada parada archivada de un viaje y la
+  // siguiente, agrupado por línea, tramo y hora programada de salida
+  const getDelayGrowth = ({ from, to }) =>
+    db
+      .prepare(
+        `SELECT route_short_name, from_stop_id, to_stop_id, hour,
+            COUNT(*) AS observations, AVG(growth) AS growth
+          FROM (
+            SELECT route_short_name,
+              stop_id AS from_stop_id,
+              LEAD(stop_id) OVER trip AS to_stop_id,
+              (scheduled_time / 3600) % 24 AS hour,
+              LEAD(delay) OVER trip - delay AS growth
+            FROM stop_delays
+            WHERE service_date BETWEEN ? AND ?
+            WINDOW trip AS (
+              PARTITION BY service_date, trip_id ORDER BY stop_sequence
+            )
+          )
+          WHERE to_stop_id IS NOT NULL
+          GROUP BY route_short_name, from_stop_id, to_stop_id, hour`,
+      )
+      .all(from, to);
+
+  return {
+    getAlertHistory,
+    getDelayGrowth,
+    getDelaySummaries,
+    prune,
+    record,
+    recordAlerts,
+  };
+};
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  ON_TIME_MAX_DELAY,
+  ON_TIME_MIN_DELAY,
+  buildDelayObservations,
+  createRealtimeArchive,
+  getWeekday,
+  summarizePunctuality,
+};
@@ -0,0 +1,204 @@
+const GtfsRealtimeBindings = require('gtfs-realtime-bindings');
+
+const { FeedMessage } = GtfsRealtimeBindings.transit_realtime;
+const GTFS_REALTIME_VERSION = '2.0';
+const ALERT_LANGUAGE = 'es';
+
+// Los timestamps llegan de SQLite como número, texto numérico o fecha ISO
+const toUnixSeconds = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  const number = Number(value);
+  if (Number.isFinite(number)) return Math.round(number);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.round(date / 1000);
+};
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Elimina las propiedades vacías para no generar campos opcionales en el feed
+const compact = (object) =>
+  Object.fromEntries(
+    Object.entries(object).filter(
+      ([, value]) =>
+        value !== null &&
+        value !== undefined &&
+        !(Array.isArray(value) && value.length === 0) &&
+        !(
+          typeof value === 'object' &&
+          !Array.isArray(value) &&
+          Object.keys(value).length === 0
+        ),
+    ),
+  );
+
+const translated = (text) =>
+  text ? { translation: [{ text, language: ALERT_LANGUAGE }] } : null;
+
+const formatTripDescriptor = (row) =>
+  compact({
+    tripId: row.trip_id ?? null,
+    routeId: row.route_id ?? null,
+    directionId: toNumber(row.direction_id),
+    startTime: row.trip_start_time ?? null,
+    startDate: row.trip_start_date ?? null,
+    scheduleRelationship: row.schedule_relationship ?? null,
+  });
+
+const formatStopTimeEvent = (delay, time) =>
+  compact({ delay: toNumber(delay), time: toUnixSeconds(time) });
+
+const formatStopTimeUpdate = (update) =>
+  compact({
+    stopSequence: toNumber(update.stop_sequence),
+    stopId: update.stop_id ?? null,
+    arrival: formatStopTimeEvent(
+      update.arrival_delay,
+      update.arrival_timestamp,
+    ),
+    departure: formatStopTimeEvent(
+      update.departure_delay,
+      update.departure_timestamp,
+    ),
+    scheduleRelationship: update.schedule_relationship ?? null,
+  });
+
+const buildTripUpdateEntities = (tripUpdates, stopTimeUpdates) => {
+  const updatesByTrip = new Map();
+  stopTimeUpdates.forEach((update) => {
+    if (!updatesByTrip.has(update.trip_id)) {
+      updatesByTrip.set(update.trip_id, []);
+    }
+    updatesByTrip.get(update.trip_id).push(update);
+  });
+
+  return tripUpdates.map((tripUpdate) => ({
+    id: String(tripUpdate.update_id ?? tripUpdate.trip_id),
+    tripUpdate: compact({
+      trip: formatTripDescriptor(tripUpdate),
+      vehicle: compact({ id: tripUpdate.vehicle_id ?? null }),
+      stopTimeUpdate: (updatesByTrip.get(tripUpdate.trip_id) || [])
+        .sort((a, b) => a.stop_sequence - b.stop_sequence)
+        .map(formatStopTimeUpdate),
+      timestamp: toUnixSeconds(tripUpdate.timestamp),
+    }),
+  }));
+};
+
+const buildVehiclePositionEntities = (vehiclePositions) =>
+  vehiclePositions.map((position) => ({
+    id: String(position.update_id ?? position.vehicle_id ?? position.trip_id),
+    vehicle: compact({
+      trip: compact({
+        tripId: position.trip_id ?? null,
+        startTime: position.trip_start_time ?? null,
+        startDate: position.trip_start_date ?? null,
+      }),
+      vehicle: compact({
+        id: position.vehicle_id ?? null,
+        label: position.vehicle_label ?? null,
+        licensePlate: position.vehicle_license_plate ?? null,
+      }),
+      position: compact({
+        latitude: toNumber(position.latitude),
+        longitude: toNumber(position.longitude),
+        bearing: toNumber(position.bearing),
+        speed: toNumber(position.speed),
+      }),
+      currentStopSequence: toNumber(position.current_stop_sequence),
+      currentStatus: position.vehicle_stop_status ?? null,
+      timestamp: toUnixSeconds(position.timestamp),
+      congestionLevel: position.congestion_level ?? null,
+      occupancyStatus: position.occupancy_status ?? null,
+      occupancyPercentage: toNumber(position.occupancy_percentage),
+    }),
+  }));
+
+const parseActivePeriods = (activePeriod) => {
+  let periods = activePeriod;
+  if (typeof activePeriod === 'string') {
+    try {
+      periods = JSON.parse(activePeriod);
+    } catch {
+      return [];
+    }
+  }
+
+  return (Array.isArray(periods) ? periods : [])
+    .map((period) =>
+      compact({
+        start: toUnixSeconds(period?.start),
+        end: toUnixSeconds(period?.end),
+      }),
+    )
+    .filter((period) => Object.keys(period).length > 0);
+};
+
+const formatInformedEntity = (entity) =>
+  compact({
+    agencyId: entity.agency_id ?? null,
+    routeId: entity.route_id ?? null,
+    routeType: toNumber(entity.route_type),
+    stopId: entity.stop_id ?? null,
+    trip: compact({
+      tripId: entity.trip_id ?? null,
+      directionId: toNumber(entity.direction_id),
+    }),
+  });
+
+const buildAlertEntities = (serviceAlerts) =>
+  serviceAlerts.map((alert) => {
+    const informedEntities =
+      alert.informed_entity ?? alert.informed_entities ?? [];
+
+    return {
+      id: String(alert.id ?? alert.alert_id),
+      alert: compact({
+        activePeriod: parseActivePeriods(alert.active_period),
+        informedEntity: informedEntities
+          .map(formatInformedEntity)
+          .filter((entity) => Object.keys(entity).length > 0),
+        cause: alert.cause ?? null,
+        effect: alert.effect ?? null,
+        url: translated(alert.url),
+        headerText: translated(alert.header_text ?? alert.headline),
+        descriptionText: translated(
+          alert.description_text ?? alert.description,
+        ),
+        severityLevel: alert.severity_level ?? null,
+      }),
+    };
+  });
+
+// Construye el FeedMessage con todas las entidades del tipo indicado
+const buildFeedMessage = (entities, { timestamp }) =>
+  FeedMessage.fromObject({
+    header: {
+      gtfsRealtimeVersion: GTFS_REALTIME_VERSION,
+      incrementality: 'FULL_DATASET',
+      timestamp,
+    },
+    entity: entities,
+  });
+
+const encodeFeedMessage = (message) =>
+  Buffer.from(FeedMessage.encode(message).finish());
+
+// Versión JSON con la misma estructura que el protobuf
+const feedMessageToJSON = (message) =>
+  FeedMessage.toObject(message, { enums: String, longs: Number });
+
+module.exports = {
+  buildAlertEntities,
+  buildFeedMessage,
+  buildTripUpdateEntities,
+  buildVehiclePositionEntities,
+  encodeFeedMessage,
+  feedMessageToJSON,
+  toUnixSeconds,
+};
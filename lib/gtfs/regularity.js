@@ -0,0 +1,155 @@
+const { timeToSeconds } = require('./lines');
+const { getDelayAtSequence } = require('./journey-planner');
+
+// Por debajo de este intervalo entre dos autobuses consideramos que van
+// agrupados
+const DEFAULT_BUNCHING_THRESHOLD = 120;
+// Hay un hueco cuando el intervalo supera en un 50 % al programado
+const GAP_FACTOR = 1.5;
+
+// Estado del intervalo entre dos autobuses consecutivos
+const classifyHeadway = (
+  headway,
+  scheduledHeadway,
+  {
+    bunchingThreshold = DEFAULT_BUNCHING_THRESHOLD,
+    gapFactor = GAP_FACTOR,
+  } = {},
+) => {
+  if (headway === null) return null;
+  if (headway < bunchingThreshold) return 'agrupados';
+  if (scheduledHeadway > 0 && headway > scheduledHeadway * gapFactor) {
+    return 'hueco';
+  }
+  return 'regular';
+};
+
+// Intervalos entre los vehículos consecutivos de un mismo sentido.
+// `progress` es la posición de la siguiente parada de cada vehículo en el
+// recorrido y `getArrivals(stopId)` devuelve un Map trip_id -> { estimated,
+// scheduled } con las llegadas (en segundos unix) a esa parada. El intervalo
+// se mide en la siguiente parada del vehículo que va delante.
+const computeHeadways = (vehicles, { getArrivals, ...options }) => {
+  const arrivalAt = (vehicle, stopId) =>
+    getArrivals(stopId).get(vehicle.tripId) ?? null;
+
+  const ordered = [...vehicles].sort(
+    (a, b) =>
+      b.progress - a.progress ||
+      (arrivalAt(a, a.nextStopId)?.estimated ?? Infinity) -
+        (arrivalAt(b, b.nextStopId)?.estimated ?? Infinity),
+  );
+
+  return ordered.slice(1).map((follower, index) => {
+    const leader = ordered[index];
+    const leaderArrival = arrivalAt(leader, leader.nextStopId);
+    const followerArrival = arrivalAt(follower, leader.nextStopId);
+
+    const headway =
+      leaderArrival && followerArrival
+        ? followerArrival.estimated - leaderArrival.estimated
+        : null;
+    const scheduledHeadway =
+      leaderArrival && followerArrival
+        ? followerArrival.scheduled - leaderArrival.scheduled
+        : null;
+
+    return {
+      leader,
+      follower,
+      stopId: leader.nextStopId,
+      headway,
+      scheduledHeadway,
+      status: classifyHeadway(headway, scheduledHeadway, options),
+    };
+  });
+};
+
+// Llegadas de los vehículos a las paradas indicadas, en el formato que usa
+// computeHeadways: Map stop_id -> Map trip_id -> { estimated, scheduled }.
+// La llegada estimada es la programada más el retraso del viaje en esa
+// parada, así que basta con los stop_times y los retrasos ya cargados.
+const buildStopArrivals = (vehicles, stopIds) => {
+  const arrivalsByStop = new Map(
+    [...stopIds].map((stopId) => [stopId, new Map()]),
+  );
+
+  vehicles.forEach(({ tripId, stopTimes, serviceDayStart, tripDelays }) => {
+    stopTimes.forEach((stopTime) => {
+      const arrivals = arrivalsByStop.get(stopTime.stop_id);
+      if (!arrivals) return;
+
+      const scheduled =
+        serviceDayStart +
+        timeToSeconds(stopTime.arrival_time || stopTime.departure_time);
+      const delay = getDelayAtSequence(tripDelays, stopTime.stop_sequence) ?? 0;
+      arrivals.set(tripId, { scheduled, estimated: scheduled + delay });
+    });
+  });
+
+  return arrivalsByStop;
+};
+
+// Minutos con un decimal
+const toHeadwayMinutes = (seconds) =>
+  seconds === null ? null : Math.round(seconds / 6) / 10;
+
+const formatVehicle = ({ vehicleId, tripId, matricula }) => ({
+  vehicleId,
+  tripId,
+  matricula,
+});
+
+// Regularidad de un sentido de la línea. `stops` es el índice de paradas
+// (stop_id -> { stop, routes }) con el que se nombra la parada de cada
+// intervalo.
+const summarizeDirection = (
+  direction,
+  vehicles,
+  { getArrivals, stops, bunchingThreshold },
+) => {
+  const headways = computeHeadways(vehicles, {
+    getArrivals,
+    bunchingThreshold,
+  });
+  const measured = headways.filter(({ headway }) => headway !== null);
+
+  return {
+    sentido: direction.directionId,
+    destino: direction.headsign,
+    vehiculos: vehicles.length,
+    intervaloMedio: measured.length
+      ? toHeadwayMinutes(
+          measured.reduce((sum, { headway }) => sum + headway, 0) /
+            measured.length,
+        )
+      : null,
+    agrupamientos: headways.filter(({ status }) => status === 'agrupados')
+      .length,
+    huecos: headways.filter(({ status }) => status === 'hueco').length,
+    intervalos: headways.map((headway) => {
+      const stop = stops.get(headway.stopId)?.stop;
+      return {
+        delante: formatVehicle(headway.leader),
+        detras: formatVehicle(headway.follower),
+        parada: {
+          nombre: stop?.stop_name ?? null,
+          numero: stop?.stop_code ?? null,
+        },
+        intervalo: toHeadwayMinutes(headway.headway),
+        intervaloProgramado: toHeadwayMinutes(headway.scheduledHeadway),
+        estado: headway.status,
+      };
+    }),
+  };
+};
+
+module.exports = {
+  DEFAULT_BUNCHING_THRESHOLD,
+  GAP_FACTOR,
+  buildStopArrivals,
+  classifyHeadway,
+  computeHeadways,
+  summarizeDirection,
+  toHeadwayMinutes,
+};
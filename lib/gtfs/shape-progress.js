@@ -0,0 +1,215 @@
+const { getBearing, haversineDistance, isValidCoordinate } = require('./geo');
+
+const METERS_PER_DEGREE_LATITUDE = 111320;
+
+// Coordenadas [lon, lat] del recorrido a partir del GeoJSON de
+// getShapesAsGeoJSON. Un mismo shape puede venir partido en varios tramos.
+const getShapeCoordinates = (geojson) => {
+  const geometry = geojson?.features?.[0]?.geometry;
+  if (!geometry) return null;
+
+  if (geometry.type === 'LineString') return geometry.coordinates;
+  if (geometry.type === 'MultiLineString') return geometry.coordinates.flat();
+  return null;
+};
+
+// Recorrido con la distancia acumulada (en metros) en cada vértice
+const buildShapeLine = (coordinates) => {
+  const points = (coordinates || [])
+    .map(([lon, lat]) => ({ lat: Number(lat), lon: Number(lon) }))
+    .filter(({ lat, lon }) => isValidCoordinate(lat, lon));
+  if (points.length < 2) return null;
+
+  let distance = 0;
+  return points.map((point, index) => {
+    if (index > 0) {
+      const previous = points[index - 1];
+      distance += haversineDistance(
+        previous.lat,
+        previous.lon,
+        point.lat,
+        point.lon,
+      );
+    }
+    return { ...point, distance };
+  });
+};
+
+// Proyecta un punto sobre el segmento AB usando una proyección plana local,
+// suficiente para las distancias de un recorrido urbano
+const projectOnSegment = (a, b, lat, lon) => {
+  const metersPerDegreeLongitude =
+    METERS_PER_DEGREE_LATITUDE * Math.cos((lat * Math.PI) / 180);
+  const ax = (a.lon - lon) * metersPerDegreeLongitude;
+  const ay = (a.lat - lat) * METERS_PER_DEGREE_LATITUDE;
+  const bx = (b.lon - lon) * metersPerDegreeLongitude;
+  const by = (b.lat - lat) * METERS_PER_DEGREE_LATITUDE;
+  const lengthSquared = (bx - ax) ** 2 + (by - ay) ** 2;
+  const t =
+    lengthSquared > 0
+      ? Math.min(
+          1,
+          Math.max(0, -(ax * (bx - ax) + ay * (by - ay)) / lengthSquared),
+        )
+      : 0;
+
+  const pointLat = a.lat + (b.lat - a.lat) * t;
+  const pointLon = a.lon + (b.lon - a.lon) * t;
+
+  return {
+    lat: pointLat,
+    lon: pointLon,
+    distance: a.distance + (b.distance - a.distance) * t,
+    offset: haversineDistance(lat, lon, pointLat, pointLon),
+    bearing: getBearing(a.lat, a.lon, b.lat, b.lon),
+  };
+};
+
+// Punto del recorrido más cercano a la coordenada. Con `from` y `to` se
+// limita la búsqueda a ese tramo (en metros desde el inicio), para no
+// confundir la ida y la vuelta en recorridos que pasan dos veces por la
+// misma calle.
+const snapToShape = (line, lat, lon, { from = 0, to = Infinity } = {}) => {
+  let best = null;
+
+  for (let i = 0; i < line.length - 1; i++) {
+    if (line[i + 1].distance < from || line[i].distance > to) continue;
+
+    const projection = projectOnSegment(line[i], line[i + 1], lat, lon);
+    if (
+      projection.distance >= from &&
+      projection.distance <= to &&
+      (!best || projection.offset < best.offset)
+    ) {
+      best = projection;
+    }
+  }
+
+  return best;
+};
+
+// Sitúa las paradas del viaje (ordenadas por stop_sequence) sobre el
+// recorrido. Cada parada se busca a partir de la anterior.
+const locateStops = (line, stops) => {
+  let from = 0;
+
+  return stops.map((stop) => {
+    const snapped = snapToShape(line, stop.lat, stop.lon, { from });
+    from = snapped ? snapped.distance : from;
+    return { ...stop, distance: from };
+  });
+};
+
+// Paradas anterior y siguiente a un punto del recorrido
+const describeProgress = ({ line, stops }, point) => {
+  const nextIndex = stops.findIndex((stop) => stop.distance > point.distance);
+  const previousStop =
+    nextIndex === -1 ? stops[stops.length - 1] : stops[nextIndex - 1];
+  const nextStop = nextIndex === -1 ? null : stops[nextIndex];
+
+  return {
+    lat: point.lat,
+    lon: point.lon,
+    distance: point.distance,
+    totalDistance: line[line.length - 1].distance,
+    offset: point.offset,
+    bearing: point.bearing,
+    previousStop: previousStop ?? null,
+    nextStop,
+    distanceToNextStop: nextStop ? nextStop.distance - point.distance : null,
+  };
+};
+
+// Posición del vehículo sobre el recorrido: punto ajustado, distancia
+// recorrida, rumbo y paradas anterior y siguiente. Si el feed indica la
+// siguiente parada (current_stop_sequence), solo se busca en el tramo
+// entre la parada anterior y esa.
+const trackVehicle = ({ line, stops }, { lat, lon, stopSequence = null }) => {
+  if (!line || !isValidCoordinate(lat, lon)) return null;
+
+  let window = {};
+  if (Number.isInteger(stopSequence)) {
+    const index = stops.findIndex((stop) => stop.stopSequence >= stopSequence);
+    if (index !== -1) {
+      window = {
+        from: index > 0 ? stops[index - 1].distance : 0,
+        to: stops[index].distance,
+      };
+    }
+  }
+
+  const snapped =
+    snapToShape(line, lat, lon, window) || snapToShape(line, lat, lon);
+  return snapped ? describeProgress({ line, stops }, snapped) : null;
+};
+
+// Punto del recorrido a `distance` metros del inicio y rumbo del tramo
+const getPointAtDistance = (line, distance) => {
+  const target = Math.min(
+    Math.max(distance, 0),
+    line[line.length - 1].distance,
+  );
+  const index = Math.max(
+    1,
+    line.findIndex((point) => point.distance >= target),
+  );
+  const a = line[index - 1];
+  const b = line[index];
+  const length = b.distance - a.distance;
+  const t = length > 0 ? (target - a.distance) / length : 0;
+
+  return {
+    lat: a.lat + (b.lat - a.lat) * t,
+    lon: a.lon + (b.lon - a.lon) * t,
+    distance: target,
+    bearing: getBearing(a.lat, a.lon, b.lat, b.lon),
+  };
+};
+
+// Distancia recorrida según el horario: las paradas llevan `arrival` y
+// `departure` en segundos desde el inicio del día de servicio. Entre dos
+// paradas se supone velocidad constante. Devuelve null si el viaje no ha
+// salido o ya ha terminado.
+const getScheduledDistance = (stops, time) => {
+  const first = stops[0];
+  const last = stops[stops.length - 1];
+  if (!first || time < first.departure || time > last.arrival) return null;
+
+  for (let i = 0; i < stops.length - 1; i++) {
+    const from = stops[i];
+    const to = stops[i + 1];
+    if (time <= from.departure) return from.distance;
+    if (time < to.arrival) {
+      const duration = to.arrival - from.departure;
+      const t = duration > 0 ? (time - from.departure) / duration : 0;
+      return from.distance + (to.distance - from.distance) * t;
+    }
+  }
+
+  return last.distance;
+};
+
+// Posición estimada de un viaje según su horario, con el mismo formato que
+// trackVehicle
+const estimateVehicle = ({ line, stops }, time) => {
+  if (!line) return null;
+
+  const distance = getScheduledDistance(stops, time);
+  if (distance === null) return null;
+
+  return describeProgress(
+    { line, stops },
+    { ...getPointAtDistance(line, distance), offset: 0 },
+  );
+};
+
+module.exports = {
+  buildShapeLine,
+  estimateVehicle,
+  getPointAtDistance,
+  getScheduledDistance,
+  getShapeCoordinates,
+  locateStops,
+  snapToShape,
+  trackVehicle,
+};
@@ -0,0 +1,246 @@
+const DEFAULT_SEARCH_LIMIT = 20;
+const PREFIX_MATCH_SCORE = 0.9;
+const CODE_MATCH_SCORE = 2;
+const MIN_TOKEN_SCORE = 0.5;
+
+// Términos que se usan indistintamente al referirse a los nombres de las
+// paradas. Las claves son tokens ya normalizados (minúsculas y sin tildes).
+const STOP_NAME_ABBREVIATIONS = {
+  c: 'calle',
+  cl: 'calle',
+  cll: 'calle',
+  fte: 'frente',
+  frte: 'frente',
+  plza: 'plaza',
+  plz: 'plaza',
+  pza: 'plaza',
+  pz: 'plaza',
+  pl: 'plaza',
+  po: 'paseo',
+  ps: 'paseo',
+  pso: 'paseo',
+  esq: 'esquina',
+  sta: 'santa',
+  sto: 'santo',
+  avda: 'avenida',
+  avd: 'avenida',
+  av: 'avenida',
+  ctra: 'carretera',
+  crta: 'carretera',
+  cno: 'camino',
+  cmno: 'camino',
+  rda: 'ronda',
+  glta: 'glorieta',
+  urb: 'urbanizacion',
+  pol: 'poligono',
+  polig: 'poligono',
+  hosp: 'hospital',
+  ntra: 'nuestra',
+  sra: 'senora',
+  dr: 'doctor',
+  gral: 'general',
+  pte: 'puente',
+  est: 'estacion',
+  cc: 'centro comercial',
+};
+
+// Palabras que no aportan a la búsqueda ("Plaza de España")
+const STOP_WORDS = new Set(['de', 'del', 'la', 'las', 'el', 'los', 'y', 'a']);
+
+// Minúsculas, sin tildes y con las abreviaturas con barra o símbolo
+// ordinal ("C/", "Pº") separadas para poder expandirlas después
+const normalizeSearchText = (text) =>
+  String(text ?? '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\bc\s*\/\s*/g, 'c ')
+    .replace(/\bp\s*[º°]/g, 'po ')
+    .replace(/[º°ª]/g, '');
+
+const tokenizeStopName = (name) =>
+  normalizeSearchText(name)
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .flatMap((token) => (STOP_NAME_ABBREVIATIONS[token] || token).split(' '));
+
+// Forma canónica de un nombre de parada para comparar nombres entre sí
+const normalizeStopName = (name) => tokenizeStopName(name).join(' ');
+
+// Distancia de edición (con transposiciones) entre dos tokens. Deja de
+// calcular en cuanto se supera `maxDistance` para no penalizar el rendimiento.
+const getEditDistance = (a, b, maxDistance = Infinity) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMinimum = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost,
+      );
+
+      if (
+        previousPrevious &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+
+      current[j] = value;
+      rowMinimum = Math.min(rowMinimum, value);
+    }
+
+    if (rowMinimum > maxDistance) return maxDistance + 1;
+
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Número de errores tolerados según la longitud de lo que escribe el usuario
+const getAllowedTypos = (token) => {
+  if (token.length <= 3) return 0;
+  if (token.length <= 5) return 1;
+  return 2;
+};
+
+// Similitud entre un token de la búsqueda y un token del nombre de la parada
+const scoreToken = (queryToken, stopToken) => {
+  if (queryToken === stopToken) return 1;
+  if (stopToken.startsWith(queryToken)) return PREFIX_MATCH_SCORE;
+
+  const allowedTypos = getAllowedTypos(queryToken);
+  if (allowedTypos === 0) return 0;
+
+  const distance = getEditDistance(queryToken, stopToken, allowedTypos);
+  if (distance > allowedTypos) return 0;
+
+  return Math.max(
+    MIN_TOKEN_SCORE,
+    PREFIX_MATCH_SCORE - distance / Math.max(queryToken.length, 4),
+  );
+};
+
+// Índice de búsqueda aproximada por nombre y código de parada. Cada token
+// del vocabulario apunta a las paradas que lo contienen; los tokens de la
+// búsqueda se comparan con el vocabulario (mucho más pequeño que el listado
+// de paradas) y solo se puntúan las paradas candidatas.
+const createStopSearchIndex = (
+  items,
+  { getName = (item) => item.name, getCode = (item) => item.code } = {},
+) => {
+  const entries = items.map((item) => {
+    const tokens = tokenizeStopName(getName(item));
+
+    return {
+      item,
+      tokens,
+      name: tokens.join(' '),
+      code: normalizeSearchText(getCode(item)).trim(),
+    };
+  });
+  const entriesByToken = new Map();
+  const entriesByCode = new Map();
+
+  entries.forEach((entry) => {
+    new Set(entry.tokens).forEach((token) => {
+      if (!entriesByToken.has(token)) entriesByToken.set(token, new Set());
+      entriesByToken.get(token).add(entry);
+    });
+
+    if (entry.code) {
+      if (!entriesByCode.has(entry.code)) entriesByCode.set(entry.code, []);
+      entriesByCode.get(entry.code).push(entry);
+    }
+  });
+
+  const search = (query, { limit = DEFAULT_SEARCH_LIMIT } = {}) => {
+    const queryText = normalizeSearchText(query).trim();
+    const allTokens = tokenizeStopName(query);
+    const significantTokens = allTokens.filter(
+      (token) => !STOP_WORDS.has(token),
+    );
+    const queryTokens = significantTokens.length
+      ? significantTokens
+      : allTokens;
+
+    if (!queryTokens.length) return [];
+
+    // Para cada token de la búsqueda, los tokens del vocabulario que encajan
+    const tokenMatches = queryTokens.map((queryToken) => {
+      const matches = new Map();
+      entriesByToken.forEach((_, stopToken) => {
+        const score = scoreToken(queryToken, stopToken);
+        if (score > 0) matches.set(stopToken, score);
+      });
+      return matches;
+    });
+
+    const candidates = new Set(entriesByCode.get(queryText) || []);
+    tokenMatches[0].forEach((_, stopToken) => {
+      entriesByToken.get(stopToken).forEach((entry) => candidates.add(entry));
+    });
+
+    const results = [];
+    candidates.forEach((entry) => {
+      if (entry.code && entry.code === queryText) {
+        results.push({ item: entry.item, score: CODE_MATCH_SCORE });
+        return;
+      }
+
+      let total = 0;
+      for (const matches of tokenMatches) {
+        const best = entry.tokens.reduce(
+          (max, token) => Math.max(max, matches.get(token) || 0),
+          0,
+        );
+        // Todos los tokens de la búsqueda deben aparecer en el nombre
+        if (best === 0) return;
+        total += best;
+      }
+
+      let score = total / tokenMatches.length;
+      // Favorece los nombres que empiezan por lo buscado y los más cortos
+      if (entry.name.startsWith(queryTokens.join(' '))) score += 0.05;
+      score -= Math.max(0, entry.tokens.length - queryTokens.length) * 0.01;
+
+      results.push({ item: entry.item, score });
+    });
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ item, score }) => ({
+        item,
+        score: Math.round(score * 1000) / 1000,
+      }));
+  };
+
+  return {
+    size: entries.length,
+    search,
+  };
+};
+
+module.exports = {
+  DEFAULT_SEARCH_LIMIT,
+  STOP_NAME_ABBREVIATIONS,
+  createStopSearchIndex,
+  getEditDistance,
+  normalizeSearchText,
+  normalizeStopName,
+  tokenizeStopName,
+};
@@ -0,0 +1,95 @@
+const { compareObjects } = require('../utils');
+
+// compareObjects solo compara las propiedades de primer nivel, así que
+// serializamos cada una para detectar cambios dentro de horarios/realtime
+const serializeSections = (payload) =>
+  Object.fromEntries(
+    Object.entries(payload || {}).map(([key, value]) => [
+      key,
+      JSON.stringify(value),
+    ]),
+  );
+
+const hasPayloadChanged = (previous, next) =>
+  !previous ||
+  Object.keys(previous).length !== Object.keys(next).length ||
+  compareObjects(serializeSections(previous), serializeSections(next));
+
+// Mantiene los clientes suscritos a cada parada. Tras cada actualización
+// GTFS-RT se recalcula una sola vez la información de cada parada con
+// suscriptores y solo se notifica a los clientes si ha cambiado.
+const createStopStreamHub = ({
+  getStop,
+  hasChanged = hasPayloadChanged,
+  onError = () => {},
+}) => {
+  const streams = new Map();
+  let refreshing = null;
+
+  const refreshStop = async (stopCode, stream) => {
+    const payload = await getStop(stopCode);
+    if (!hasChanged(stream.payload, payload)) return;
+
+    stream.payload = payload;
+    stream.listeners.forEach((listener) => {
+      try {
+        listener(payload);
+      } catch (error) {
+        onError(error, stopCode);
+      }
+    });
+  };
+
+  const refreshAll = () => {
+    // Si la actualización anterior sigue en curso no la solapamos
+    if (refreshing) return refreshing;
+
+    refreshing = Promise.all(
+      [...streams.entries()].map(([stopCode, stream]) =>
+        refreshStop(stopCode, stream).catch((error) =>
+          onError(error, stopCode),
+        ),
+      ),
+    ).finally(() => {
+      refreshing = null;
+    });
+
+    return refreshing;
+  };
+
+  // Devuelve la información actual de la parada y la función para cancelar
+  // la suscripción. El listener solo recibe los cambios posteriores.
+  const subscribe = async (stopCode, listener) => {
+    let stream = streams.get(stopCode);
+    const payload = stream?.payload ?? (await getStop(stopCode));
+
+    stream = streams.get(stopCode);
+    if (!stream) {
+      stream = { listeners: new Set(), payload };
+      streams.set(stopCode, stream);
+    }
+    stream.listeners.add(listener);
+
+    const unsubscribe = () => {
+      stream.listeners.delete(listener);
+      if (!stream.listeners.size && streams.get(stopCode) === stream) {
+        streams.delete(stopCode);
+      }
+    };
+
+    return { payload: stream.payload, unsubscribe };
+  };
+
+  return {
+    refreshAll,
+    subscribe,
+    get size() {
+      return streams.size;
+    },
+  };
+};
+
+module.exports = {
+  createStopStreamHub,
+  hasPayloadChanged,
+};
@@ -0,0 +1,96 @@
+// Efectos de una alerta que dejan sin servicio las paradas que informa
+const SUSPENSION_EFFECTS = new Set(['NO_SERVICE', 'DETOUR', 'STOP_MOVED']);
+
+// Formatos de texto que usa AUVASA en la descripción de las alertas
+const SUSPENDED_STOPS_PATTERN =
+  /Paradas suprimidas:\s*(.+)|Parada suprimida:\s*(.+)|Línea \d+ sentido .+ desviada desde .+ hasta .+ Parada suprimida:\s*(.+)|Parada suprimida (\d+) (.+)/;
+
+// El efecto llega ya con el nombre del enum (normalizeAlertEffect)
+const isSuspensionEffect = (effect) => SUSPENSION_EFFECTS.has(effect);
+
+// Nombres de las paradas suprimidas que menciona la descripción de una
+// alerta
+const parseSuspendedStopNames = (description) => {
+  const match = description?.match(SUSPENDED_STOPS_PATTERN);
+  if (!match) return [];
+
+  const names = match[1] || match[2] || match[3] || match[5] || '';
+  return names
+    .split(',')
+    .map((name) => name.replace(/[\s.,]+/g, ' ').trim())
+    .filter(Boolean);
+};
+
+// Paradas suprimidas según las alertas (con el formato de gtfsGetAlerts,
+// una por entidad informada). Primero se usan las paradas que informa cada
+// alerta con un efecto de supresión (`entidad`) y, si una alerta no informa
+// ninguna, se busca en su descripción (`texto`). Cada parada indica cómo se
+// detectó y qué alertas la suprimen.
+const findSuspendedStops = (alerts, stops, { normalizeStopName }) => {
+  const stopsByCode = new Map(
+    stops.map((stop) => [String(stop.parada.numero), stop]),
+  );
+  const stopsByName = new Map();
+  stops.forEach((stop) => {
+    const name = normalizeStopName(stop.parada.nombre);
+    if (!stopsByName.has(name)) stopsByName.set(name, stop);
+  });
+  const suspended = new Map();
+
+  const add = (stop, metodo, alertId) => {
+    const numero = stop.parada.numero;
+    if (!suspended.has(numero)) {
+      suspended.set(numero, {
+        nombre: stop.parada.nombre,
+        numero,
+        metodo,
+        alertas: [],
+      });
+    }
+
+    const entry = suspended.get(numero);
+    if (metodo === 'entidad') entry.metodo = metodo;
+    if (alertId && !entry.alertas.includes(alertId)) {
+      entry.alertas.push(alertId);
+    }
+  };
+
+  // Agrupamos las entidades de cada alerta
+  const alertsById = new Map();
+  alerts.forEach((alert, index) => {
+    const key = alert.id ?? `#${index}`;
+    if (!alertsById.has(key)) alertsById.set(key, []);
+    alertsById.get(key).push(alert);
+  });
+
+  alertsById.forEach((entities) => {
+    let matched = false;
+
+    entities.forEach((alert) => {
+      if (!isSuspensionEffect(alert.effect) || !alert.ruta?.parada) return;
+
+      const stop = stopsByCode.get(String(alert.ruta.parada));
+      if (stop) {
+        add(stop, 'entidad', alert.id);
+        matched = true;
+      }
+    });
+
+    if (matched) return;
+
+    const [alert] = entities;
+    parseSuspendedStopNames(alert.descripcion).forEach((name) => {
+      const stop = stopsByName.get(normalizeStopName(name));
+      if (stop) add(stop, 'texto', alert.id);
+    });
+  });
+
+  return [...suspended.values()];
+};
+
+module.exports = {
+  SUSPENSION_EFFECTS,
+  findSuspendedStops,
+  isSuspensionEffect,
+  parseSuspendedStopNames,
+};
@@ -0,0 +1,187 @@
+// Feed en vivo de posiciones de vehículos. Cada cliente se suscribe a unas
+// líneas, viajes o a una zona (bbox) y, tras cada importación GTFS-RT,
+// recibe solo los vehículos que han cambiado y los que han dejado de
+// cumplir su filtro.
+
+// Los vehículos sin vehicle_id se identifican por su viaje
+const getVehicleKey = (vehicle) =>
+  vehicle.vehicleId ?? `trip:${vehicle.tripId}`;
+
+// Normaliza los filtros de una suscripción. Sin filtros se recibe toda la
+// flota; con varios, basta con cumplir uno de ellos.
+const createSubscription = ({ lineas, viajes, bbox } = {}) => ({
+  lines: lineas?.length ? new Set(lineas.map(String)) : null,
+  trips: viajes?.length ? new Set(viajes.map(String)) : null,
+  bbox: bbox?.length === 4 ? bbox.map(Number) : null,
+});
+
+const isInsideBbox = (vehicle, [minLon, minLat, maxLon, maxLat]) =>
+  vehicle.latitud >= minLat &&
+  vehicle.latitud <= maxLat &&
+  vehicle.longitud >= minLon &&
+  vehicle.longitud <= maxLon;
+
+const matchesSubscription = (vehicle, subscription) => {
+  const { lines, trips, bbox } = subscription;
+  if (!lines && !trips && !bbox) return true;
+
+  return Boolean(
+    (lines && vehicle.linea !== null && lines.has(String(vehicle.linea))) ||
+    (trips && trips.has(String(vehicle.tripId))) ||
+    (bbox && isInsideBbox(vehicle, bbox)),
+  );
+};
+
+// Vehículos nuevos o con datos distintos respecto a la instantánea anterior
+const getChangedVehicleKeys = (previousSnapshot, snapshot) => {
+  const changed = new Set();
+
+  snapshot.forEach((serialized, key) => {
+    if (previousSnapshot.get(key) !== serialized) changed.add(key);
+  });
+
+  return changed;
+};
+
+const createVehicleFeedHub = ({ getVehicles, onError = () => {} }) => {
+  const clients = new Set();
+  let vehiclesByKey = new Map();
+  let snapshot = new Map();
+  let loaded = false;
+  let refreshing = null;
+
+  const loadVehicles = async () => {
+    const vehicles = await getVehicles();
+    const previousSnapshot = snapshot;
+
+    vehiclesByKey = new Map(
+      vehicles.map((vehicle) => [getVehicleKey(vehicle), vehicle]),
+    );
+    snapshot = new Map(
+      [...vehiclesByKey].map(([key, vehicle]) => [
+        key,
+        JSON.stringify(vehicle),
+      ]),
+    );
+    loaded = true;
+
+    return getChangedVehicleKeys(previousSnapshot, snapshot);
+  };
+
+  const send = (client, message) => {
+    try {
+      client.send(message);
+    } catch (error) {
+      onError(error);
+    }
+  };
+
+  const sendDelta = (client, changedKeys) => {
+    if (!client.subscription) return;
+
+    const updated = [];
+    const removed = [];
+
+    vehiclesByKey.forEach((vehicle, key) => {
+      const matches = matchesSubscription(vehicle, client.subscription);
+      if (matches && (changedKeys.has(key) || !client.sentKeys.has(key))) {
+        updated.push({ id: key, ...vehicle });
+        client.sentKeys.add(key);
+      } else if (!matches && client.sentKeys.has(key)) {
+        removed.push(key);
+        client.sentKeys.delete(key);
+      }
+    });
+
+    // Vehículos que ya no aparecen en el feed
+    client.sentKeys.forEach((key) => {
+      if (!vehiclesByKey.has(key)) {
+        removed.push(key);
+        client.sentKeys.delete(key);
+      }
+    });
+
+    if (updated.length || removed.length) {
+      send(client, {
+        tipo: 'delta',
+        actualizados: updated,
+        eliminados: removed,
+      });
+    }
+  };
+
+  const refresh = () => {
+    if (refreshing) return refreshing;
+
+    // Sin clientes no merece la pena consultar las posiciones; la siguiente
+    // suscripción las cargará de nuevo
+    if (!clients.size) {
+      loaded = false;
+      return Promise.resolve();
+    }
+
+    refreshing = (async () => {
+      try {
+        const changedKeys = await loadVehicles();
+        clients.forEach((client) => sendDelta(client, changedKeys));
+      } catch (error) {
+        onError(error);
+      } finally {
+        refreshing = null;
+      }
+    })();
+
+    return refreshing;
+  };
+
+  // Registra un cliente. `sendMessage` recibe los mensajes ya como objetos.
+  const addClient = (sendMessage) => {
+    const client = {
+      send: sendMessage,
+      subscription: null,
+      sentKeys: new Set(),
+    };
+    clients.add(client);
+
+    return {
+      // Sustituye la suscripción y envía la instantánea de lo que la cumple
+      subscribe: async (filters) => {
+        if (!loaded) await refresh();
+
+        client.subscription = createSubscription(filters);
+        client.sentKeys = new Set();
+
+        const vehicles = [];
+        vehiclesByKey.forEach((vehicle, key) => {
+          if (!matchesSubscription(vehicle, client.subscription)) return;
+          vehicles.push({ id: key, ...vehicle });
+          client.sentKeys.add(key);
+        });
+
+        send(client, { tipo: 'snapshot', vehiculos: vehicles });
+      },
+      unsubscribe: () => {
+        client.subscription = null;
+        client.sentKeys = new Set();
+      },
+      close: () => {
+        clients.delete(client);
+      },
+    };
+  };
+
+  return {
+    addClient,
+    refresh,
+    get size() {
+      return clients.size;
+    },
+  };
+};
+
+module.exports = {
+  createSubscription,
+  createVehicleFeedHub,
+  getVehicleKey,
+  matchesSubscription,
+};
@@ -0,0 +1,65 @@
+const { timeToSeconds } = require('./lines');
+const { getDelayAtSequence } = require('./journey-planner');
+
+// VehicleStopStatus de GTFS-RT: según el importador llega como texto o número
+const isStoppedAt = (status) => status === 'STOPPED_AT' || status === 1;
+
+// Siguiente parada del vehículo. Usamos current_stop_sequence si el feed la
+// trae; si no, la primera parada con llegada prevista posterior a ahora.
+const getNextStopTime = (
+  position,
+  stopTimes,
+  { now, serviceDayStart, tripDelays = null },
+) => {
+  const sorted = [...stopTimes].sort(
+    (a, b) => a.stop_sequence - b.stop_sequence,
+  );
+  const currentSequence = Number.parseInt(position.current_stop_sequence, 10);
+
+  if (Number.isInteger(currentSequence)) {
+    const index = sorted.findIndex(
+      (stopTime) => stopTime.stop_sequence >= currentSequence,
+    );
+    if (index === -1) return null;
+
+    // Si está detenido en la parada, la siguiente es la posterior
+    return isStoppedAt(position.vehicle_stop_status)
+      ? (sorted[index + 1] ?? null)
+      : sorted[index];
+  }
+
+  return (
+    sorted.find((stopTime) => {
+      const scheduled = timeToSeconds(
+        stopTime.arrival_time || stopTime.departure_time,
+      );
+      if (scheduled === null) return false;
+
+      const delay = getDelayAtSequence(tripDelays, stopTime.stop_sequence) ?? 0;
+      return serviceDayStart + scheduled + delay >= now;
+    }) ?? null
+  );
+};
+
+// Convierte la lista de vehículos en una capa GeoJSON de puntos
+const vehiclesToGeoJSON = (vehicles) => ({
+  type: 'FeatureCollection',
+  features: vehicles
+    .filter(
+      (vehicle) =>
+        Number.isFinite(vehicle.latitud) && Number.isFinite(vehicle.longitud),
+    )
+    .map(({ latitud, longitud, ...properties }) => ({
+      type: 'Feature',
+      geometry: {
+        type: 'Point',
+        coordinates: [longitud, latitud],
+      },
+      properties,
+    })),
+});
+
+module.exports = {
+  getNextStopTime,
+  vehiclesToGeoJSON,
+};
@@ -1,8 +1,26 @@
 const {
   gtfsGetStop,
+  gtfsGetStopLocation,
   gtfsGetStops,
-  gtfsGetAlerts,
+  gtfsGetNearbyStops,
+  gtfsSearchStops,
+  gtfsGetFilteredAlerts,
+  gtfsGetAlertHistory,
+  gtfsGetAlertsFeed,
   gtfsGetBusPosition,
+  gtfsGetLines,
+  gtfsGetLine,
+  gtfsGetLineTimetable,
+  gtfsGetLineRegularity,
+  gtfsPlanJourney,
+  gtfsSubscribeStop,
+  gtfsConnectVehicleFeed,
+  gtfsGetVehicles,
+  gtfsGetVehiclesGeoJSON,
+  gtfsGetRealtimeFeed,
+  gtfsGetPunctuality,
+  gtfsGetGhostTrips,
+  gtfsGetEstimatedPositions,
   fetchShapesForTrip,
   fetchStopsForTrip,
   suspendedStops,
@@ -10,11 +28,46 @@ const {
 } = require('../gtfs');
 
 const {
-  gbfsGetStops
+  gbfsGetStops,
+  gbfsGetStations,
+  gbfsGetNearestStations,
+  gbfsGetStationHistory,
+  gbfsGetStationForecast,
 } = require('../gbfs');
 
-const getParada = async (stopCode, routeShortName = null, date = null) => {
+const getParada = async (
+  stopCode,
+  routeShortName = null,
+  date = null,
+  { incluirBicis = false } = {},
+) => {
   const result = await gtfsGetStop(stopCode, routeShortName, date);
+  if (!incluirBicis || result.error) return result;
+
+  // Estaciones de bicis cercanas a la parada
+  const [{ latitud, longitud }] = result.parada;
+  result.bicis = await gbfsGetNearestStations(
+    Number(latitud),
+    Number(longitud),
+  );
+  return result;
+};
+
+const getBicisParada = async (stopCode, { limite, radio } = {}) => {
+  const parada = await gtfsGetStopLocation(stopCode);
+  if (parada.error) return parada;
+
+  const bicis = await gbfsGetNearestStations(parada.latitud, parada.longitud, {
+    limit: limite,
+    radius: radio,
+  });
+  if (bicis.error) return bicis;
+
+  return { parada, ...bicis };
+};
+
+const suscribirParada = async (stopCode, listener) => {
+  const result = await gtfsSubscribeStop(stopCode, listener);
   return result;
 };
 
@@ -23,8 +76,32 @@ const getParadas = async () => {
   return result;
 };
 
-const getAlerts = async () => {
-  const result = await gtfsGetAlerts();
+const getParadasCercanas = async (lat, lon, radius) => {
+  const result = await gtfsGetNearbyStops(lat, lon, radius);
+  return result;
+};
+
+const buscarParadas = async (query, limit) => {
+  const result = await gtfsSearchStops(query, limit);
+  return result;
+};
+
+const getAlerts = async (filters = {}) => {
+  const result = await gtfsGetFilteredAlerts(filters);
+  return result;
+};
+
+const getFeedAlertas = async (formato, filters, urls) => {
+  const result = await gtfsGetAlertsFeed(formato, filters, urls);
+  return result;
+};
+
+const getHistorialAlertas = async ({ desde, hasta, ...filters } = {}) => {
+  const result = await gtfsGetAlertHistory({
+    from: desde,
+    to: hasta,
+    ...filters,
+  });
   return result;
 };
 
@@ -33,6 +110,89 @@ const getBusPosition = async (tripId) => {
   return result;
 };
 
+const getLineas = async (agencyId) => {
+  const result = await gtfsGetLines(agencyId);
+  return result;
+};
+
+const getLinea = async (routeShortName, agencyId) => {
+  const result = await gtfsGetLine(routeShortName, agencyId);
+  return result;
+};
+
+const getHorarioLinea = async (routeShortName, date, agencyId) => {
+  const result = await gtfsGetLineTimetable(routeShortName, date, agencyId);
+  return result;
+};
+
+const getRegularidadLinea = async (
+  routeShortName,
+  agencyId,
+  bunchingThreshold,
+) => {
+  const result = await gtfsGetLineRegularity(
+    routeShortName,
+    agencyId,
+    bunchingThreshold,
+  );
+  return result;
+};
+
+const planificarViaje = async (
+  origin,
+  destination,
+  date,
+  time,
+  { bicis = false } = {},
+) => {
+  // Sin datos de las estaciones se planifica solo en autobús
+  const estaciones = bicis ? await gbfsGetStations() : null;
+  const result = await gtfsPlanJourney(origin, destination, date, time, {
+    bikeStations: estaciones?.estaciones ?? null,
+  });
+  return result;
+};
+
+const getVehiculos = async (routeShortName, agencyId) => {
+  const result = await gtfsGetVehicles({ routeShortName, agencyId });
+  return result;
+};
+
+const getVehiculosGeoJSON = async (routeShortName, agencyId) => {
+  const result = await gtfsGetVehiclesGeoJSON({ routeShortName, agencyId });
+  return result;
+};
+
+const getFeedGtfsRt = async (feedType, format) => {
+  const result = await gtfsGetRealtimeFeed(feedType, format);
+  return result;
+};
+
+const getPuntualidad = async (routeShortName, desde, hasta, dias) => {
+  const result = await gtfsGetPunctuality({
+    routeShortName,
+    from: desde,
+    to: hasta,
+    dayType: dias,
+  });
+  return result;
+};
+
+const getViajesFantasma = async (routeShortName, agencyId) => {
+  const result = await gtfsGetGhostTrips({ routeShortName, agencyId });
+  return result;
+};
+
+const getVehiculosEstimados = async (routeShortName, agencyId) => {
+  const result = await gtfsGetEstimatedPositions({ routeShortName, agencyId });
+  return result;
+};
+
+const conectarFeedVehiculos = (sendMessage) => {
+  const result = gtfsConnectVehicleFeed(sendMessage);
+  return result;
+};
+
 const getShapesForTrip = async (tripId) => {
   const result = await fetchShapesForTrip(tripId);
   return result;
@@ -58,6 +218,24 @@ const getGbfsParadas = async () => {
   return result;
 };
 
+const getEstacionesGbfs = async () => {
+  const result = await gbfsGetStations();
+  return result;
+};
+
+const getHistorialEstacionGbfs = async (stationId, { desde, hasta } = {}) => {
+  const result = await gbfsGetStationHistory(stationId, {
+    from: desde,
+    to: hasta,
+  });
+  return result;
+};
+
+const getPrevisionEstacionGbfs = async (stationId, { dia, hora } = {}) => {
+  const result = await gbfsGetStationForecast(stationId, { dia, hora });
+  return result;
+};
+
 const config = require('../gtfs/config');
 const gbfsConfig = require('../gbfs/config');
 
@@ -140,13 +318,34 @@ const checkServicesStatus = async () => {
 
 module.exports = {
   getParada,
+  getBicisParada,
+  suscribirParada,
   getParadas,
+  getParadasCercanas,
+  buscarParadas,
   getAlerts,
+  getHistorialAlertas,
+  getFeedAlertas,
   getBusPosition,
+  getLineas,
+  getLinea,
+  getHorarioLinea,
+  getRegularidadLinea,
+  planificarViaje,
+  getVehiculos,
+  getVehiculosGeoJSON,
+  conectarFeedVehiculos,
+  getFeedGtfsRt,
+  getPuntualidad,
+  getViajesFantasma,
+  getVehiculosEstimados,
   getShapesForTrip,
   getStopsElementsForTrip,
   getTripSequence,
   getSuspendedStops,
   getGbfsParadas,
+  getEstacionesGbfs,
+  getHistorialEstacionGbfs,
+  getPrevisionEstacionGbfs,
   checkServicesStatus,
 };
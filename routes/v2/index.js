@@ -2,14 +2,34 @@ const express = require('express');
 const routes = express.Router();
 const {
   getParada,
+  getBicisParada,
+  suscribirParada,
   getParadas,
+  getParadasCercanas,
+  buscarParadas,
   getAlerts,
+  getHistorialAlertas,
+  getFeedAlertas,
   getBusPosition,
+  getLineas,
+  getLinea,
+  getHorarioLinea,
+  getRegularidadLinea,
+  planificarViaje,
+  getVehiculos,
+  getVehiculosGeoJSON,
+  getFeedGtfsRt,
+  getPuntualidad,
+  getViajesFantasma,
+  getVehiculosEstimados,
   getShapesForTrip,
   getStopsElementsForTrip,
   getSuspendedStops,
   getTripSequence,
   getGbfsParadas,
+  getEstacionesGbfs,
+  getHistorialEstacionGbfs,
+  getPrevisionEstacionGbfs,
   checkServicesStatus,
 } = require('../../lib/v2');
 const { getAllCacheKeys } = require('../../lib/utils');
@@ -17,6 +37,10 @@ const { getAllCacheKeys } = require('../../lib/utils');
 const apicache = require('apicache');
 const cache = apicache.middleware;
 
+// Cada cuánto se envía un comentario por las conexiones SSE para que los
+// proxies no las cierren por inactividad
+const SSE_HEARTBEAT_INTERVAL = 25000;
+
 // Data validation
 const Joi = require('joi');
 
@@ -60,6 +84,249 @@ const tripIdSchema = Joi.string()
     'any.required': 'El tripID es un campo obligatorio.',
   });
 
+// Esquema para el filtro opcional por agencia (agency_id)
+const agencyQuerySchema = Joi.object({
+  agencia: Joi.string()
+    .regex(/^[a-zA-Z0-9_-]+$/)
+    .messages({
+      'string.base': 'La agencia debe ser una cadena de texto.',
+      'string.pattern.base':
+        'La agencia solo puede contener caracteres alfanuméricos, guiones medios (-) y barras bajas (_).',
+    }),
+}).unknown(true);
+
+// Esquema para la regularidad de una línea: agencia y umbral de
+// agrupamiento en minutos
+const regularityQuerySchema = agencyQuerySchema.keys({
+  umbral: Joi.number().min(0.5).max(30).default(2).messages({
+    'number.base': 'El umbral debe ser un número de minutos.',
+    'number.min': 'El umbral debe ser de al menos 0.5 minutos.',
+    'number.max': 'El umbral no puede superar los 30 minutos.',
+  }),
+});
+
+// Esquema para la búsqueda de paradas cercanas
+const nearbyStopsSchema = Joi.object({
+  lat: Joi.number().min(-90).max(90).required().messages({
+    'number.base': 'La latitud debe ser un número.',
+    'number.min': 'La latitud debe estar entre -90 y 90.',
+    'number.max': 'La latitud debe estar entre -90 y 90.',
+    'any.required': 'La latitud es un campo obligatorio.',
+  }),
+  lon: Joi.number().min(-180).max(180).required().messages({
+    'number.base': 'La longitud debe ser un número.',
+    'number.min': 'La longitud debe estar entre -180 y 180.',
+    'number.max': 'La longitud debe estar entre -180 y 180.',
+    'any.required': 'La longitud es un campo obligatorio.',
+  }),
+  radio: Joi.number().integer().min(1).max(5000).default(500).messages({
+    'number.base': 'El radio debe ser un número de metros.',
+    'number.integer': 'El radio debe ser un número entero de metros.',
+    'number.min': 'El radio debe ser de al menos 1 metro.',
+    'number.max': 'El radio no puede superar los 5000 metros.',
+  }),
+}).unknown(true);
+
+// Esquema para las opciones de la información de una parada
+const stopQuerySchema = Joi.object({
+  incluirBicis: Joi.boolean().default(false).messages({
+    'boolean.base': 'El parámetro incluirBicis debe ser true o false.',
+  }),
+}).unknown(true);
+
+// Esquema para las estaciones de bicis cercanas a una parada
+const stopBikesQuerySchema = Joi.object({
+  limite: Joi.number().integer().min(1).max(10).default(3).messages({
+    'number.base': 'El límite debe ser un número.',
+    'number.integer': 'El límite debe ser un número entero.',
+    'number.min': 'El límite debe ser al menos 1.',
+    'number.max': 'El límite no puede superar 10 estaciones.',
+  }),
+  radio: Joi.number().integer().min(1).max(2000).default(500).messages({
+    'number.base': 'El radio debe ser un número de metros.',
+    'number.integer': 'El radio debe ser un número entero de metros.',
+    'number.min': 'El radio debe ser de al menos 1 metro.',
+    'number.max': 'El radio no puede superar los 2000 metros.',
+  }),
+}).unknown(true);
+
+// Esquema para la búsqueda de paradas por nombre o código
+const stopSearchSchema = Joi.object({
+  q: Joi.string().trim().min(1).max(100).required().messages({
+    'string.base': 'La búsqueda debe ser una cadena de texto.',
+    'string.empty': 'La búsqueda no puede estar vacía.',
+    'string.max': 'La búsqueda no puede superar los 100 caracteres.',
+    'any.required': 'El parámetro q es obligatorio.',
+  }),
+  limite: Joi.number().integer().min(1).max(50).default(20).messages({
+    'number.base': 'El límite debe ser un número.',
+    'number.integer': 'El límite debe ser un número entero.',
+    'number.min': 'El límite debe ser al menos 1.',
+    'number.max': 'El límite no puede superar 50 resultados.',
+  }),
+}).unknown(true);
+
+// Esquema para los filtros del listado de vehículos
+const vehiclesQuerySchema = agencyQuerySchema.keys({
+  linea: Joi.string().alphanum().messages({
+    'string.base': 'El código de la línea debe ser una cadena de texto.',
+    'string.alphanum':
+      'El código de la línea solo puede contener caracteres alfanuméricos.',
+  }),
+});
+
+// Esquema para los informes de puntualidad
+const punctualityQuerySchema = Joi.object({
+  linea: Joi.string().alphanum().messages({
+    'string.base': 'El código de la línea debe ser una cadena de texto.',
+    'string.alphanum':
+      'El código de la línea solo puede contener caracteres alfanuméricos.',
+  }),
+  desde: dateSchema.optional(),
+  hasta: dateSchema.optional(),
+  dias: Joi.string().valid('laborables', 'sabados', 'domingos').messages({
+    'any.only': 'Los días deben ser laborables, sabados o domingos.',
+  }),
+}).unknown(true);
+
+// Efectos de alerta definidos por GTFS-Realtime
+const ALERT_EFFECTS = [
+  'NO_SERVICE',
+  'REDUCED_SERVICE',
+  'SIGNIFICANT_DELAYS',
+  'DETOUR',
+  'ADDITIONAL_SERVICE',
+  'MODIFIED_SERVICE',
+  'OTHER_EFFECT',
+  'UNKNOWN_EFFECT',
+  'STOP_MOVED',
+  'NO_EFFECT',
+  'ACCESSIBILITY_ISSUE',
+];
+
+// Esquema para los filtros comunes de las alertas y su histórico
+const alertFiltersSchema = agencyQuerySchema.keys({
+  linea: Joi.string().alphanum().messages({
+    'string.base': 'El código de la línea debe ser una cadena de texto.',
+    'string.alphanum':
+      'El código de la línea solo puede contener caracteres alfanuméricos.',
+  }),
+  parada: Joi.string()
+    .regex(/^[a-zA-Z0-9:]+$/)
+    .messages({
+      'string.base': 'El número de parada debe ser una cadena de texto.',
+      'string.pattern.base':
+        'El número de parada solo puede contener caracteres alfanuméricos y dos puntos (:).',
+    }),
+  efecto: Joi.string()
+    .valid(...ALERT_EFFECTS)
+    .messages({
+      'any.only': `El efecto debe ser uno de: ${ALERT_EFFECTS.join(', ')}.`,
+    }),
+});
+
+// Esquema para el listado de alertas: filtros y vigencia
+const alertsQuerySchema = alertFiltersSchema.keys({
+  activas: Joi.string().valid('now', 'future', 'all').default('all').messages({
+    'any.only': 'El parámetro activas debe ser now, future o all.',
+  }),
+});
+
+// Esquema para el histórico de alertas
+const alertHistoryQuerySchema = alertFiltersSchema.keys({
+  desde: dateSchema.optional(),
+  hasta: dateSchema.optional(),
+});
+
+// Esquema para el id de una estación GBFS
+const stationIdSchema = Joi.string()
+  .regex(/^[a-zA-Z0-9_:.-]+$/)
+  .required()
+  .messages({
+    'string.base': 'El id de la estación debe ser una cadena de texto.',
+    'string.pattern.base':
+      'El id de la estación solo puede contener caracteres alfanuméricos, guiones, puntos y dos puntos (:).',
+    'any.required': 'El id de la estación es un campo obligatorio.',
+  });
+
+// Esquema para el histórico de una estación GBFS
+const stationHistoryQuerySchema = Joi.object({
+  desde: dateSchema.optional(),
+  hasta: dateSchema.optional(),
+}).unknown(true);
+
+// Esquema para la previsión de disponibilidad de una estación GBFS
+const stationForecastQuerySchema = Joi.object({
+  dia: Joi.string()
+    .valid(
+      'lunes',
+      'martes',
+      'miercoles',
+      'jueves',
+      'viernes',
+      'sabado',
+      'domingo',
+    )
+    .messages({
+      'any.only':
+        'El día debe ser lunes, martes, miercoles, jueves, viernes, sabado o domingo.',
+    }),
+  hora: Joi.number().integer().min(0).max(23).messages({
+    'number.base': 'La hora debe ser un número.',
+    'number.integer': 'La hora debe ser un número entero.',
+    'number.min': 'La hora debe estar entre 0 y 23.',
+    'number.max': 'La hora debe estar entre 0 y 23.',
+  }),
+}).unknown(true);
+
+// Esquema para el formato de los feeds GTFS-RT
+const realtimeFeedQuerySchema = Joi.object({
+  format: Joi.string().valid('pb', 'json').default('pb').messages({
+    'any.only': 'El formato debe ser pb o json.',
+  }),
+}).unknown(true);
+
+// Coordenadas en formato "lat,lon". Cada parte se comprueba antes de
+// convertirla porque Number('') es 0.
+const COORDINATE_PATTERN = /^-?\d+(\.\d+)?$/;
+const coordinatesSchema = (name) =>
+  Joi.string()
+    .required()
+    .custom((value, helpers) => {
+      const parts = value.split(',').map((part) => part.trim());
+      const [lat, lon] = parts.map(Number);
+      if (
+        parts.length !== 2 ||
+        !parts.every((part) => COORDINATE_PATTERN.test(part)) ||
+        Math.abs(lat) > 90 ||
+        Math.abs(lon) > 180
+      ) {
+        return helpers.error('any.invalid');
+      }
+      return { lat, lon };
+    })
+    .messages({
+      'string.base': `El ${name} debe ser una cadena de texto.`,
+      'any.invalid': `El ${name} debe tener el formato lat,lon.`,
+      'any.required': `El ${name} es un campo obligatorio.`,
+    });
+
+// Esquema para la planificación de viajes
+const journeyPlanSchema = Joi.object({
+  origen: coordinatesSchema('origen'),
+  destino: coordinatesSchema('destino'),
+  hora: Joi.string()
+    .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .messages({
+      'string.base': 'La hora debe ser una cadena de texto.',
+      'string.pattern.base': 'La hora debe tener el formato HH:mm.',
+    }),
+  fecha: dateSchema.optional(),
+  bicis: Joi.boolean().default(false).messages({
+    'boolean.base': 'El parámetro bicis debe ser true o false.',
+  }),
+}).unknown(true);
+
 // Redirecciona a /api-docs desde /
 routes.get('/', function (req, res) {
   res.redirect('/api-docs');
@@ -71,7 +338,16 @@ routes.get('/', function (req, res) {
  *   get:
  *     tags:
  *       - Alertas
- *     summary: Obtiene todas las alertas disponibles
+ *     summary: Obtiene las alertas disponibles
+ *     description: |
+ *       Devuelve una alerta por cada entidad informada (línea, parada o
+ *       agencia). Sin parámetros se devuelven todas, vigentes o no.
+ *     parameters:
+ *       - $ref: '#/components/parameters/AlertaLinea'
+ *       - $ref: '#/components/parameters/AlertaParada'
+ *       - $ref: '#/components/parameters/Agencia'
+ *       - $ref: '#/components/parameters/AlertaEfecto'
+ *       - $ref: '#/components/parameters/AlertasActivas'
  *     responses:
  *       200:
  *         description: Lista de alertas
@@ -81,12 +357,163 @@ routes.get('/', function (req, res) {
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Alerta'
+ *       400:
+ *         description: Parámetros no válidos
  */
 routes.get('/alertas', async (req, res) => {
-  const alerts = await getAlerts();
+  // Valida linea, parada, agencia, efecto y activas
+  const { error, value } = alertsQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).send(error.details[0].message);
+  }
+
+  const alerts = await getAlerts({
+    linea: value.linea,
+    parada: value.parada,
+    agencia: value.agencia,
+    efecto: value.efecto,
+    activas: value.activas,
+  });
   return res.status(200).send(alerts);
 });
 
+/**
+ * @openapi
+ * /alertas/historial:
+ *   get:
+ *     tags:
+ *       - Alertas
+ *     summary: Histórico de alertas
+ *     description: |
+ *       Alertas vistas en el feed GTFS-Realtime entre dos fechas, con la
+ *       primera y la última vez que aparecieron. Requiere el histórico de
+ *       tiempo real (`GTFS_RT_ARCHIVE`).
+ *     parameters:
+ *       - name: desde
+ *         in: query
+ *         required: false
+ *         description: Fecha inicial en formato YYYYMMDD (hace 7 días por defecto)
+ *         schema:
+ *           type: string
+ *       - name: hasta
+ *         in: query
+ *         required: false
+ *         description: Fecha final en formato YYYYMMDD (hoy por defecto)
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/AlertaLinea'
+ *       - $ref: '#/components/parameters/AlertaParada'
+ *       - $ref: '#/components/parameters/Agencia'
+ *       - $ref: '#/components/parameters/AlertaEfecto'
+ *     responses:
+ *       200:
+ *         description: Alertas vistas en el periodo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HistorialAlertas'
+ *       400:
+ *         description: Parámetros no válidos
+ */
+routes.get('/alertas/historial', async (req, res) => {
+  // Valida desde, hasta, linea, parada, agencia y efecto
+  const { error, value } = alertHistoryQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).send(error.details[0].message);
+  }
+
+  const response = await getHistorialAlertas({
+    desde: value.desde,
+    hasta: value.hasta,
+    linea: value.linea,
+    parada: value.parada,
+    agencia: value.agencia,
+    efecto: value.efecto,
+  });
+  return res.json(response);
+});
+
+// Tipos de contenido de los feeds de alertas
+const ALERT_FEED_TYPES = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  ics: 'text/calendar; charset=utf-8',
+};
+
+/**
+ * @openapi
+ * /alertas.{formato}:
+ *   get:
+ *     tags:
+ *       - Alertas
+ *     summary: Alertas como feed RSS, Atom o iCalendar
+ *     description: |
+ *       Las mismas alertas y filtros que `/alertas`, con una entrada por
+ *       alerta y sus líneas y paradas afectadas. Disponible en
+ *       `/alertas.rss`, `/alertas.atom` y `/alertas.ics`. En el iCalendar
+ *       cada periodo de vigencia de una alerta es un evento; los periodos
+ *       sin inicio no se incluyen.
+ *     parameters:
+ *       - name: formato
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [rss, atom, ics]
+ *       - $ref: '#/components/parameters/AlertaLinea'
+ *       - $ref: '#/components/parameters/AlertaParada'
+ *       - $ref: '#/components/parameters/Agencia'
+ *       - $ref: '#/components/parameters/AlertaEfecto'
+ *       - $ref: '#/components/parameters/AlertasActivas'
+ *     responses:
+ *       200:
+ *         description: Feed de alertas
+ *         content:
+ *           application/rss+xml:
+ *             schema:
+ *               type: string
+ *           application/atom+xml:
+ *             schema:
+ *               type: string
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Parámetros no válidos
+ */
+Object.entries(ALERT_FEED_TYPES).forEach(([format, contentType]) => {
+  routes.get(`/alertas.${format}`, async (req, res) => {
+    // Valida linea, parada, agencia, efecto y activas
+    const { error, value } = alertsQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).send(error.details[0].message);
+    }
+
+    const host = `${req.protocol}://${req.get('host')}`;
+    const response = await getFeedAlertas(
+      format,
+      {
+        linea: value.linea,
+        parada: value.parada,
+        agencia: value.agencia,
+        efecto: value.efecto,
+        activas: value.activas,
+      },
+      {
+        link: `${host}${req.baseUrl}/alertas`,
+        selfUrl: `${host}${req.originalUrl}`,
+        domain: req.hostname,
+      },
+    );
+    if (response.error) {
+      return res.json(response);
+    }
+
+    res.type(contentType);
+    return res.send(response);
+  });
+});
+
 routes.get('/getAllCache', (req, res) => {
   return res.json(getAllCacheKeys());
 });
@@ -98,12 +525,41 @@ routes.get('/getAllCache', (req, res) => {
  *     tags:
  *       - Parada
  *     summary: Obtiene información detallada de una parada específica
+ *     description: |
+ *       Cada elemento de `realtime` incluye `estadoViaje`: `en_servicio`,
+ *       `programado`, `cancelado` (el feed lo marca como `CANCELED`) o
+ *       `probablemente_sin_servicio` (debería haber salido hace más de 5
+ *       minutos y no hay ningún dato en tiempo real de él).
+ *
+ *       Si hay posición del vehículo, `recorrido` la ajusta al recorrido del
+ *       viaje con la distancia recorrida, el rumbo y las paradas anterior y
+ *       siguiente.
+ *
+ *       Cuando un viaje todavía no tiene datos en tiempo real pero el vehículo
+ *       que lo va a hacer llega tarde de su viaje anterior (mismo `block_id`),
+ *       ese retraso se aplica a la hora prevista descontando el descanso en
+ *       cabecera. En ese caso `propagadoDesde` indica el viaje anterior.
+ *
+ *       Cada elemento de `parada` incluye `suprimida` y las `alertas`
+ *       vigentes que informan la parada o toda la red. Cada elemento de
+ *       `lineas` incluye las `alertas` de la línea, en general o en esta
+ *       parada. Con una fecha se incluyen las alertas vigentes en algún
+ *       momento de ese día.
+ *
+ *       Con `incluirBicis=true` se añaden en `bicis` las estaciones de
+ *       bicicleta compartida más cercanas, como en `/parada/{stopCode}/bicis`.
  *     parameters:
  *       - name: stopCode
  *         in: path
  *         required: true
  *         schema:
  *           $ref: '#/components/schemas/StopCode'
+ *       - name: incluirBicis
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
  *     responses:
  *       200:
  *         description: Detalles de la parada solicitada
@@ -121,10 +577,159 @@ routes.get('/parada/:stopCode', async (req, res) => {
     return res.status(400).send(stopCodeValidation.error.details[0].message);
   }
 
-  const response = await getParada(stopCode);
+  // Valida incluirBicis
+  const { error, value } = stopQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).send(error.details[0].message);
+  }
+
+  const response = await getParada(stopCode, null, null, {
+    incluirBicis: value.incluirBicis,
+  });
+  return res.json(response);
+});
+
+/**
+ * @openapi
+ * /parada/{stopCode}/bicis:
+ *   get:
+ *     tags:
+ *       - Parada
+ *     summary: Estaciones de bicicleta compartida más cercanas a una parada
+ *     description: |
+ *       Devuelve las estaciones más cercanas a la parada, de la más próxima a
+ *       la más lejana, con la distancia en metros, los minutos caminando y las
+ *       bicis y anclajes disponibles en este momento.
+ *     parameters:
+ *       - name: stopCode
+ *         in: path
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/StopCode'
+ *       - name: limite
+ *         in: query
+ *         required: false
+ *         description: Número máximo de estaciones
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10
+ *           default: 3
+ *       - name: radio
+ *         in: query
+ *         required: false
+ *         description: Distancia máxima en metros
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 2000
+ *           default: 500
+ *     responses:
+ *       200:
+ *         description: Parada y estaciones cercanas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BicisParada'
+ *       400:
+ *         description: Parámetros no válidos
+ */
+routes.get('/parada/:stopCode/bicis', async (req, res) => {
+  const { stopCode } = req.params;
+
+  // Valida stopCode
+  const stopCodeValidation = stopCodeSchema.validate(stopCode);
+  if (stopCodeValidation.error) {
+    return res.status(400).send(stopCodeValidation.error.details[0].message);
+  }
+
+  // Valida limite y radio
+  const { error, value } = stopBikesQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).send(error.details[0].message);
+  }
+
+  const response = await getBicisParada(stopCode, {
+    limite: value.limite,
+    radio: value.radio,
+  });
   return res.json(response);
 });
 
+/**
+ * @openapi
+ * /parada/{stopCode}/stream:
+ *   get:
+ *     tags:
+ *       - Parada
+ *     summary: Stream (Server-Sent Events) con los horarios y tiempos en tiempo real de una parada
+ *     description: |
+ *       Envía un evento `parada` con la misma información que `/parada/{stopCode}`
+ *       al conectarse y, después, cada vez que una actualización GTFS-RT cambia
+ *       los horarios o los tiempos en tiempo real de la parada. Si la parada no
+ *       existe se responde con un JSON de error en lugar de abrir el stream.
+ *     parameters:
+ *       - name: stopCode
+ *         in: path
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/StopCode'
+ *     responses:
+ *       200:
+ *         description: Stream de eventos con los datos de la parada
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 event: parada
+ *                 data: {"parada":[...],"lineas":[...]}
+ */
+routes.get('/parada/:stopCode/stream', async (req, res) => {
+  const { stopCode } = req.params;
+
+  // Valida stopCode
+  const stopCodeValidation = stopCodeSchema.validate(stopCode);
+  if (stopCodeValidation.error) {
+    return res.status(400).send(stopCodeValidation.error.details[0].message);
+  }
+
+  const sendEvent = (payload) => {
+    res.write(`event: parada\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+
+  const { payload, unsubscribe } = await suscribirParada(stopCode, sendEvent);
+
+  if (payload.error) {
+    unsubscribe();
+    return res.json(payload);
+  }
+
+  // El cliente puede haberse ido mientras obteníamos los datos
+  if (req.socket.destroyed) {
+    unsubscribe();
+    return;
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  sendEvent(payload);
+
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+  }, SSE_HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
 /**
  * @openapi
  * /parada/{stopCode}/{routeShortName}:
@@ -237,6 +842,10 @@ routes.get('/parada/:stopCode/:routeShortName/:date', async (req, res) => {
  *     tags:
  *       - Paradas
  *     summary: Obtiene información sobre paradas suspendidas
+ *     description: |
+ *       Se usan las paradas que informa cada alerta con efecto `NO_SERVICE`,
+ *       `DETOUR` o `STOP_MOVED`. Si una alerta no informa ninguna, se buscan
+ *       los nombres de las paradas en su descripción.
  *     responses:
  *       200:
  *         description: Lista de paradas suprimidas
@@ -252,6 +861,105 @@ routes.get('/paradas/suprimidas', async (req, res) => {
   return res.json(response);
 });
 
+/**
+ * @openapi
+ * /paradas/cercanas:
+ *   get:
+ *     tags:
+ *       - Paradas
+ *     summary: Obtiene las paradas cercanas a una ubicación ordenadas por distancia
+ *     description: |
+ *       La distancia (`distancia`) y el radio se miden en línea recta, en
+ *       metros, no caminando por las calles.
+ *     parameters:
+ *       - name: lat
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: number
+ *           format: float
+ *           example: 41.6523
+ *       - name: lon
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: number
+ *           format: float
+ *           example: -4.7245
+ *       - name: radio
+ *         in: query
+ *         required: false
+ *         description: Radio de búsqueda en metros en línea recta (500 por defecto, máximo 5000)
+ *         schema:
+ *           type: integer
+ *           example: 500
+ *     responses:
+ *       200:
+ *         description: Lista de paradas dentro del radio indicado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ParadaCercana'
+ */
+routes.get('/paradas/cercanas', async (req, res) => {
+  // Valida lat, lon y radio
+  const { error, value } = nearbyStopsSchema.validate(req.query);
+  if (error) {
+    return res.status(400).send(error.details[0].message);
+  }
+
+  const response = await getParadasCercanas(value.lat, value.lon, value.radio);
+  return res.json(response);
+});
+
+/**
+ * @openapi
+ * /paradas/buscar:
+ *   get:
+ *     tags:
+ *       - Paradas
+ *     summary: Busca paradas por nombre, calle o código
+ *     description: |
+ *       Búsqueda sin tildes y tolerante a errores tipográficos sobre las paradas de
+ *       todas las agencias. Las abreviaturas habituales ("C/", "Avda", "Pza", ...)
+ *       se expanden tanto en la búsqueda como en los nombres de las paradas.
+ *     parameters:
+ *       - name: q
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: plaza zorrilla
+ *       - name: limite
+ *         in: query
+ *         required: false
+ *         description: Número máximo de resultados (20 por defecto, máximo 50)
+ *         schema:
+ *           type: integer
+ *           example: 20
+ *     responses:
+ *       200:
+ *         description: Paradas ordenadas de mayor a menor coincidencia
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ParadaBusqueda'
+ */
+routes.get('/paradas/buscar', async (req, res) => {
+  // Valida q y limite
+  const { error, value } = stopSearchSchema.validate(req.query);
+  if (error) {
+    return res.status(400).send(error.details[0].message);
+  }
+
+  const response = await buscarParadas(value.q, value.limite);
+  return res.json(response);
+});
+
 /**
  * @openapi
  * /paradas:
@@ -276,92 +984,633 @@ routes.get('/paradas', async (req, res) => {
 
 /**
  * @openapi
- * /busPosition/{tripId}:
+ * /lineas:
  *   get:
  *     tags:
- *       - Bus Position
- *     summary: Obtiene la posición actual de un autobús específico
+ *       - Lineas
+ *     summary: Obtiene el catálogo de líneas de todas las agencias
  *     parameters:
- *       - name: tripId
- *         in: path
- *         required: true
- *         schema:
- *           $ref: '#/components/schemas/TripId'
+ *       - $ref: '#/components/parameters/Agencia'
  *     responses:
  *       200:
- *         description: Posición actual del autobús
+ *         description: Lista de líneas ordenadas por agencia y nombre
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/BusPosition'
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Linea'
  */
-routes.get('/busPosition/:tripId', async (req, res) => {
-  const { tripId } = req.params;
-
-  // Valida tripId
-  const tripIdValidation = tripIdSchema.validate(tripId);
-  if (tripIdValidation.error) {
-    return res.status(400).send(tripIdValidation.error.details[0].message);
+routes.get('/lineas', async (req, res) => {
+  // Valida agencia
+  const { error, value } = agencyQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).send(error.details[0].message);
   }
 
-  const response = await getBusPosition(tripId);
+  const response = await getLineas(value.agencia);
   return res.json(response);
 });
 
 /**
  * @openapi
- * /geojson/paradas/{tripId}:
+ * /lineas/{routeShortName}:
  *   get:
  *     tags:
- *       - GeoJSON
- *     summary: Obtiene elementos de paradas para un viaje específico en formato GeoJSON
+ *       - Lineas
+ *     summary: Obtiene el detalle de una línea con las paradas de cada sentido
  *     parameters:
- *       - name: tripId
+ *       - name: routeShortName
  *         in: path
  *         required: true
  *         schema:
- *           $ref: '#/components/schemas/TripId'
+ *           $ref: '#/components/schemas/RouteShortName'
+ *       - $ref: '#/components/parameters/Agencia'
  *     responses:
  *       200:
- *         description: Elementos de paradas en formato GeoJSON
+ *         description: Detalle de la línea solicitada
  *         content:
- *           application/geo+json:
+ *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/StopsGeoJson'
+ *               $ref: '#/components/schemas/LineaDetalle'
  */
-routes.get('/geojson/paradas/:tripId', async (req, res) => {
-  const { tripId } = req.params;
+routes.get('/lineas/:routeShortName', async (req, res) => {
+  const { routeShortName } = req.params;
 
-  // Valida tripId
-  const tripIdValidation = tripIdSchema.validate(tripId);
-  if (tripIdValidation.error) {
-    return res.status(400).send(tripIdValidation.error.details[0].message);
+  // Valida routeShortName
+  const routeShortNameValidation =
+    routeShortNameSchema.validate(routeShortName);
+  if (routeShortNameValidation.error) {
+    return res
+      .status(400)
+      .send(routeShortNameValidation.error.details[0].message);
   }
 
-  const response = await getStopsElementsForTrip(tripId);
-  return res.send(response);
+  // Valida agencia
+  const { error, value } = agencyQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).send(error.details[0].message);
+  }
+
+  const response = await getLinea(routeShortName, value.agencia);
+  return res.json(response);
 });
 
 /**
  * @openapi
- * /geojson/{tripId}:
+ * /lineas/{routeShortName}/horario/{date}:
  *   get:
  *     tags:
- *       - GeoJSON
- *     summary: Obtiene formas de viajes en formato GeoJSON
+ *       - Lineas
+ *     summary: Obtiene el cuadro horario completo de una línea para un día
+ *     description: |
+ *       Devuelve, para cada sentido, las paradas en orden y la hora de salida de
+ *       cada viaje del día en cada parada (`null` si el viaje no pasa por ella).
  *     parameters:
- *       - name: tripId
+ *       - name: routeShortName
  *         in: path
  *         required: true
  *         schema:
- *           $ref: '#/components/schemas/TripId'
+ *           $ref: '#/components/schemas/RouteShortName'
+ *       - name: date
+ *         in: path
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/Date'
+ *       - $ref: '#/components/parameters/Agencia'
  *     responses:
  *       200:
- *         description: Formas de viajes en formato GeoJSON
+ *         description: Cuadro horario de la línea
  *         content:
- *           application/geo+json:
+ *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ShapesGeoJson'
+ *               $ref: '#/components/schemas/HorarioLinea'
+ */
+routes.get('/lineas/:routeShortName/horario/:date', async (req, res) => {
+  const { routeShortName, date } = req.params;
+
+  // Valida routeShortName
+  const routeShortNameValidation =
+    routeShortNameSchema.validate(routeShortName);
+  if (routeShortNameValidation.error) {
+    return res
+      .status(400)
+      .send(routeShortNameValidation.error.details[0].message);
+  }
+
+  // Valida date
+  const dateValidation = dateSchema.validate(date);
+  if (dateValidation.error) {
+    return res.status(400).send(dateValidation.error.details[0].message);
+  }
+
+  // Valida agencia
+  const { error, value } = agencyQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).send(error.details[0].message);
+  }
+
+  const response = await getHorarioLinea(routeShortName, date, value.agencia);
+  return res.json(response);
+});
+
+/**
+ * @openapi
+ * /lineas/{routeShortName}/regularidad:
+ *   get:
+ *     tags:
+ *       - Lineas
+ *     summary: Regularidad en vivo de una línea, con agrupamientos y huecos entre autobuses
+ *     description: |
+ *       Calcula el intervalo real entre cada par de autobuses consecutivos de
+ *       cada sentido en la siguiente parada del que va delante, usando sus
+ *       posiciones y los datos en tiempo real. Se marcan como `agrupados` los
+ *       intervalos menores que el umbral y como `hueco` los que superan en más
+ *       de un 50 % al programado.
+ *     parameters:
+ *       - name: routeShortName
+ *         in: path
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/RouteShortName'
+ *       - $ref: '#/components/parameters/Agencia'
+ *       - name: umbral
+ *         in: query
+ *         required: false
+ *         description: Intervalo en minutos por debajo del cual dos autobuses van agrupados
+ *         schema:
+ *           type: number
+ *           default: 2
+ *     responses:
+ *       200:
+ *         description: Intervalos entre autobuses de cada sentido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Regularidad'
+ */
+routes.get('/lineas/:routeShortName/regularidad', async (req, res) => {
+  const { routeShortName } = req.params;
+
+  // Valida routeShortName
+  const routeShortNameValidation =
+    routeShortNameSchema.validate(routeShortName);
+  if (routeShortNameValidation.error) {
+    return res
+      .status(400)
+      .send(routeShortNameValidation.error.details[0].message);
+  }
+
+  // Valida agencia y umbral
+  const { error, value } = regularityQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).send(error.details[0].message);
+  }
+
+  const response = await getRegularidadLinea(
+    routeShortName,
+    value.agencia,
+    Math.round(value.umbral * 60),
+  );
+  return res.json(response);
+});
+
+/**
+ * @openapi
+ * /planificar:
+ *   get:
+ *     tags:
+ *       - Planificador
+ *     summary: Planifica un viaje entre dos ubicaciones
+ *     description: |
+ *       Devuelve hasta tres itinerarios en autobús con los tramos a pie, los
+ *       transbordos y las horas de salida y llegada de cada tramo, combinando
+ *       las líneas de todas las agencias. Si se planifica para hoy se aplican
+ *       los retrasos en tiempo real disponibles. Cuando el destino está cerca
+ *       se incluye también la opción de ir andando.
+ *
+ *       Con `bicis=true` los itinerarios pueden empezar o terminar con un
+ *       tramo en bicicleta compartida, o hacerse enteros en bici, cogiéndola
+ *       en una estación con bicis y dejándola en una con anclajes libres
+ *       según su disponibilidad actual.
+ *     parameters:
+ *       - name: origen
+ *         in: query
+ *         required: true
+ *         description: Coordenadas de origen en formato lat,lon
+ *         schema:
+ *           type: string
+ *           example: 41.6523,-4.7245
+ *       - name: destino
+ *         in: query
+ *         required: true
+ *         description: Coordenadas de destino en formato lat,lon
+ *         schema:
+ *           type: string
+ *           example: 41.6336,-4.7580
+ *       - name: hora
+ *         in: query
+ *         required: false
+ *         description: Hora de salida en formato HH:mm (ahora por defecto)
+ *         schema:
+ *           type: string
+ *           example: '08:30'
+ *       - name: fecha
+ *         in: query
+ *         required: false
+ *         description: Fecha de salida en formato YYYYMMDD (hoy por defecto)
+ *         schema:
+ *           $ref: '#/components/schemas/Date'
+ *       - name: bicis
+ *         in: query
+ *         required: false
+ *         description: Incluye tramos en bicicleta compartida (GBFS)
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Itinerarios ordenados por hora de llegada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Planificacion'
+ */
+routes.get('/planificar', async (req, res) => {
+  // Valida origen, destino, hora, fecha y bicis
+  const { error, value } = journeyPlanSchema.validate(req.query);
+  if (error) {
+    return res.status(400).send(error.details[0].message);
+  }
+
+  const response = await planificarViaje(
+    value.origen,
+    value.destino,
+    value.fecha,
+    value.hora,
+    { bicis: value.bicis },
+  );
+  return res.json(response);
+});
+
+/**
+ * @openapi
+ * /vehiculos:
+ *   get:
+ *     tags:
+ *       - Vehiculos
+ *     summary: Obtiene todos los vehículos en circulación con su línea, destino, siguiente parada y retraso
+ *     parameters:
+ *       - name: linea
+ *         in: query
+ *         required: false
+ *         schema:
+ *           $ref: '#/components/schemas/RouteShortName'
+ *       - $ref: '#/components/parameters/Agencia'
+ *     responses:
+ *       200:
+ *         description: Lista de vehículos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Vehiculo'
+ */
+routes.get('/vehiculos', async (req, res) => {
+  // Valida linea y agencia
+  const { error, value } = vehiclesQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).send(error.details[0].message);
+  }
+
+  const response = await getVehiculos(value.linea, value.agencia);
+  return res.json(response);
+});
+
+/**
+ * @openapi
+ * /vehiculos/estimados:
+ *   get:
+ *     tags:
+ *       - Vehiculos
+ *     summary: Posiciones estimadas según el horario de los viajes sin tiempo real
+ *     description: |
+ *       Incluye los viajes en curso de las agencias sin datos en tiempo real
+ *       (ECSA, La Regional, Linecar) y los de AUVASA cuyo vehículo no está
+ *       enviando su posición. La posición se interpola sobre el recorrido del
+ *       viaje a partir de su horario y se marca con `fuente: estimado`.
+ *     parameters:
+ *       - name: linea
+ *         in: query
+ *         required: false
+ *         schema:
+ *           $ref: '#/components/schemas/RouteShortName'
+ *       - $ref: '#/components/parameters/Agencia'
+ *     responses:
+ *       200:
+ *         description: Posiciones estimadas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/BusPosition'
+ */
+routes.get('/vehiculos/estimados', async (req, res) => {
+  // Valida linea y agencia
+  const { error, value } = vehiclesQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).send(error.details[0].message);
+  }
+
+  const response = await getVehiculosEstimados(value.linea, value.agencia);
+  return res.json(response);
+});
+
+/**
+ * @openapi
+ * /viajes/fantasma:
+ *   get:
+ *     tags:
+ *       - Vehiculos
+ *     summary: Viajes de hoy cancelados o que probablemente no están circulando
+ *     description: |
+ *       Incluye los viajes que el feed en tiempo real marca como `CANCELED` y los
+ *       que deberían haber salido hace más de 5 minutos sin tener ni trip update
+ *       ni posición de vehículo. Solo se revisan las agencias que están
+ *       publicando datos en tiempo real.
+ *     parameters:
+ *       - name: linea
+ *         in: query
+ *         required: false
+ *         schema:
+ *           $ref: '#/components/schemas/RouteShortName'
+ *       - $ref: '#/components/parameters/Agencia'
+ *     responses:
+ *       200:
+ *         description: Viajes cancelados o sin servicio
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ViajesFantasma'
+ */
+routes.get('/viajes/fantasma', async (req, res) => {
+  // Valida linea y agencia
+  const { error, value } = vehiclesQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).send(error.details[0].message);
+  }
+
+  const response = await getViajesFantasma(value.linea, value.agencia);
+  return res.json(response);
+});
+
+/**
+ * @openapi
+ * /estadisticas/puntualidad:
+ *   get:
+ *     tags:
+ *       - Estadisticas
+ *     summary: Puntualidad histórica por línea, parada y hora del día
+ *     description: |
+ *       Calculada con el histórico de datos en tiempo real. Se considera puntual
+ *       un paso con entre 1 minuto de adelanto y 5 minutos de retraso.
+ *     parameters:
+ *       - name: linea
+ *         in: query
+ *         required: false
+ *         schema:
+ *           $ref: '#/components/schemas/RouteShortName'
+ *       - name: desde
+ *         in: query
+ *         required: false
+ *         description: Fecha de servicio inicial en formato YYYYMMDD (hace 30 días por defecto)
+ *         schema:
+ *           type: string
+ *       - name: hasta
+ *         in: query
+ *         required: false
+ *         description: Fecha de servicio final en formato YYYYMMDD (hoy por defecto)
+ *         schema:
+ *           type: string
+ *       - name: dias
+ *         in: query
+ *         required: false
+ *         description: Limita el informe a un tipo de día
+ *         schema:
+ *           type: string
+ *           enum: [laborables, sabados, domingos]
+ *     responses:
+ *       200:
+ *         description: Informe de puntualidad
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Puntualidad'
+ */
+routes.get('/estadisticas/puntualidad', async (req, res) => {
+  // Valida linea, desde, hasta y dias
+  const { error, value } = punctualityQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).send(error.details[0].message);
+  }
+
+  const response = await getPuntualidad(
+    value.linea,
+    value.desde,
+    value.hasta,
+    value.dias,
+  );
+  return res.json(response);
+});
+
+/**
+ * @openapi
+ * /gtfs-rt/{feed}.pb:
+ *   get:
+ *     tags:
+ *       - GTFS-RT
+ *     summary: Feeds GTFS-Realtime republicados con los datos ya importados y validados
+ *     description: |
+ *       Republica los datos en tiempo real importados de todas las agencias, una
+ *       vez superado el control de calidad, como feed GTFS-Realtime completo
+ *       (`FULL_DATASET`). Con `?format=json` se devuelve la misma estructura en JSON.
+ *     parameters:
+ *       - name: feed
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [tripupdates, vehiclepositions, alerts]
+ *       - name: format
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [pb, json]
+ *           default: pb
+ *     responses:
+ *       200:
+ *         description: FeedMessage de GTFS-Realtime
+ *         content:
+ *           application/x-protobuf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/json:
+ *             schema:
+ *               type: object
+ */
+['tripupdates', 'vehiclepositions', 'alerts'].forEach((feedType) => {
+  routes.get(`/gtfs-rt/${feedType}.pb`, async (req, res) => {
+    // Valida format
+    const { error, value } = realtimeFeedQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).send(error.details[0].message);
+    }
+
+    const response = await getFeedGtfsRt(feedType, value.format);
+    if (response.error || value.format === 'json') {
+      return res.json(response);
+    }
+
+    res.type('application/x-protobuf');
+    return res.send(response);
+  });
+});
+
+/**
+ * @openapi
+ * /busPosition/{tripId}:
+ *   get:
+ *     tags:
+ *       - Bus Position
+ *     summary: Obtiene la posición actual de un autobús específico
+ *     description: |
+ *       Además de la posición recibida, `recorrido` la sitúa sobre el
+ *       recorrido del viaje: distancia recorrida, rumbo y paradas anterior y
+ *       siguiente.
+ *
+ *       Si el viaje está en curso pero no hay posición en tiempo real, se
+ *       devuelve la estimada según el horario con `fuente: estimado`.
+ *     parameters:
+ *       - name: tripId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/TripId'
+ *     responses:
+ *       200:
+ *         description: Posición actual del autobús
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BusPosition'
+ */
+routes.get('/busPosition/:tripId', async (req, res) => {
+  const { tripId } = req.params;
+
+  // Valida tripId
+  const tripIdValidation = tripIdSchema.validate(tripId);
+  if (tripIdValidation.error) {
+    return res.status(400).send(tripIdValidation.error.details[0].message);
+  }
+
+  const response = await getBusPosition(tripId);
+  return res.json(response);
+});
+
+/**
+ * @openapi
+ * /geojson/vehiculos:
+ *   get:
+ *     tags:
+ *       - GeoJSON
+ *     summary: Obtiene la posición de todos los vehículos en circulación en formato GeoJSON
+ *     description: |
+ *       Capa de puntos con un elemento por vehículo. Las propiedades de cada
+ *       elemento son las mismas que en `/vehiculos`.
+ *     parameters:
+ *       - name: linea
+ *         in: query
+ *         required: false
+ *         schema:
+ *           $ref: '#/components/schemas/RouteShortName'
+ *       - $ref: '#/components/parameters/Agencia'
+ *     responses:
+ *       200:
+ *         description: Vehículos en formato GeoJSON
+ *         content:
+ *           application/geo+json:
+ *             schema:
+ *               $ref: '#/components/schemas/VehiculosGeoJson'
+ */
+routes.get('/geojson/vehiculos', async (req, res) => {
+  // Valida linea y agencia
+  const { error, value } = vehiclesQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).send(error.details[0].message);
+  }
+
+  const response = await getVehiculosGeoJSON(value.linea, value.agencia);
+  return res.json(response);
+});
+
+/**
+ * @openapi
+ * /geojson/paradas/{tripId}:
+ *   get:
+ *     tags:
+ *       - GeoJSON
+ *     summary: Obtiene elementos de paradas para un viaje específico en formato GeoJSON
+ *     parameters:
+ *       - name: tripId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/TripId'
+ *     responses:
+ *       200:
+ *         description: Elementos de paradas en formato GeoJSON
+ *         content:
+ *           application/geo+json:
+ *             schema:
+ *               $ref: '#/components/schemas/StopsGeoJson'
+ */
+routes.get('/geojson/paradas/:tripId', async (req, res) => {
+  const { tripId } = req.params;
+
+  // Valida tripId
+  const tripIdValidation = tripIdSchema.validate(tripId);
+  if (tripIdValidation.error) {
+    return res.status(400).send(tripIdValidation.error.details[0].message);
+  }
+
+  const response = await getStopsElementsForTrip(tripId);
+  return res.send(response);
+});
+
+/**
+ * @openapi
+ * /geojson/{tripId}:
+ *   get:
+ *     tags:
+ *       - GeoJSON
+ *     summary: Obtiene formas de viajes en formato GeoJSON
+ *     parameters:
+ *       - name: tripId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/TripId'
+ *     responses:
+ *       200:
+ *         description: Formas de viajes en formato GeoJSON
+ *         content:
+ *           application/geo+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShapesGeoJson'
  */
 routes.get('/geojson/:tripId', async (req, res) => {
   const { tripId } = req.params;
@@ -411,6 +1660,156 @@ routes.get('/gbfs/paradas', async (req, res) => {
   return res.json(response);
 });
 
+/**
+ * @openapi
+ * /gbfs/estaciones:
+ *   get:
+ *     tags:
+ *       - Paradas
+ *     summary: Estaciones de bicicleta compartida con sus bicis y anclajes disponibles
+ *     description: |
+ *       Une la información de cada estación (station_information) con su
+ *       disponibilidad (station_status). Los datos se actualizan en segundo
+ *       plano según el ttl de cada feed.
+ *     responses:
+ *       200:
+ *         description: Estaciones y fecha de la última actualización del estado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EstacionesGbfs'
+ */
+routes.get('/gbfs/estaciones', async (req, res) => {
+  const response = await getEstacionesGbfs();
+  return res.json(response);
+});
+
+/**
+ * @openapi
+ * /gbfs/estaciones/{id}/historial:
+ *   get:
+ *     tags:
+ *       - Paradas
+ *     summary: Histórico de bicis y anclajes disponibles en una estación
+ *     description: |
+ *       Estados de la estación guardados cada 5 minutos a partir del feed
+ *       station_status.
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Id de la estación (station_id)
+ *         schema:
+ *           type: string
+ *       - name: desde
+ *         in: query
+ *         required: false
+ *         description: Fecha inicial en formato YYYYMMDD (hoy por defecto)
+ *         schema:
+ *           type: string
+ *       - name: hasta
+ *         in: query
+ *         required: false
+ *         description: Fecha final en formato YYYYMMDD (hoy por defecto)
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Estados de la estación entre las dos fechas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HistorialEstacionGbfs'
+ *       400:
+ *         description: Parámetros no válidos
+ */
+routes.get('/gbfs/estaciones/:id/historial', async (req, res) => {
+  const { id } = req.params;
+
+  // Valida id
+  const stationIdValidation = stationIdSchema.validate(id);
+  if (stationIdValidation.error) {
+    return res.status(400).send(stationIdValidation.error.details[0].message);
+  }
+
+  // Valida desde y hasta
+  const { error, value } = stationHistoryQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).send(error.details[0].message);
+  }
+
+  const response = await getHistorialEstacionGbfs(id, {
+    desde: value.desde,
+    hasta: value.hasta,
+  });
+  return res.json(response);
+});
+
+/**
+ * @openapi
+ * /gbfs/estaciones/{id}/prevision:
+ *   get:
+ *     tags:
+ *       - Paradas
+ *     summary: Previsión de disponibilidad de una estación por día de la semana y hora
+ *     description: |
+ *       Calculada con todo el histórico de la estación. Por ejemplo,
+ *       `?dia=lunes&hora=8` devuelve la probabilidad de encontrar una bici (y
+ *       un anclaje libre) los lunes entre las 8:00 y las 9:00.
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Id de la estación (station_id)
+ *         schema:
+ *           type: string
+ *       - name: dia
+ *         in: query
+ *         required: false
+ *         description: Limita la previsión a un día de la semana
+ *         schema:
+ *           type: string
+ *           enum: [lunes, martes, miercoles, jueves, viernes, sabado, domingo]
+ *       - name: hora
+ *         in: query
+ *         required: false
+ *         description: Limita la previsión a una hora del día
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 23
+ *     responses:
+ *       200:
+ *         description: Previsión por día de la semana y hora
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PrevisionEstacionGbfs'
+ *       400:
+ *         description: Parámetros no válidos
+ */
+routes.get('/gbfs/estaciones/:id/prevision', async (req, res) => {
+  const { id } = req.params;
+
+  // Valida id
+  const stationIdValidation = stationIdSchema.validate(id);
+  if (stationIdValidation.error) {
+    return res.status(400).send(stationIdValidation.error.details[0].message);
+  }
+
+  // Valida dia y hora
+  const { error, value } = stationForecastQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).send(error.details[0].message);
+  }
+
+  const response = await getPrevisionEstacionGbfs(id, {
+    dia: value.dia,
+    hora: value.hora,
+  });
+  return res.json(response);
+});
+
 /**
  * @openapi
  * /status:
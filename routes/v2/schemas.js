@@ -1,10 +1,55 @@
 /**
  * @swagger
  * components:
+ *   parameters:
+ *     Agencia:
+ *       name: agencia
+ *       in: query
+ *       required: false
+ *       description: Filtra por agencia (agency_id), necesario cuando varias agencias comparten nombre de línea
+ *       schema:
+ *         type: string
+ *         example: '101'
+ *     AlertaLinea:
+ *       name: linea
+ *       in: query
+ *       required: false
+ *       description: Solo las alertas que informan esta línea
+ *       schema:
+ *         $ref: '#/components/schemas/RouteShortName'
+ *     AlertaParada:
+ *       name: parada
+ *       in: query
+ *       required: false
+ *       description: Solo las alertas que informan esta parada
+ *       schema:
+ *         $ref: '#/components/schemas/StopCode'
+ *     AlertaEfecto:
+ *       name: efecto
+ *       in: query
+ *       required: false
+ *       description: Efecto GTFS-Realtime de la alerta
+ *       schema:
+ *         type: string
+ *         enum: [NO_SERVICE, REDUCED_SERVICE, SIGNIFICANT_DELAYS, DETOUR, ADDITIONAL_SERVICE, MODIFIED_SERVICE, OTHER_EFFECT, UNKNOWN_EFFECT, STOP_MOVED, NO_EFFECT, ACCESSIBILITY_ISSUE]
+ *     AlertasActivas:
+ *       name: activas
+ *       in: query
+ *       required: false
+ *       description: |
+ *         `now` para las vigentes en este momento, `future` para las que
+ *         tienen algún periodo que aún no ha empezado y `all` para todas
+ *       schema:
+ *         type: string
+ *         enum: [now, future, all]
+ *         default: all
  *   schemas:
  *     Alerta:
  *       type: object
  *       properties:
+ *         clave:
+ *           type: string
+ *           description: Identificador estable de la alerta y la entidad informada.
  *         causa:
  *           type: string
  *           description: La causa de la alerta.
@@ -17,6 +62,10 @@
  *         parada:
  *           type: string
  *           description: El código de la parada afectada por la alerta.
+ *         agencia:
+ *           type: string
+ *           nullable: true
+ *           description: La agencia afectada por la alerta.
  *         start_time:
  *           type: string
  *           format: date-time
@@ -34,6 +83,259 @@
  *         descripcion:
  *           type: string
  *           description: Una descripción detallada de la alerta.
+ *     AlertaResumen:
+ *       type: object
+ *       description: Alerta vigente incluida en la respuesta de una parada o línea
+ *       properties:
+ *         id:
+ *           type: string
+ *           nullable: true
+ *         causa:
+ *           type: string
+ *           nullable: true
+ *         efecto:
+ *           type: string
+ *           nullable: true
+ *         resumen:
+ *           type: string
+ *           nullable: true
+ *         descripcion:
+ *           type: string
+ *           nullable: true
+ *         url:
+ *           type: string
+ *           nullable: true
+ *         periodos:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               start:
+ *                 type: integer
+ *                 nullable: true
+ *               end:
+ *                 type: integer
+ *                 nullable: true
+ *     HistorialAlertas:
+ *       type: object
+ *       properties:
+ *         desde:
+ *           type: string
+ *           example: '20261012'
+ *         hasta:
+ *           type: string
+ *           example: '20261019'
+ *         alertas:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               clave:
+ *                 type: string
+ *               id:
+ *                 type: string
+ *                 nullable: true
+ *               causa:
+ *                 type: string
+ *                 nullable: true
+ *               efecto:
+ *                 type: string
+ *                 nullable: true
+ *               gtfsRouteId:
+ *                 type: string
+ *                 nullable: true
+ *               linea:
+ *                 type: string
+ *                 nullable: true
+ *               parada:
+ *                 type: string
+ *                 nullable: true
+ *               agencia:
+ *                 type: string
+ *                 nullable: true
+ *               resumen:
+ *                 type: string
+ *                 nullable: true
+ *               descripcion:
+ *                 type: string
+ *                 nullable: true
+ *               periodos:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     start:
+ *                       type: integer
+ *                       nullable: true
+ *                     end:
+ *                       type: integer
+ *                       nullable: true
+ *               primeraVez:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Primera vez que se vio la alerta en el feed
+ *               ultimaVez:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Última vez que se vio la alerta en el feed
+ *     EstacionGbfs:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         nombre:
+ *           type: string
+ *         direccion:
+ *           type: string
+ *           nullable: true
+ *         latitud:
+ *           type: number
+ *         longitud:
+ *           type: number
+ *         capacidad:
+ *           type: integer
+ *           nullable: true
+ *         bicisDisponibles:
+ *           type: integer
+ *           nullable: true
+ *         bicisElectricas:
+ *           type: integer
+ *           nullable: true
+ *           description: Bicis eléctricas disponibles, si el operador las publica
+ *         anclajesLibres:
+ *           type: integer
+ *           nullable: true
+ *         alquilando:
+ *           type: boolean
+ *           nullable: true
+ *           description: Si se pueden sacar bicis de la estación
+ *         devolviendo:
+ *           type: boolean
+ *           nullable: true
+ *           description: Si se pueden devolver bicis en la estación
+ *         instalada:
+ *           type: boolean
+ *           nullable: true
+ *         ultimaActualizacion:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Última vez que la estación informó de su estado
+ *     EstacionCercana:
+ *       allOf:
+ *         - $ref: '#/components/schemas/EstacionGbfs'
+ *         - type: object
+ *           properties:
+ *             distancia:
+ *               type: integer
+ *               description: Distancia en metros desde la parada
+ *             minutosCaminando:
+ *               type: integer
+ *     BicisParada:
+ *       type: object
+ *       properties:
+ *         parada:
+ *           type: object
+ *           properties:
+ *             nombre:
+ *               type: string
+ *             numero:
+ *               type: string
+ *             latitud:
+ *               type: number
+ *             longitud:
+ *               type: number
+ *         ultimaActualizacion:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         estaciones:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/EstacionCercana'
+ *     EstacionesGbfs:
+ *       type: object
+ *       properties:
+ *         ultimaActualizacion:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         estaciones:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/EstacionGbfs'
+ *     EstacionGbfsResumen:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         nombre:
+ *           type: string
+ *     HistorialEstacionGbfs:
+ *       type: object
+ *       properties:
+ *         estacion:
+ *           $ref: '#/components/schemas/EstacionGbfsResumen'
+ *         desde:
+ *           type: string
+ *           example: '20261019'
+ *         hasta:
+ *           type: string
+ *           example: '20261019'
+ *         historial:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               fecha:
+ *                 type: string
+ *                 format: date-time
+ *               bicisDisponibles:
+ *                 type: integer
+ *               bicisElectricas:
+ *                 type: integer
+ *                 nullable: true
+ *               anclajesLibres:
+ *                 type: integer
+ *                 nullable: true
+ *               alquilando:
+ *                 type: boolean
+ *                 nullable: true
+ *               devolviendo:
+ *                 type: boolean
+ *                 nullable: true
+ *     PrevisionEstacionGbfs:
+ *       type: object
+ *       properties:
+ *         estacion:
+ *           $ref: '#/components/schemas/EstacionGbfsResumen'
+ *         prevision:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               dia:
+ *                 type: string
+ *                 example: lunes
+ *               hora:
+ *                 type: integer
+ *                 example: 8
+ *               observaciones:
+ *                 type: integer
+ *                 description: Estados guardados de ese día de la semana y hora
+ *               probabilidadBici:
+ *                 type: number
+ *                 description: Porcentaje de estados con al menos una bici que alquilar
+ *                 example: 87.5
+ *               probabilidadAnclaje:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Porcentaje de estados con al menos un anclaje libre
+ *               mediaBicis:
+ *                 type: number
+ *               mediaAnclajes:
+ *                 type: number
+ *                 nullable: true
  *     Parada:
  *       type: object
  *       properties:
@@ -57,12 +359,512 @@
  *             y:
  *               type: number
  *               format: float
+ *     ParadaCercana:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Parada'
+ *         - type: object
+ *           properties:
+ *             distancia:
+ *               type: integer
+ *               description: Distancia en línea recta (haversine) hasta la parada, en metros. No es la distancia caminando por las calles.
+ *     ParadaBusqueda:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Parada'
+ *         - type: object
+ *           properties:
+ *             puntuacion:
+ *               type: number
+ *               description: Grado de coincidencia con la búsqueda (mayor es mejor, 2 si coincide el código).
+ *     Linea:
+ *       type: object
+ *       properties:
+ *         linea:
+ *           type: string
+ *           description: Nombre corto de la línea.
+ *         nombre:
+ *           type: string
+ *           description: Nombre largo de la línea.
+ *         color:
+ *           type: string
+ *           example: '#36AD30'
+ *         colorTexto:
+ *           type: string
+ *           example: '#FFFFFF'
+ *         tipo:
+ *           type: integer
+ *           description: route_type de GTFS.
+ *         gtfsRouteId:
+ *           type: string
+ *         agencia:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             nombre:
+ *               type: string
+ *     LineaDetalle:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Linea'
+ *         - type: object
+ *           properties:
+ *             alertas:
+ *               type: array
+ *               description: Alertas vigentes de toda la línea
+ *               items:
+ *                 $ref: '#/components/schemas/AlertaResumen'
+ *             sentidos:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   sentido:
+ *                     type: integer
+ *                     description: direction_id de GTFS.
+ *                   destino:
+ *                     type: string
+ *                     description: Destino más habitual de los viajes de este sentido.
+ *                   destinos:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   paradas:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         orden:
+ *                           type: integer
+ *                         nombre:
+ *                           type: string
+ *                         numero:
+ *                           type: string
+ *                         latitud:
+ *                           type: number
+ *                           format: float
+ *                         longitud:
+ *                           type: number
+ *                           format: float
+ *                         suprimida:
+ *                           type: boolean
+ *                         alertas:
+ *                           type: array
+ *                           description: Alertas vigentes de la parada en esta línea
+ *                           items:
+ *                             $ref: '#/components/schemas/AlertaResumen'
+ *     HorarioLinea:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Linea'
+ *         - type: object
+ *           properties:
+ *             fecha:
+ *               type: string
+ *               example: '20240629'
+ *             alertas:
+ *               type: array
+ *               description: Alertas de toda la línea vigentes ese día
+ *               items:
+ *                 $ref: '#/components/schemas/AlertaResumen'
+ *             sentidos:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   sentido:
+ *                     type: integer
+ *                   destino:
+ *                     type: string
+ *                   paradas:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         nombre:
+ *                           type: string
+ *                         numero:
+ *                           type: string
+ *                   viajes:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         trip_id:
+ *                           type: string
+ *                         destino:
+ *                           type: string
+ *                         horas:
+ *                           type: array
+ *                           description: Hora de salida (HH:mm:ss) en cada parada, en el mismo orden que `paradas`.
+ *                           items:
+ *                             type: string
+ *                             nullable: true
+ *     LugarViaje:
+ *       type: object
+ *       properties:
+ *         nombre:
+ *           type: string
+ *           nullable: true
+ *         numero:
+ *           type: string
+ *           nullable: true
+ *         latitud:
+ *           type: number
+ *           format: float
+ *         longitud:
+ *           type: number
+ *           format: float
+ *         estacion:
+ *           type: string
+ *           description: Id de la estación de bicis (solo en los tramos en bici y a pie hacia o desde una estación)
+ *         bicisDisponibles:
+ *           type: integer
+ *           nullable: true
+ *         anclajesLibres:
+ *           type: integer
+ *           nullable: true
+ *     TramoViaje:
+ *       type: object
+ *       properties:
+ *         tipo:
+ *           type: string
+ *           enum: [caminar, bici, bus]
+ *         desde:
+ *           $ref: '#/components/schemas/LugarViaje'
+ *         hasta:
+ *           $ref: '#/components/schemas/LugarViaje'
+ *         salida:
+ *           type: string
+ *           format: date-time
+ *         llegada:
+ *           type: string
+ *           format: date-time
+ *         duracion:
+ *           type: integer
+ *           description: Duración del tramo en minutos
+ *         distancia:
+ *           type: integer
+ *           description: Distancia en línea recta en metros (solo tramos a pie y en bici)
+ *         linea:
+ *           type: string
+ *         color:
+ *           type: string
+ *           nullable: true
+ *         agencia:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             nombre:
+ *               type: string
+ *         destino:
+ *           type: string
+ *         trip_id:
+ *           type: string
+ *         paradas:
+ *           type: integer
+ *           description: Número de paradas recorridas en el autobús
+ *         salidaProgramada:
+ *           type: string
+ *           format: date-time
+ *         llegadaProgramada:
+ *           type: string
+ *           format: date-time
+ *         tiempoReal:
+ *           type: boolean
+ *           description: Indica si las horas incluyen el retraso en tiempo real
+ *         retraso:
+ *           type: integer
+ *           nullable: true
+ *           description: Retraso en minutos respecto al horario programado
+ *     Planificacion:
+ *       type: object
+ *       properties:
+ *         origen:
+ *           $ref: '#/components/schemas/LugarViaje'
+ *         destino:
+ *           $ref: '#/components/schemas/LugarViaje'
+ *         fecha:
+ *           type: string
+ *           example: '20240629'
+ *         hora:
+ *           type: string
+ *           format: date-time
+ *         itinerarios:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               salida:
+ *                 type: string
+ *                 format: date-time
+ *               llegada:
+ *                 type: string
+ *                 format: date-time
+ *               duracion:
+ *                 type: integer
+ *                 description: Duración total en minutos
+ *               transbordos:
+ *                 type: integer
+ *               distanciaCaminando:
+ *                 type: integer
+ *                 description: Metros a pie en todo el itinerario
+ *               distanciaBici:
+ *                 type: integer
+ *                 description: Metros en bici en todo el itinerario
+ *               tramos:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/TramoViaje'
+ *     Vehiculo:
+ *       type: object
+ *       properties:
+ *         vehicleId:
+ *           type: string
+ *         tripId:
+ *           type: string
+ *         linea:
+ *           type: string
+ *         color:
+ *           type: string
+ *           nullable: true
+ *         agencia:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             nombre:
+ *               type: string
+ *         destino:
+ *           type: string
+ *         latitud:
+ *           type: number
+ *           format: float
+ *         longitud:
+ *           type: number
+ *           format: float
+ *         rumbo:
+ *           type: number
+ *           nullable: true
+ *         velocidad:
+ *           type: number
+ *           nullable: true
+ *         matricula:
+ *           type: string
+ *           nullable: true
+ *         ocupacion:
+ *           type: string
+ *           nullable: true
+ *         timestamp:
+ *           type: string
+ *         siguienteParada:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             nombre:
+ *               type: string
+ *             numero:
+ *               type: string
+ *             llegada:
+ *               type: string
+ *               format: date-time
+ *               description: Llegada prevista incluyendo el retraso
+ *         retraso:
+ *           type: integer
+ *           nullable: true
+ *           description: Retraso en minutos respecto al horario programado
+ *     IndicadoresPuntualidad:
+ *       type: object
+ *       properties:
+ *         observaciones:
+ *           type: integer
+ *           description: Número de pasos por parada archivados
+ *         retrasoMedio:
+ *           type: number
+ *           nullable: true
+ *           description: Retraso medio en minutos
+ *         puntualidad:
+ *           type: number
+ *           nullable: true
+ *           description: Porcentaje de pasos puntuales
+ *         adelantados:
+ *           type: number
+ *           nullable: true
+ *           description: Porcentaje de pasos con más de 1 minuto de adelanto
+ *         retrasados:
+ *           type: number
+ *           nullable: true
+ *           description: Porcentaje de pasos con más de 5 minutos de retraso
+ *     Puntualidad:
+ *       type: object
+ *       properties:
+ *         linea:
+ *           type: string
+ *           nullable: true
+ *         desde:
+ *           type: string
+ *         hasta:
+ *           type: string
+ *         dias:
+ *           type: string
+ *         resumen:
+ *           $ref: '#/components/schemas/IndicadoresPuntualidad'
+ *         porLinea:
+ *           type: array
+ *           items:
+ *             allOf:
+ *               - $ref: '#/components/schemas/IndicadoresPuntualidad'
+ *               - type: object
+ *                 properties:
+ *                   linea:
+ *                     type: string
+ *         porParada:
+ *           type: array
+ *           items:
+ *             allOf:
+ *               - $ref: '#/components/schemas/IndicadoresPuntualidad'
+ *               - type: object
+ *                 properties:
+ *                   parada:
+ *                     type: object
+ *                     properties:
+ *                       nombre:
+ *                         type: string
+ *                       numero:
+ *                         type: string
+ *         porHora:
+ *           type: array
+ *           items:
+ *             allOf:
+ *               - $ref: '#/components/schemas/IndicadoresPuntualidad'
+ *               - type: object
+ *                 properties:
+ *                   hora:
+ *                     type: integer
+ *     VehiculoIntervalo:
+ *       type: object
+ *       properties:
+ *         vehicleId:
+ *           type: string
+ *           nullable: true
+ *         tripId:
+ *           type: string
+ *         matricula:
+ *           type: string
+ *           nullable: true
+ *     Regularidad:
+ *       type: object
+ *       properties:
+ *         linea:
+ *           type: string
+ *         umbralAgrupamiento:
+ *           type: number
+ *           description: Umbral de agrupamiento aplicado, en minutos
+ *         sentidos:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               sentido:
+ *                 type: integer
+ *                 nullable: true
+ *               destino:
+ *                 type: string
+ *               vehiculos:
+ *                 type: integer
+ *               intervaloMedio:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Intervalo medio entre autobuses en minutos
+ *               agrupamientos:
+ *                 type: integer
+ *               huecos:
+ *                 type: integer
+ *               intervalos:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     delante:
+ *                       $ref: '#/components/schemas/VehiculoIntervalo'
+ *                     detras:
+ *                       $ref: '#/components/schemas/VehiculoIntervalo'
+ *                     parada:
+ *                       type: object
+ *                       properties:
+ *                         nombre:
+ *                           type: string
+ *                         numero:
+ *                           type: string
+ *                     intervalo:
+ *                       type: number
+ *                       nullable: true
+ *                       description: Minutos entre ambos autobuses en la parada
+ *                     intervaloProgramado:
+ *                       type: number
+ *                       nullable: true
+ *                     estado:
+ *                       type: string
+ *                       nullable: true
+ *                       enum: [agrupados, hueco, regular]
+ *     ViajesFantasma:
+ *       type: object
+ *       properties:
+ *         fecha:
+ *           type: string
+ *         hora:
+ *           type: string
+ *         cancelados:
+ *           type: integer
+ *         sinServicio:
+ *           type: integer
+ *         viajes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               trip_id:
+ *                 type: string
+ *               linea:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *                 nullable: true
+ *               agencia:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                   nombre:
+ *                     type: string
+ *               destino:
+ *                 type: string
+ *                 nullable: true
+ *               salida:
+ *                 type: string
+ *                 format: date-time
+ *               llegada:
+ *                 type: string
+ *                 format: date-time
+ *               estado:
+ *                 type: string
+ *                 enum: [cancelado, probablemente_sin_servicio]
  *     StopCode:
  *       type: string
  *       example: 634
  *     ParadaDetails:
  *       type: object
  *       properties:
+ *         bicis:
+ *           type: object
+ *           description: Estaciones de bicis cercanas, solo con `incluirBicis=true`
+ *           properties:
+ *             ultimaActualizacion:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *             estaciones:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/EstacionCercana'
  *         parada:
  *           type: object
  *           properties:
@@ -135,6 +937,48 @@
  *             y:
  *               type: number
  *               format: float
+ *     RecorridoVehiculo:
+ *       type: object
+ *       nullable: true
+ *       description: Posición del vehículo ajustada al recorrido de su viaje
+ *       properties:
+ *         latitud:
+ *           type: number
+ *           format: float
+ *         longitud:
+ *           type: number
+ *           format: float
+ *         distanciaRecorrida:
+ *           type: integer
+ *           description: Metros recorridos desde el inicio del viaje
+ *         distanciaTotal:
+ *           type: integer
+ *           description: Longitud total del recorrido en metros
+ *         desvio:
+ *           type: integer
+ *           description: Metros entre la posición recibida y el recorrido
+ *         rumbo:
+ *           type: integer
+ *           description: Dirección del recorrido en grados desde el norte
+ *         paradaAnterior:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             nombre:
+ *               type: string
+ *             numero:
+ *               type: string
+ *         siguienteParada:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             nombre:
+ *               type: string
+ *             numero:
+ *               type: string
+ *             distancia:
+ *               type: integer
+ *               description: Metros hasta la parada
  *     BusPosition:
  *       type: object
  *       properties:
@@ -162,6 +1006,14 @@
  *           format: date-time
  *         isUpdated:
  *           type: boolean
+ *         recorrido:
+ *           $ref: '#/components/schemas/RecorridoVehiculo'
+ *         fuente:
+ *           type: string
+ *           enum: [tiempo_real, estimado]
+ *           description: |
+ *             `estimado` si la posición se ha calculado con el horario del
+ *             viaje porque no hay datos en tiempo real
  *     ParadaDetailsByDate:
  *       type: object
  *       properties:
@@ -203,34 +1055,22 @@
  *     SuspendedStop:
  *       type: object
  *       properties:
- *         stop_id:
+ *         nombre:
  *           type: string
- *           description: The ID of the suspended stop.
- *         stop_name:
+ *         numero:
  *           type: string
- *           description: The name of the suspended stop.
- *         lineas:
- *               type: array
- *               items:
- *                 type: string
- *                 description: The lines of the suspended stop.
- *         ubicacion:
- *               type: object
- *               properties:
- *                 x:
- *                   type: number
- *                   format: float
- *                 y:
- *                   type: number
- *                   description: The longitude of the suspended stop.
- *                 fechaHoraLlegada:
- *                   type: string
- *                   format: date-time
- *                   description: The date and time of the suspended stop.
- *         parada:
- *                   type: string
- *                   format: date-time
- *                   description: The date of the suspended stop.
+ *         metodo:
+ *           type: string
+ *           enum: [entidad, texto]
+ *           description: |
+ *             `entidad` si alguna alerta informa la parada con efecto
+ *             NO_SERVICE, DETOUR o STOP_MOVED; `texto` si se ha encontrado
+ *             en la descripción de la alerta
+ *         alertas:
+ *           type: array
+ *           description: Ids de las alertas que suprimen la parada
+ *           items:
+ *             type: string
  *     TripId:
  *       type: string
  *       description: trip_id
@@ -247,4 +1087,30 @@
  *         type:
  *           type: string
  *           format: geojson
+ *     VehiculosGeoJson:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           example: FeatureCollection
+ *         features:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 example: Feature
+ *               geometry:
+ *                 type: object
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     example: Point
+ *                   coordinates:
+ *                     type: array
+ *                     items:
+ *                       type: number
+ *               properties:
+ *                 $ref: '#/components/schemas/Vehiculo'
  */
@@ -0,0 +1,158 @@
+/**
+ * Feed en vivo de posiciones de vehículos por WebSocket
+ *
+ * El cliente envía mensajes JSON:
+ *   { "tipo": "suscribir", "lineas": ["1", "2"], "viajes": [...], "bbox": [minLon, minLat, maxLon, maxLat] }
+ *   { "tipo": "cancelar" }
+ *
+ * Todos los filtros son opcionales (sin ninguno se recibe toda la flota) y
+ * basta con cumplir uno. Tras suscribirse se recibe un mensaje `snapshot` con
+ * los vehículos actuales y, tras cada actualización GTFS-RT, un mensaje
+ * `delta` con los vehículos que han cambiado (`actualizados`) y los ids de
+ * los que han dejado de cumplir el filtro o ya no circulan (`eliminados`).
+ */
+
+const { WebSocketServer } = require('ws');
+const Joi = require('joi');
+const { conectarFeedVehiculos } = require('../../lib/v2');
+
+// El API v2 se sirve también en la raíz
+const VEHICLE_FEED_PATHS = new Set(['/v2/vehiculos/ws', '/vehiculos/ws']);
+// Cada cuánto comprobamos que los clientes siguen conectados
+const PING_INTERVAL = 30000;
+const MAX_MESSAGE_SIZE = 16 * 1024;
+
+// Esquema para los mensajes de suscripción
+const subscriptionSchema = Joi.object({
+  tipo: Joi.string().valid('suscribir', 'cancelar').required().messages({
+    'any.only': 'El tipo de mensaje debe ser suscribir o cancelar.',
+    'any.required': 'El tipo de mensaje es un campo obligatorio.',
+  }),
+  lineas: Joi.array().items(Joi.string().alphanum()).max(100).messages({
+    'array.base': 'Las líneas deben ser una lista.',
+    'string.alphanum':
+      'El código de la línea solo puede contener caracteres alfanuméricos.',
+    'array.max': 'No se puede suscribir a más de 100 líneas.',
+  }),
+  viajes: Joi.array()
+    .items(Joi.string().regex(/^[a-zA-Z0-9_-]+$/))
+    .max(500)
+    .messages({
+      'array.base': 'Los viajes deben ser una lista.',
+      'string.pattern.base':
+        'El tripID solo puede contener caracteres alfanuméricos, guiones medios (-) y barras bajas (_).',
+      'array.max': 'No se puede suscribir a más de 500 viajes.',
+    }),
+  bbox: Joi.array()
+    .items(Joi.number())
+    .length(4)
+    .custom((value, helpers) => {
+      const [minLon, minLat, maxLon, maxLat] = value;
+      if (
+        minLon > maxLon ||
+        minLat > maxLat ||
+        Math.abs(minLat) > 90 ||
+        Math.abs(maxLat) > 90 ||
+        Math.abs(minLon) > 180 ||
+        Math.abs(maxLon) > 180
+      ) {
+        return helpers.error('any.invalid');
+      }
+      return value;
+    })
+    .messages({
+      'array.base':
+        'El bbox debe ser una lista [minLon, minLat, maxLon, maxLat].',
+      'array.length':
+        'El bbox debe ser una lista [minLon, minLat, maxLon, maxLat].',
+      'number.base': 'Las coordenadas del bbox deben ser números.',
+      'any.invalid':
+        'El bbox debe ser una lista [minLon, minLat, maxLon, maxLat].',
+    }),
+});
+
+const sendJson = (ws, message) => {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+};
+
+// Atiende las conexiones WebSocket del feed de vehículos en el servidor HTTP
+const attachVehicleFeed = (server) => {
+  const wss = new WebSocketServer({
+    noServer: true,
+    maxPayload: MAX_MESSAGE_SIZE,
+  });
+
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (!VEHICLE_FEED_PATHS.has(pathname)) {
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit('connection', ws, req);
+    });
+  });
+
+  wss.on('connection', (ws) => {
+    const client = conectarFeedVehiculos((message) => sendJson(ws, message));
+
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('message', async (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch {
+        sendJson(ws, { tipo: 'error', mensaje: 'El mensaje debe ser JSON.' });
+        return;
+      }
+
+      const { error, value } = subscriptionSchema.validate(message);
+      if (error) {
+        sendJson(ws, { tipo: 'error', mensaje: error.details[0].message });
+        return;
+      }
+
+      if (value.tipo === 'cancelar') {
+        client.unsubscribe();
+        return;
+      }
+
+      await client.subscribe(value);
+    });
+
+    ws.on('close', () => {
+      client.close();
+    });
+  });
+
+  // Cerramos las conexiones que no responden al ping
+  const pingInterval = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) {
+        ws.terminate();
+        return;
+      }
+
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, PING_INTERVAL);
+  pingInterval.unref();
+
+  wss.on('close', () => {
+    clearInterval(pingInterval);
+  });
+
+  return wss;
+};
+
+module.exports = {
+  attachVehicleFeed,
+};
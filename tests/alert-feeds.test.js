@@ -0,0 +1,107 @@
+const {
+  buildAtomFeed,
+  buildCalendar,
+  buildRssFeed,
+  groupFeedAlerts,
+} = require('../lib/gtfs/alert-feeds');
+
+const alert = (id, linea, parada, activePeriod = null, overrides = {}) => ({
+  id,
+  clave: `${id}-${linea}-${parada}`,
+  cause: 'CONSTRUCTION',
+  effect: 'DETOUR',
+  active_period: activePeriod,
+  url: null,
+  resumen: `Obras en la línea ${linea}`,
+  descripcion: 'Desvío por obras',
+  ruta: { gtfsRouteId: linea, linea, parada },
+  ...overrides,
+});
+
+const alerts = [
+  alert('A1', '3', '815', '[{"start":1791100800,"end":1791133200}]'),
+  alert('A1', '3', '816', '[{"start":1791100800,"end":1791133200}]'),
+  alert('A1', 'C1', null, '[{"start":1791100800,"end":1791133200}]'),
+  alert('A2', '8', null, null, {
+    resumen: 'Cortes <Semana Santa> & procesiones',
+  }),
+];
+
+const options = {
+  link: 'https://api.example/v2/alertas',
+  selfUrl: 'https://api.example/v2/alertas.rss?linea=3',
+  domain: 'api.example',
+  updated: 1791000000,
+};
+
+describe('Alert feeds', () => {
+  test('groups the entities of each alert', () => {
+    const [first, second] = groupFeedAlerts(alerts);
+
+    expect(first).toEqual(
+      expect.objectContaining({
+        id: 'A1',
+        lineas: ['3', 'C1'],
+        paradas: ['815', '816'],
+        periodos: [{ start: 1791100800, end: 1791133200 }],
+      }),
+    );
+    expect(second.lineas).toEqual(['8']);
+  });
+
+  test('builds an RSS feed with one escaped item per alert', () => {
+    const rss = buildRssFeed(alerts, options);
+
+    expect(rss.match(/<item>/g)).toHaveLength(2);
+    expect(rss).toContain('<guid isPermaLink="false">A1</guid>');
+    expect(rss).toContain(
+      '<title>Cortes &lt;Semana Santa&gt; &amp; procesiones</title>',
+    );
+    expect(rss).toContain('<category>Línea C1</category>');
+    expect(rss).toContain(
+      `<pubDate>${new Date(1791100800000).toUTCString()}</pubDate>`,
+    );
+    expect(rss).toContain(
+      '<atom:link href="https://api.example/v2/alertas.rss?linea=3" rel="self" type="application/rss+xml"/>',
+    );
+  });
+
+  test('builds an Atom feed with a date on every entry', () => {
+    const atom = buildAtomFeed(alerts, options);
+
+    expect(atom.match(/<entry>/g)).toHaveLength(2);
+    expect(atom).toContain(
+      '<id>https://api.example/v2/alertas.rss?linea=3#A1</id>',
+    );
+    expect(atom).toContain('<updated>2026-10-04T08:00:00.000Z</updated>');
+    expect(atom).toContain('<updated>2026-10-03T04:00:00.000Z</updated>');
+    expect(atom).toContain('Paradas: 815, 816.');
+  });
+
+  test('builds a calendar with an event per active period', () => {
+    const calendar = buildCalendar(
+      [
+        ...alerts,
+        alert('A3', '1', null, '[{"start":1791200000},{"end":1791300000}]', {
+          descripcion:
+            'Corte de la calle Santiago por la Cabalgata; desvío '.repeat(3),
+        }),
+      ],
+      options,
+    );
+    const lines = calendar.split('\r\n');
+
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(lines.filter((line) => line === 'BEGIN:VEVENT')).toHaveLength(2);
+    expect(lines).toContain('UID:A1-1791100800@api.example');
+    expect(lines).toContain('DTSTART:20261004T080000Z');
+    expect(lines).toContain('DTEND:20261004T170000Z');
+    expect(lines).toContain('CATEGORIES:Línea 3,Línea C1');
+    expect(lines).toContain('DTSTART:20261005T113320Z');
+    expect(lines.every((line) => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(calendar.replace(/\r\n /g, '')).toContain(
+      'DESCRIPTION:Corte de la calle Santiago por la Cabalgata\\; desvío Corte',
+    );
+  });
+});
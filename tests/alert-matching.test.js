@@ -0,0 +1,149 @@
+const {
+  filterAlerts,
+  getAlertPeriods,
+  getLineStopAlerts,
+  getRouteAlerts,
+  getStopAlerts,
+  isAlertActive,
+  isAlertUpcoming,
+  normalizeAlertEffect,
+} = require('../lib/gtfs/alert-matching');
+
+const alert = (id, gtfsRouteId, parada, activePeriod = null) => ({
+  id,
+  cause: 'OTHER_CAUSE',
+  effect: 'DETOUR',
+  active_period: activePeriod,
+  url: null,
+  resumen: `Aviso ${id}`,
+  descripcion: null,
+  ruta: { gtfsRouteId, parada },
+});
+
+const now = { from: 1000 };
+const alerts = [
+  alert('global', null, null),
+  alert('linea-3', '3', null),
+  alert('linea-3-815', '3', '815'),
+  alert('linea-3-815', '3', '816'),
+  alert('parada-815', null, '815'),
+  alert('linea-8-815', '8', '815'),
+  alert('caducada', '3', '815', '[{"start":100,"end":500}]'),
+];
+const ids = (matched) => matched.map((match) => match.id);
+
+describe('Alert matching', () => {
+  test('parses active periods', () => {
+    expect(
+      getAlertPeriods({ active_period: '[{"start":100,"end":0}]' }),
+    ).toEqual([{ start: 100, end: null }]);
+    expect(
+      getAlertPeriods({ active_period: [{ start: '100', end: '200' }] }),
+    ).toEqual([{ start: 100, end: 200 }]);
+    expect(getAlertPeriods({ active_period: 'no es json' })).toEqual([]);
+  });
+
+  test('checks whether an alert is active at a time or during a day', () => {
+    const expired = alerts[alerts.length - 1];
+
+    expect(isAlertActive(alerts[0], now)).toBe(true);
+    expect(isAlertActive(expired, now)).toBe(false);
+    expect(isAlertActive(expired, { from: 400, to: 2000 })).toBe(true);
+    expect(
+      isAlertActive({ active_period: '[{"start":2000}]' }, { from: 3000 }),
+    ).toBe(true);
+  });
+
+  test('gets the alerts of a stop', () => {
+    expect(ids(getStopAlerts(alerts, '815', now))).toEqual([
+      'global',
+      'linea-3-815',
+      'parada-815',
+      'linea-8-815',
+    ]);
+  });
+
+  test('gets the alerts of a line, optionally at a stop', () => {
+    expect(ids(getRouteAlerts(alerts, '3', { period: now }))).toEqual([
+      'linea-3',
+    ]);
+    expect(
+      ids(getRouteAlerts(alerts, '3', { stopCode: '815', period: now })),
+    ).toEqual(['linea-3', 'linea-3-815']);
+    expect(ids(getLineStopAlerts(alerts, '3', '815', now))).toEqual([
+      'linea-3-815',
+      'parada-815',
+    ]);
+  });
+
+  test('filters alerts by line, stop, agency, effect and period', () => {
+    const listed = [
+      {
+        id: 'A1',
+        effect: 'DETOUR',
+        active_period: null,
+        ruta: { linea: '3', parada: '815', agencia: 'AUVASA' },
+      },
+      {
+        id: 'A2',
+        effect: 'NO_SERVICE',
+        active_period: '[{"start":2000,"end":3000}]',
+        ruta: { linea: '3', parada: null, agencia: 'AUVASA' },
+      },
+      {
+        id: 'A3',
+        effect: 'DETOUR',
+        active_period: '[{"start":100,"end":500}]',
+        ruta: { linea: '8', parada: '815', agencia: 'ECSA' },
+      },
+    ];
+
+    expect(ids(filterAlerts(listed, { now: 1000 }))).toEqual([
+      'A1',
+      'A2',
+      'A3',
+    ]);
+    expect(ids(filterAlerts(listed, { linea: '3', now: 1000 }))).toEqual([
+      'A1',
+      'A2',
+    ]);
+    expect(
+      ids(filterAlerts(listed, { parada: '815', efecto: 'DETOUR', now: 1000 })),
+    ).toEqual(['A1', 'A3']);
+    expect(ids(filterAlerts(listed, { agencia: 'ECSA', now: 1000 }))).toEqual([
+      'A3',
+    ]);
+    expect(ids(filterAlerts(listed, { activas: 'now', now: 1000 }))).toEqual([
+      'A1',
+    ]);
+    expect(ids(filterAlerts(listed, { activas: 'future', now: 1000 }))).toEqual(
+      ['A2'],
+    );
+    expect(isAlertUpcoming(listed[1], 2500)).toBe(false);
+  });
+
+  test('names alert effects stored as enum values', () => {
+    expect(normalizeAlertEffect(1)).toBe('NO_SERVICE');
+    expect(normalizeAlertEffect('4')).toBe('DETOUR');
+    expect(normalizeAlertEffect('STOP_MOVED')).toBe('STOP_MOVED');
+    expect(normalizeAlertEffect(99)).toBe('UNKNOWN_EFFECT');
+    expect(normalizeAlertEffect(null)).toBeNull();
+  });
+
+  test('summarizes each alert once', () => {
+    const [summary] = getRouteAlerts(alerts, '3', {
+      stopCode: '816',
+      period: now,
+    }).filter((match) => match.id === 'linea-3-815');
+
+    expect(summary).toEqual({
+      id: 'linea-3-815',
+      causa: 'OTHER_CAUSE',
+      efecto: 'DETOUR',
+      resumen: 'Aviso linea-3-815',
+      descripcion: null,
+      url: null,
+      periodos: [],
+    });
+  });
+});
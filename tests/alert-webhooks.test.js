@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const {
+  SIGNATURE_HEADER,
+  createAlertWebhooks,
+  diffAlerts,
+  matchesWebhook,
+  normalizeWebhooks,
+  signPayload,
+} = require('../lib/gtfs/alert-webhooks');
+
+const alert = (clave, id, linea, parada = null) => ({
+  id,
+  clave,
+  effect: 'DETOUR',
+  ruta: { gtfsRouteId: linea, linea, parada, agencia: 'AUVASA' },
+});
+
+const webhook = (overrides = {}) => ({
+  url: 'https://bots.example/alertas',
+  secreto: 'secreto',
+  lineas: [],
+  paradas: [],
+  ...overrides,
+});
+
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('Alert webhooks', () => {
+  test('detects new, modified and removed alerts', () => {
+    const previous = [
+      alert('k1', 'A1', '3', '815'),
+      alert('k2', 'A2', '8'),
+      alert('k3', null, '1'),
+    ];
+    const current = [
+      alert('k1', 'A1', '3', '815'),
+      alert('k2b', 'A2', '8'),
+      alert('k4', 'A4', '3'),
+    ];
+
+    expect(
+      diffAlerts(previous, current).map((change) => [
+        change.tipo,
+        change.alerta.clave,
+        change.anterior?.clave ?? null,
+      ]),
+    ).toEqual([
+      ['modificada', 'k2b', 'k2'],
+      ['nueva', 'k4', null],
+      ['eliminada', 'k3', null],
+    ]);
+  });
+
+  test('filters alerts by line or stop', () => {
+    const onLine3 = alert('k1', 'A1', '3');
+    const atStop815 = alert('k2', 'A2', '8', '815');
+
+    expect(matchesWebhook(webhook(), onLine3)).toBe(true);
+    expect(matchesWebhook(webhook({ lineas: ['3'] }), onLine3)).toBe(true);
+    expect(matchesWebhook(webhook({ lineas: ['3'] }), atStop815)).toBe(false);
+    expect(
+      matchesWebhook(webhook({ lineas: ['3'], paradas: ['815'] }), atStop815),
+    ).toBe(true);
+  });
+
+  test('ignores webhooks without a valid URL or secret', () => {
+    const onInvalid = jest.fn();
+
+    expect(
+      normalizeWebhooks(
+        [
+          { url: 'https://bots.example/a', secreto: 's', lineas: [3] },
+          { url: 'ftp://bots.example/b', secreto: 's' },
+          { url: 'https://bots.example/c' },
+        ],
+        { onInvalid },
+      ),
+    ).toEqual([
+      {
+        url: 'https://bots.example/a',
+        secreto: 's',
+        lineas: ['3'],
+        paradas: [],
+      },
+    ]);
+    expect(onInvalid).toHaveBeenCalledTimes(2);
+  });
+
+  test('posts signed changes after the first update', async () => {
+    const fetch = jest.fn().mockResolvedValue({ ok: true, status: 200 });
+    const webhooks = createAlertWebhooks({
+      webhooks: [webhook({ lineas: ['3'] })],
+      deadLetterPath: 'dead-letter.jsonl',
+      fetch,
+    });
+
+    await webhooks.update([alert('k1', 'A1', '3')]);
+    expect(fetch).not.toHaveBeenCalled();
+
+    await webhooks.update([alert('k1', 'A1', '3'), alert('k2', 'A2', '8')]);
+    expect(fetch).not.toHaveBeenCalled();
+
+    await webhooks.update([alert('k3', 'A3', '3')]);
+    expect(fetch).toHaveBeenCalledTimes(2);
+
+    const [url, request] = fetch.mock.calls[0];
+    const payload = JSON.parse(request.body);
+    expect(url).toBe('https://bots.example/alertas');
+    expect(request.method).toBe('POST');
+    expect(request.headers[SIGNATURE_HEADER]).toBe(
+      signPayload(request.body, 'secreto'),
+    );
+    expect(signPayload(request.body, 'secreto')).toBe(
+      `sha256=${crypto
+        .createHmac('sha256', 'secreto')
+        .update(request.body)
+        .digest('hex')}`,
+    );
+    expect(payload).toEqual(
+      expect.objectContaining({ tipo: 'nueva', anterior: null }),
+    );
+    expect(payload.alerta.clave).toBe('k3');
+    expect(JSON.parse(fetch.mock.calls[1][1].body).tipo).toBe('eliminada');
+  });
+
+  test('retries failed deliveries and then records them as dead letters', async () => {
+    const fetch = jest
+      .fn()
+      .mockRejectedValueOnce(new Error('ECONNREFUSED'))
+      .mockResolvedValue({ ok: false, status: 503 });
+    const appendFile = jest.fn().mockResolvedValue();
+    const timers = [];
+    const webhooks = createAlertWebhooks({
+      webhooks: [webhook()],
+      deadLetterPath: 'dead-letter.jsonl',
+      retryDelays: [1000, 5000],
+      fetch,
+      appendFile,
+      setTimer: (callback, delay) => timers.push({ callback, delay }),
+      now: () => new Date('2026-10-19T10:00:00Z'),
+    });
+
+    await webhooks.update([]);
+    await webhooks.update([alert('k1', 'A1', '3')]);
+    expect(timers.map(({ delay }) => delay)).toEqual([1000]);
+
+    timers[0].callback();
+    await flushPromises();
+    timers[1].callback();
+    await flushPromises();
+
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(timers.map(({ delay }) => delay)).toEqual([1000, 5000]);
+    expect(appendFile).toHaveBeenCalledTimes(1);
+
+    const [path, line] = appendFile.mock.calls[0];
+    expect(path).toBe('dead-letter.jsonl');
+    expect(JSON.parse(line)).toEqual(
+      expect.objectContaining({
+        fecha: '2026-10-19T10:00:00.000Z',
+        url: 'https://bots.example/alertas',
+        intentos: 3,
+        error: 'El webhook respondió 503',
+      }),
+    );
+  });
+
+  test('does not retry deliveries rejected by the receiver', async () => {
+    const fetch = jest.fn().mockResolvedValue({ ok: false, status: 404 });
+    const appendFile = jest.fn().mockResolvedValue();
+    const setTimer = jest.fn();
+    const webhooks = createAlertWebhooks({
+      webhooks: [webhook()],
+      deadLetterPath: 'dead-letter.jsonl',
+      fetch,
+      appendFile,
+      setTimer,
+    });
+
+    await webhooks.update([]);
+    await webhooks.update([alert('k1', 'A1', '3')]);
+
+    expect(setTimer).not.toHaveBeenCalled();
+    expect(JSON.parse(appendFile.mock.calls[0][1]).intentos).toBe(1);
+  });
+
+  test('records deliveries to a file in test mode', async () => {
+    const fetch = jest.fn();
+    const appendFile = jest.fn().mockResolvedValue();
+    const webhooks = createAlertWebhooks({
+      webhooks: [webhook()],
+      deadLetterPath: 'dead-letter.jsonl',
+      testPath: 'webhooks-test.jsonl',
+      fetch,
+      appendFile,
+    });
+
+    await webhooks.update([]);
+    await webhooks.update([alert('k1', 'A1', '3')]);
+
+    expect(fetch).not.toHaveBeenCalled();
+    const [path, line] = appendFile.mock.calls[0];
+    const entry = JSON.parse(line);
+    expect(path).toBe('webhooks-test.jsonl');
+    expect(entry.url).toBe('https://bots.example/alertas');
+    expect(entry.headers[SIGNATURE_HEADER]).toBe(
+      signPayload(JSON.stringify(entry.payload), 'secreto'),
+    );
+    expect(entry.payload.alerta.clave).toBe('k1');
+  });
+});
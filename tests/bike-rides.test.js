@@ -0,0 +1,135 @@
+const {
+  canDropOff,
+  canPickUp,
+  findBikeRides,
+  getBikeRideLegs,
+  getBikeTime,
+} = require('../lib/gbfs/bike-rides');
+const { haversineDistance } = require('../lib/gtfs/geo');
+const { getWalkingTime } = require('../lib/gtfs/journey-planner');
+
+const station = (id, latitud, longitud, overrides = {}) => ({
+  id,
+  nombre: `Estación ${id}`,
+  latitud,
+  longitud,
+  bicisDisponibles: 5,
+  anclajesLibres: 5,
+  alquilando: true,
+  devolviendo: true,
+  instalada: true,
+  ...overrides,
+});
+
+const stations = [
+  station('1', 41.6523, -4.7245),
+  station('2', 41.6525, -4.725, { bicisDisponibles: 0 }),
+  station('3', 41.6336, -4.758),
+  station('4', 41.634, -4.7575, { anclajesLibres: 8 }),
+  station('5', 41.6338, -4.7578, { devolviendo: false }),
+];
+
+// Lugares a los que se puede caminar desde una estación
+const near = (places) => (from) =>
+  places
+    .map(({ stopId, lat, lon }) => ({
+      stopId,
+      distance: haversineDistance(lat, lon, from.latitud, from.longitud),
+    }))
+    .filter(({ distance }) => distance <= 500);
+
+describe('Bike rides', () => {
+  test('only picks up bikes and drops them off where it is possible now', () => {
+    expect(canPickUp(stations[0])).toBe(true);
+    expect(canPickUp(stations[1])).toBe(false);
+    expect(canPickUp({ ...stations[0], alquilando: false })).toBe(false);
+    expect(canPickUp({ ...stations[0], instalada: false })).toBe(false);
+    expect(canDropOff(stations[2])).toBe(true);
+    expect(canDropOff(stations[4])).toBe(false);
+    expect(canDropOff({ ...stations[2], anclajesLibres: 0 })).toBe(false);
+  });
+
+  test('finds the fastest ride between each start and end', () => {
+    const rides = findBikeRides({
+      stations,
+      getStartsNear: near([{ stopId: null, lat: 41.6524, lon: -4.7248 }]),
+      getEndsNear: near([
+        { stopId: 'S1', lat: 41.6337, lon: -4.7579 },
+        { stopId: 'S2', lat: 41.6341, lon: -4.7574 },
+      ]),
+    });
+
+    expect(
+      rides.map((ride) => [
+        ride.start.stopId,
+        ride.end.stopId,
+        ride.pickup.id,
+        ride.dropoff.id,
+      ]),
+    ).toEqual([
+      [null, 'S1', '1', '3'],
+      [null, 'S2', '1', '4'],
+    ]);
+    expect(rides[0].bikeTime).toBe(getBikeTime(rides[0].distance));
+    expect(rides[0].duration).toBe(
+      getWalkingTime(rides[0].start.distance) +
+        rides[0].bikeTime +
+        getWalkingTime(rides[0].end.distance),
+    );
+  });
+
+  test('does not ride too far or between the same station', () => {
+    expect(
+      findBikeRides({
+        stations,
+        getStartsNear: near([{ stopId: null, lat: 41.6523, lon: -4.7245 }]),
+        getEndsNear: near([{ stopId: null, lat: 41.6336, lon: -4.758 }]),
+        maxBikeDistance: 1000,
+      }),
+    ).toEqual([]);
+    expect(
+      findBikeRides({
+        stations: [stations[0]],
+        getStartsNear: near([{ stopId: null, lat: 41.6523, lon: -4.7245 }]),
+        getEndsNear: near([{ stopId: null, lat: 41.6523, lon: -4.7245 }]),
+      }),
+    ).toEqual([]);
+  });
+
+  test('builds the walking and bike legs of a ride', () => {
+    const legs = getBikeRideLegs({
+      start: { stopId: 'S1', distance: 120 },
+      end: { stopId: null, distance: 80 },
+      pickup: stations[0],
+      dropoff: stations[2],
+      distance: 3200,
+      bikeTime: getBikeTime(3200),
+    });
+
+    expect(legs).toEqual([
+      {
+        type: 'walk',
+        fromStopId: 'S1',
+        toStopId: null,
+        toStationId: '1',
+        distance: 120,
+      },
+      {
+        type: 'bike',
+        fromStopId: null,
+        toStopId: null,
+        fromStationId: '1',
+        toStationId: '3',
+        distance: 3200,
+        duration: getBikeTime(3200),
+      },
+      {
+        type: 'walk',
+        fromStopId: null,
+        fromStationId: '3',
+        toStopId: null,
+        distance: 80,
+      },
+    ]);
+  });
+});
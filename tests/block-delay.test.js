@@ -0,0 +1,59 @@
+const {
+  buildBlockIndex,
+  getCarriedDelay,
+  getPreviousBlockTrip,
+} = require('../lib/gtfs/block-delay');
+
+describe('Block delay propagation', () => {
+  test('groups the trips of each block by agency in departure order', () => {
+    const blocks = buildBlockIndex(
+      new Map([
+        ['T2', { route_id: 'R1', block_id: 'B1' }],
+        ['T1', { route_id: 'R1', block_id: 'B1' }],
+        ['T3', { route_id: 'R2', block_id: 'B1' }],
+        ['T4', { route_id: 'R1', block_id: '' }],
+      ]),
+      new Map([
+        ['T1', { start: 100, end: 200 }],
+        ['T2', { start: 300, end: 400 }],
+        ['T3', { start: 100, end: 200 }],
+        ['T4', { start: 100, end: 200 }],
+      ]),
+      (trip) => (trip.route_id === 'R1' ? 'AUVASA' : 'ECSA'),
+    );
+
+    expect(blocks.get('AUVASA:B1').map((trip) => trip.tripId)).toEqual([
+      'T1',
+      'T2',
+    ]);
+    expect(blocks.get('ECSA:B1')).toEqual([
+      { tripId: 'T3', start: 100, end: 200 },
+    ]);
+    expect(blocks.size).toBe(2);
+  });
+
+  test('finds the trip the vehicle makes before', () => {
+    const blockTrips = [{ tripId: 'T1' }, { tripId: 'T2' }];
+
+    expect(getPreviousBlockTrip(blockTrips, 'T2')).toEqual({ tripId: 'T1' });
+    expect(getPreviousBlockTrip(blockTrips, 'T1')).toBeNull();
+    expect(getPreviousBlockTrip(blockTrips, 'T9')).toBeNull();
+  });
+
+  test('carries the delay the layover cannot absorb', () => {
+    // Llega a las 8:30 con 15 minutos de retraso y vuelve a salir a las 8:40
+    const carry = (delay, minLayover) =>
+      getCarriedDelay({
+        previousEnd: 30600,
+        delay,
+        nextStart: 31200,
+        minLayover,
+      });
+
+    expect(carry(900, 120)).toBe(420);
+    expect(carry(900, 0)).toBe(300);
+    expect(carry(300, 120)).toBe(0);
+    expect(carry(-120, 120)).toBe(0);
+    expect(carry(null, 120)).toBe(0);
+  });
+});
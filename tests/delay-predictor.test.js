@@ -0,0 +1,85 @@
+const {
+  getSegmentGrowth,
+  getTimeBand,
+  predictDelay,
+  trainDelayModel,
+} = require('../lib/gtfs/delay-predictor');
+
+const growthRow = (from, to, hour, observations, growth) => ({
+  route_short_name: '3',
+  from_stop_id: from,
+  to_stop_id: to,
+  hour,
+  observations,
+  growth,
+});
+
+const model = trainDelayModel([
+  growthRow('A', 'B', 8, 4, 60),
+  growthRow('A', 'B', 9, 6, 30),
+  growthRow('A', 'B', 18, 10, 0),
+  growthRow('B', 'C', 8, 3, 120),
+  growthRow('C', 'D', 8, 1, 600),
+]);
+
+const stops = [
+  { stopId: 'A', scheduledTime: 8 * 3600 },
+  { stopId: 'B', scheduledTime: 8 * 3600 + 300 },
+  { stopId: 'C', scheduledTime: 8 * 3600 + 600 },
+  { stopId: 'D', scheduledTime: 8 * 3600 + 900 },
+];
+
+describe('Delay predictor', () => {
+  test('assigns hours to time bands', () => {
+    expect(getTimeBand({ hour: 3 })).toBe('madrugada');
+    expect(getTimeBand({ hour: 8 })).toBe('puntaManana');
+    expect(getTimeBand({ hour: 21 })).toBe('noche');
+    expect(getTimeBand({ seconds: 25 * 3600 })).toBe('madrugada');
+  });
+
+  test('learns the mean delay growth per segment and time band', () => {
+    const segment = (fromStopId, toStopId, time) =>
+      getSegmentGrowth(model, {
+        routeShortName: '3',
+        fromStopId,
+        toStopId,
+        time,
+      });
+
+    expect(segment('A', 'B', 8 * 3600)).toBe(42);
+    expect(segment('A', 'B', 18 * 3600)).toBe(0);
+    // Sin suficientes datos en la franja se usa el total del día
+    expect(segment('A', 'B', 3 * 3600)).toBe(21);
+    expect(segment('C', 'D', 8 * 3600)).toBeNull();
+    expect(getSegmentGrowth(null, { routeShortName: '3' })).toBeNull();
+  });
+
+  test('predicts later and earlier stops from a known delay', () => {
+    const predict = (fromIndex, toIndex) =>
+      predictDelay(model, {
+        routeShortName: '3',
+        stops,
+        fromIndex,
+        toIndex,
+        delay: 300,
+      });
+
+    expect(predict(0, 1)).toBe(342);
+    // B -> C no llega al mínimo de observaciones y C -> D tampoco
+    expect(predict(0, 3)).toBe(342);
+    expect(predict(1, 0)).toBe(258);
+    expect(predict(2, 2)).toBe(300);
+  });
+
+  test('keeps the known delay without history', () => {
+    expect(
+      predictDelay(trainDelayModel([]), {
+        routeShortName: '3',
+        stops,
+        fromIndex: 0,
+        toIndex: 3,
+        delay: 120,
+      }),
+    ).toBe(120);
+  });
+});
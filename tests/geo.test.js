@@ -0,0 +1,74 @@
+const {
+  createSpatialIndex,
+  haversineDistance,
+  isValidCoordinate,
+} = require('../lib/gtfs/geo');
+
+// Plaza Zorrilla y alrededores (Valladolid)
+const stops = [
+  { id: 'zorrilla', lat: 41.6479, lon: -4.7291 },
+  { id: 'campo-grande', lat: 41.6455, lon: -4.7315 },
+  { id: 'plaza-mayor', lat: 41.6521, lon: -4.7286 },
+  { id: 'delicias', lat: 41.6332, lon: -4.7047 },
+  { id: 'sin-coordenadas', lat: null, lon: undefined },
+];
+
+describe('Geo helpers', () => {
+  test('computes distances in metres', () => {
+    expect(haversineDistance(41.6479, -4.7291, 41.6479, -4.7291)).toBe(0);
+    // 0,01 grados de latitud son ~1112 metros
+    expect(
+      Math.round(haversineDistance(41.64, -4.72, 41.65, -4.72)),
+    ).toBeCloseTo(1112, -1);
+  });
+
+  test('validates coordinates', () => {
+    expect(isValidCoordinate(41.6, -4.7)).toBe(true);
+    expect(isValidCoordinate(91, -4.7)).toBe(false);
+    expect(isValidCoordinate(Number.NaN, -4.7)).toBe(false);
+  });
+
+  test('indexes only items with valid coordinates', () => {
+    expect(createSpatialIndex(stops).size).toBe(4);
+  });
+
+  test('returns items within the radius sorted by distance', () => {
+    const index = createSpatialIndex(stops);
+    const results = index.within(41.6479, -4.7291, 600);
+
+    expect(results.map(({ item }) => item.id)).toEqual([
+      'zorrilla',
+      'campo-grande',
+      'plaza-mayor',
+    ]);
+    expect(results[0].distance).toBe(0);
+    expect(results.every(({ distance }) => distance <= 600)).toBe(true);
+  });
+
+  test('finds items that fall in neighbouring cells', () => {
+    const index = createSpatialIndex(stops, { cellSize: 50 });
+
+    expect(
+      index.within(41.6479, -4.7291, 3000).map(({ item }) => item.id),
+    ).toEqual(['zorrilla', 'campo-grande', 'plaza-mayor', 'delicias']);
+  });
+
+  test('supports custom coordinate accessors', () => {
+    const index = createSpatialIndex(
+      [{ stop: { stop_lat: '41.6479', stop_lon: '-4.7291' } }],
+      {
+        getLat: ({ stop }) => stop.stop_lat,
+        getLon: ({ stop }) => stop.stop_lon,
+      },
+    );
+
+    expect(index.within(41.648, -4.729, 50)).toHaveLength(1);
+  });
+
+  test('ignores invalid queries', () => {
+    const index = createSpatialIndex(stops);
+
+    expect(index.within(Number.NaN, -4.7291, 500)).toEqual([]);
+    expect(index.within(41.6479, -4.7291, -1)).toEqual([]);
+  });
+});
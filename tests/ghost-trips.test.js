@@ -0,0 +1,99 @@
+const {
+  buildRealtimeTripIndex,
+  classifyTrip,
+  getRunningTrips,
+  getTripSpans,
+} = require('../lib/gtfs/ghost-trips');
+
+const span = { start: 8 * 3600, end: 9 * 3600 };
+
+describe('Ghost trips', () => {
+  test('indexes trip updates, cancellations and vehicle positions', () => {
+    const trips = buildRealtimeTripIndex(
+      [
+        { trip_id: 'T1', schedule_relationship: 'SCHEDULED' },
+        { trip_id: 'T2', schedule_relationship: 'CANCELED' },
+        { trip_id: 'T3', schedule_relationship: 3 },
+      ],
+      [{ trip_id: 'T4' }, { trip_id: null }],
+    );
+
+    expect(trips.get('T1')).toEqual({
+      canceled: false,
+      hasTripUpdate: true,
+      hasVehiclePosition: false,
+    });
+    expect(trips.get('T2').canceled).toBe(true);
+    expect(trips.get('T3').canceled).toBe(true);
+    expect(trips.get('T4').hasVehiclePosition).toBe(true);
+    expect(trips.size).toBe(4);
+  });
+
+  test('gets the first departure and last arrival of each trip', () => {
+    expect(
+      getTripSpans([
+        { tripId: 'T1', departure: 100, arrival: 200 },
+        { tripId: 'T1', departure: 200, arrival: 350 },
+        { tripId: 'T2', departure: 50, arrival: 80 },
+      ]),
+    ).toEqual(
+      new Map([
+        ['T1', { start: 100, end: 350 }],
+        ['T2', { start: 50, end: 80 }],
+      ]),
+    );
+  });
+
+  test('flags running trips without realtime data after the grace period', () => {
+    const classify = (now, realtime) =>
+      classifyTrip({ realtime, span, now, covered: true });
+
+    expect(classify(8 * 3600 + 60)).toBe('programado');
+    expect(classify(8 * 3600 + 600)).toBe('probablemente_sin_servicio');
+    expect(classify(8 * 3600 + 600, { hasVehiclePosition: true })).toBe(
+      'en_servicio',
+    );
+    expect(classify(10 * 3600)).toBeNull();
+  });
+
+  test('respects cancellations and agencies without realtime', () => {
+    expect(
+      classifyTrip({
+        realtime: { canceled: true },
+        span,
+        now: 7 * 3600,
+        covered: true,
+      }),
+    ).toBe('cancelado');
+    expect(
+      classifyTrip({ span, now: 8 * 3600 + 600, covered: false }),
+    ).toBeNull();
+  });
+
+  test('finds running trips of the previous service day after midnight', () => {
+    const today = {
+      day: {
+        tripSpans: new Map([
+          ['T1', { start: 0.25 * 3600, end: 1.5 * 3600 }],
+          ['T2', { start: 23.5 * 3600, end: 24.5 * 3600 }],
+        ]),
+      },
+      time: 0.5 * 3600,
+    };
+    const yesterday = {
+      day: {
+        tripSpans: new Map([
+          ['T2', { start: 23.5 * 3600, end: 24.75 * 3600 }],
+          ['T3', { start: 22 * 3600, end: 23 * 3600 }],
+        ]),
+      },
+      time: 24.5 * 3600,
+    };
+
+    const running = getRunningTrips([today, yesterday]);
+
+    expect([...running.keys()]).toEqual(['T1', 'T2']);
+    expect(running.get('T1')).toBe(today);
+    expect(running.get('T2')).toBe(yesterday);
+  });
+});
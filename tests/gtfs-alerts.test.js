@@ -9,6 +9,7 @@ jest.mock('../lib/v2', () => {
     getParada: jest.fn(),
     getParadas: jest.fn(),
     getAlerts: jest.fn(),
+    getFeedAlertas: jest.fn(),
     getBusPosition: jest.fn(),
     getShapesForTrip: jest.fn(),
     getStopsElementsForTrip: jest.fn(),
@@ -19,7 +20,7 @@ jest.mock('../lib/v2', () => {
   };
 });
 
-const { getAlerts } = require('../lib/v2');
+const { getAlerts, getFeedAlertas } = require('../lib/v2');
 const v2Routes = require('../routes/v2');
 
 const fixtureGtfs = {
@@ -78,6 +79,9 @@ describe('GTFS-RT alerts', () => {
     );
 
     expect(sameEntityAndPeriod).toHaveLength(1);
+    expect(new Set(formattedAlerts.map((alert) => alert.clave)).size).toBe(
+      formattedAlerts.length,
+    );
     expect(
       formattedAlerts.some(
         (alert) =>
@@ -112,6 +116,20 @@ describe('GTFS-RT alerts', () => {
     );
   });
 
+  test('returns the effect with its enum name when the feed stores a number', async () => {
+    const [alert] = await gtfsGetAlerts({
+      ...fixtureGtfs,
+      getServiceAlerts: () => [
+        {
+          ...fixture.serviceAlerts.find(({ id }) => id === 'alert-global'),
+          effect: 1,
+        },
+      ],
+    });
+
+    expect(alert.effect).toBe('NO_SERVICE');
+  });
+
   test('serves resolved alerts from GET /alertas/', async () => {
     getAlerts.mockResolvedValue(formattedAlerts);
     const app = express();
@@ -135,4 +153,39 @@ describe('GTFS-RT alerts', () => {
       ),
     ).toBe(true);
   });
+
+  test('passes the filters of GET /alertas/ and validates them', async () => {
+    getAlerts.mockResolvedValue([]);
+    const app = express();
+    app.use(v2Routes);
+
+    const response = await request(app).get('/alertas/?linea=3&activas=now');
+    const invalid = await request(app).get('/alertas/?activas=ayer');
+
+    expect(response.status).toBe(200);
+    expect(getAlerts).toHaveBeenLastCalledWith(
+      expect.objectContaining({ linea: '3', activas: 'now' }),
+    );
+    expect(invalid.status).toBe(400);
+  });
+
+  test('serves the alert feeds with the same filters', async () => {
+    getFeedAlertas.mockResolvedValue('BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n');
+    const app = express();
+    app.use(v2Routes);
+
+    const response = await request(app).get('/alertas.ics?parada=815');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/calendar/);
+    expect(response.text).toBe('BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n');
+    expect(getFeedAlertas).toHaveBeenCalledWith(
+      'ics',
+      expect.objectContaining({ parada: '815', activas: 'all' }),
+      expect.objectContaining({
+        link: expect.stringMatching(/\/alertas$/),
+        selfUrl: expect.stringMatching(/\/alertas\.ics\?parada=815$/),
+      }),
+    );
+  });
 });
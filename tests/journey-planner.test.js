@@ -0,0 +1,512 @@
+const {
+  applyTripDelays,
+  buildConnections,
+  getDelayAtSequence,
+  getTripDelays,
+  getWalkingTime,
+  planJourneys,
+} = require('../lib/gtfs/journey-planner');
+const { timeToSeconds } = require('../lib/gtfs/lines');
+
+const trip = (tripId, stops) => ({
+  tripId,
+  stopTimes: stops.map(([stopId, time], index) => ({
+    trip_id: tripId,
+    stop_id: stopId,
+    stop_sequence: index + 1,
+    arrival_time: time,
+    departure_time: time,
+  })),
+});
+
+const at = (time) => timeToSeconds(time);
+
+describe('Journey planner', () => {
+  test('builds connections between consecutive stops sorted by departure', () => {
+    const connections = buildConnections(
+      [
+        trip('T2', [
+          ['B', '08:05:00'],
+          ['C', '08:10:00'],
+        ]),
+        trip('T1', [
+          ['A', '08:00:00'],
+          ['B', '08:04:00'],
+          ['C', '08:09:00'],
+        ]),
+      ],
+      { timeToSeconds },
+    );
+
+    expect(
+      connections.map(({ tripId, fromStopId, toStopId }) => [
+        tripId,
+        fromStopId,
+        toStopId,
+      ]),
+    ).toEqual([
+      ['T1', 'A', 'B'],
+      ['T1', 'B', 'C'],
+      ['T2', 'B', 'C'],
+    ]);
+    expect(connections[0]).toMatchObject({
+      fromSequence: 1,
+      toSequence: 2,
+      departure: at('08:00:00'),
+      arrival: at('08:04:00'),
+    });
+  });
+
+  test('finds a direct trip with walking legs to and from the stops', () => {
+    const connections = buildConnections(
+      [
+        trip('T1', [
+          ['A', '08:00:00'],
+          ['B', '08:10:00'],
+          ['C', '08:20:00'],
+        ]),
+      ],
+      { timeToSeconds },
+    );
+
+    const [itinerary] = planJourneys({
+      connections,
+      departureTime: at('07:50:00'),
+      accessStops: [{ stopId: 'A', distance: 110 }],
+      egressStops: [{ stopId: 'C', distance: 220 }],
+    });
+
+    expect(itinerary.legs.map((leg) => leg.type)).toEqual([
+      'walk',
+      'transit',
+      'walk',
+    ]);
+    expect(itinerary.legs[0]).toMatchObject({
+      toStopId: 'A',
+      departure: at('08:00:00') - getWalkingTime(110),
+      arrival: at('08:00:00'),
+    });
+    expect(itinerary.legs[1]).toMatchObject({
+      tripId: 'T1',
+      fromStopId: 'A',
+      toStopId: 'C',
+      departure: at('08:00:00'),
+      arrival: at('08:20:00'),
+      stopsCount: 2,
+      delay: null,
+    });
+    expect(itinerary.arrival).toBe(at('08:20:00') + getWalkingTime(220));
+  });
+
+  test('does not board a trip that leaves before the walk to the stop ends', () => {
+    const connections = buildConnections(
+      [
+        trip('T1', [
+          ['A', '08:00:00'],
+          ['C', '08:20:00'],
+        ]),
+        trip('T2', [
+          ['A', '08:15:00'],
+          ['C', '08:35:00'],
+        ]),
+      ],
+      { timeToSeconds },
+    );
+
+    const [itinerary] = planJourneys({
+      connections,
+      departureTime: at('07:55:00'),
+      accessStops: [{ stopId: 'A', distance: 500 }],
+      egressStops: [{ stopId: 'C', distance: 0 }],
+      maxItineraries: 1,
+    });
+
+    expect(itinerary.legs[1].tripId).toBe('T2');
+  });
+
+  test('requires a minimum transfer time when changing buses at a stop', () => {
+    const connections = buildConnections(
+      [
+        trip('T1', [
+          ['A', '08:00:00'],
+          ['B', '08:10:00'],
+        ]),
+        trip('T2', [
+          ['B', '08:10:30'],
+          ['C', '08:20:00'],
+        ]),
+        trip('T3', [
+          ['B', '08:15:00'],
+          ['C', '08:25:00'],
+        ]),
+      ],
+      { timeToSeconds },
+    );
+
+    const [itinerary] = planJourneys({
+      connections,
+      departureTime: at('08:00:00'),
+      accessStops: [{ stopId: 'A', distance: 0 }],
+      egressStops: [{ stopId: 'C', distance: 0 }],
+      maxItineraries: 1,
+    });
+
+    expect(
+      itinerary.legs
+        .filter((leg) => leg.type === 'transit')
+        .map((leg) => leg.tripId),
+    ).toEqual(['T1', 'T3']);
+  });
+
+  test('walks between nearby stops to transfer', () => {
+    const connections = buildConnections(
+      [
+        trip('T1', [
+          ['A', '08:00:00'],
+          ['B', '08:10:00'],
+        ]),
+        trip('T2', [
+          ['E', '08:15:00'],
+          ['D', '08:25:00'],
+        ]),
+      ],
+      { timeToSeconds },
+    );
+
+    const [itinerary] = planJourneys({
+      connections,
+      departureTime: at('08:00:00'),
+      accessStops: [{ stopId: 'A', distance: 0 }],
+      egressStops: [{ stopId: 'D', distance: 0 }],
+      getTransfers: (stopId) =>
+        stopId === 'B' ? [{ stopId: 'E', distance: 150 }] : [],
+      maxItineraries: 1,
+    });
+
+    expect(itinerary.legs.map((leg) => leg.type)).toEqual([
+      'walk',
+      'transit',
+      'walk',
+      'transit',
+      'walk',
+    ]);
+    expect(itinerary.legs[2]).toMatchObject({
+      fromStopId: 'B',
+      toStopId: 'E',
+      distance: 150,
+      departure: at('08:10:00'),
+      arrival: at('08:10:00') + getWalkingTime(150),
+    });
+  });
+
+  test('returns later alternatives and a walking option when close enough', () => {
+    const connections = buildConnections(
+      [
+        trip('T1', [
+          ['A', '08:00:00'],
+          ['B', '08:05:00'],
+        ]),
+        trip('T2', [
+          ['A', '08:20:00'],
+          ['B', '08:25:00'],
+        ]),
+      ],
+      { timeToSeconds },
+    );
+
+    const itineraries = planJourneys({
+      connections,
+      departureTime: at('08:00:00'),
+      accessStops: [{ stopId: 'A', distance: 0 }],
+      egressStops: [{ stopId: 'B', distance: 0 }],
+      directDistance: 1500,
+    });
+
+    expect(
+      itineraries.map((itinerary) =>
+        itinerary.legs.length === 1 ? 'walk' : itinerary.legs[1].tripId,
+      ),
+    ).toEqual(['T1', 'walk', 'T2']);
+  });
+
+  test('starts and ends itineraries with chains of walking and bike legs', () => {
+    const connections = buildConnections(
+      [
+        trip('T1', [
+          ['A', '08:10:00'],
+          ['B', '08:20:00'],
+        ]),
+      ],
+      { timeToSeconds },
+    );
+    const bikeLegs = (fromStopId, toStopId) => [
+      { type: 'walk', fromStopId, toStopId: null, distance: 110 },
+      { type: 'bike', fromStopId: null, toStopId: null, duration: 300 },
+      { type: 'walk', fromStopId: null, toStopId, distance: 220 },
+    ];
+
+    const [itinerary] = planJourneys({
+      connections,
+      departureTime: at('07:55:00'),
+      accessStops: [
+        { stopId: 'A', distance: 2000 },
+        {
+          stopId: 'A',
+          duration: getWalkingTime(110) + 300 + getWalkingTime(220),
+          legs: bikeLegs(null, 'A'),
+        },
+      ],
+      egressStops: [
+        { stopId: 'B', distance: 1500 },
+        {
+          stopId: 'B',
+          duration: getWalkingTime(110) + 300 + getWalkingTime(220),
+          legs: bikeLegs('B', null),
+        },
+      ],
+      maxItineraries: 1,
+    });
+
+    expect(itinerary.legs.map((leg) => leg.type)).toEqual([
+      'walk',
+      'bike',
+      'walk',
+      'transit',
+      'walk',
+      'bike',
+      'walk',
+    ]);
+    expect(itinerary.legs[2]).toMatchObject({
+      toStopId: 'A',
+      departure: at('08:10:00') - getWalkingTime(220),
+      arrival: at('08:10:00'),
+    });
+    expect(itinerary.legs[1]).toMatchObject({
+      departure: at('08:10:00') - getWalkingTime(220) - 300,
+    });
+    expect(itinerary.legs[5]).toMatchObject({
+      departure: at('08:20:00') + getWalkingTime(110),
+      arrival: at('08:20:00') + getWalkingTime(110) + 300,
+    });
+    expect(itinerary.arrival).toBe(
+      at('08:20:00') + getWalkingTime(110) + 300 + getWalkingTime(220),
+    );
+  });
+
+  test('does not chain a bike access straight into a bike egress', () => {
+    const connections = buildConnections(
+      [
+        trip('T1', [
+          ['S', '08:10:00'],
+          ['D', '08:15:00'],
+        ]),
+      ],
+      { timeToSeconds },
+    );
+    // Las dos paradas se pueden alcanzar en bici desde el origen y el
+    // destino; D está más lejos del origen y S más lejos del destino
+    const bikeLegs = (fromStopId, toStopId, duration) => [
+      { type: 'walk', fromStopId, toStopId: null, distance: 100 },
+      { type: 'bike', fromStopId: null, toStopId: null, duration },
+      { type: 'walk', fromStopId: null, toStopId, distance: 100 },
+    ];
+    const bikeStop = (stopId, duration, fromStopId, toStopId) => ({
+      stopId,
+      duration: 2 * getWalkingTime(100) + duration,
+      legs: bikeLegs(fromStopId, toStopId, duration),
+    });
+
+    const itineraries = planJourneys({
+      connections,
+      departureTime: at('08:00:00'),
+      accessStops: [
+        bikeStop('S', 240, null, 'S'),
+        bikeStop('D', 1200, null, 'D'),
+      ],
+      egressStops: [
+        bikeStop('S', 1200, 'S', null),
+        bikeStop('D', 240, 'D', null),
+      ],
+      directLegs: bikeLegs(null, null, 1500),
+    });
+
+    expect(
+      itineraries.map((itinerary) =>
+        itinerary.legs.map((leg) => leg.tripId ?? leg.type),
+      ),
+    ).toEqual([
+      ['walk', 'bike', 'walk', 'T1', 'walk', 'bike', 'walk'],
+      ['walk', 'bike', 'walk'],
+    ]);
+  });
+
+  test('adds an itinerary without buses from its direct legs', () => {
+    const itineraries = planJourneys({
+      connections: [],
+      departureTime: at('08:00:00'),
+      accessStops: [],
+      egressStops: [],
+      directDistance: 3000,
+      directLegs: [
+        { type: 'walk', fromStopId: null, toStopId: null, distance: 110 },
+        { type: 'bike', fromStopId: null, toStopId: null, duration: 600 },
+        { type: 'walk', fromStopId: null, toStopId: null, distance: 0 },
+      ],
+    });
+
+    expect(itineraries).toHaveLength(1);
+    expect(itineraries[0].departure).toBe(at('08:00:00'));
+    expect(itineraries[0].legs[1]).toMatchObject({
+      departure: at('08:00:00') + getWalkingTime(110),
+      arrival: at('08:00:00') + getWalkingTime(110) + 600,
+    });
+    expect(itineraries[0].arrival).toBe(
+      at('08:00:00') + getWalkingTime(110) + 600,
+    );
+  });
+
+  test('only leaves towards the destination after taking a bus', () => {
+    const connections = buildConnections(
+      [
+        trip('T1', [
+          ['S', '08:05:00'],
+          ['D', '08:10:00'],
+        ]),
+      ],
+      { timeToSeconds },
+    );
+
+    const itineraries = planJourneys({
+      connections,
+      departureTime: at('08:00:00'),
+      accessStops: [
+        { stopId: 'S', distance: 100 },
+        { stopId: 'D', distance: 700 },
+      ],
+      egressStops: [
+        { stopId: 'S', distance: 600 },
+        { stopId: 'D', distance: 50 },
+      ],
+      directDistance: 1200,
+    });
+
+    expect(
+      itineraries.map((itinerary) =>
+        itinerary.legs.map((leg) => leg.tripId ?? leg.type),
+      ),
+    ).toEqual([['walk', 'T1', 'walk'], ['walk']]);
+  });
+
+  test('returns no itineraries when the destination cannot be reached', () => {
+    const connections = buildConnections(
+      [
+        trip('T1', [
+          ['A', '08:00:00'],
+          ['B', '08:05:00'],
+        ]),
+      ],
+      { timeToSeconds },
+    );
+
+    expect(
+      planJourneys({
+        connections,
+        departureTime: at('08:00:00'),
+        accessStops: [{ stopId: 'A', distance: 0 }],
+        egressStops: [{ stopId: 'Z', distance: 0 }],
+        directDistance: 5000,
+      }),
+    ).toEqual([]);
+  });
+
+  test('computes realtime delays and propagates them along the trip', () => {
+    const serviceDayStart = 1700000000;
+    const delaysByTrip = getTripDelays(
+      [
+        {
+          trip_id: 'T1',
+          stop_sequence: 2,
+          arrival_timestamp: serviceDayStart + at('08:13:00'),
+        },
+        { trip_id: 'T2', stop_sequence: 1, arrival_delay: -60 },
+        {
+          trip_id: 'T3',
+          stop_sequence: 1,
+          schedule_relationship: 'SKIPPED',
+          arrival_delay: 600,
+        },
+      ],
+      {
+        serviceDayStart,
+        getScheduledTime: (tripId, stopSequence) =>
+          tripId === 'T1' && stopSequence === 2 ? at('08:10:00') : null,
+      },
+    );
+
+    expect(delaysByTrip.get('T1')).toEqual([{ sequence: 2, delay: 180 }]);
+    expect(delaysByTrip.get('T2')).toEqual([{ sequence: 1, delay: -60 }]);
+    expect(delaysByTrip.has('T3')).toBe(false);
+
+    const tripDelays = [
+      { sequence: 2, delay: 120 },
+      { sequence: 4, delay: 300 },
+    ];
+    expect(getDelayAtSequence(tripDelays, 1)).toBe(120);
+    expect(getDelayAtSequence(tripDelays, 3)).toBe(120);
+    expect(getDelayAtSequence(tripDelays, 5)).toBe(300);
+    expect(getDelayAtSequence([], 1)).toBeNull();
+  });
+
+  test('plans with delayed connections reordered by realtime departure', () => {
+    const connections = buildConnections(
+      [
+        trip('T1', [
+          ['A', '08:00:00'],
+          ['B', '08:10:00'],
+        ]),
+        trip('T2', [
+          ['A', '08:05:00'],
+          ['B', '08:12:00'],
+        ]),
+      ],
+      { timeToSeconds },
+    );
+    const delayed = applyTripDelays(
+      connections,
+      new Map([['T1', [{ sequence: 1, delay: 600 }]]]),
+    );
+
+    expect(delayed.map((connection) => connection.tripId)).toEqual([
+      'T2',
+      'T1',
+    ]);
+
+    const [itinerary] = planJourneys({
+      connections: delayed,
+      departureTime: at('08:03:00'),
+      accessStops: [{ stopId: 'A', distance: 0 }],
+      egressStops: [{ stopId: 'B', distance: 0 }],
+    });
+
+    expect(itinerary.legs[1]).toMatchObject({
+      tripId: 'T2',
+      delay: null,
+    });
+
+    const [late] = planJourneys({
+      connections: delayed,
+      departureTime: at('08:06:00'),
+      accessStops: [{ stopId: 'A', distance: 0 }],
+      egressStops: [{ stopId: 'B', distance: 0 }],
+    });
+
+    expect(late.legs[1]).toMatchObject({
+      tripId: 'T1',
+      departure: at('08:10:00'),
+      arrival: at('08:20:00'),
+      scheduledDeparture: at('08:00:00'),
+      scheduledArrival: at('08:10:00'),
+      delay: 600,
+    });
+  });
+});
@@ -0,0 +1,274 @@
+const {
+  buildTimetable,
+  compareLines,
+  formatLine,
+  getLineDirections,
+  mergeStopSequences,
+  selectLineRoute,
+  timeToSeconds,
+} = require('../lib/gtfs/lines');
+
+const agenciesById = new Map([
+  ['101', { agency_id: '101', agency_name: 'AUVASA' }],
+  ['ECSA', { agency_id: 'ECSA', agency_name: 'Empresa Cabrero S.A' }],
+]);
+const agencyOrder = new Map([
+  ['101', 0],
+  ['ECSA', 1],
+]);
+
+const stopTimes = (tripId, stopIds) =>
+  stopIds.map((stopId, index) => ({
+    trip_id: tripId,
+    stop_id: stopId,
+    stop_sequence: index + 1,
+  }));
+
+describe('GTFS lines', () => {
+  test('formats a route with colours and agency', () => {
+    expect(
+      formatLine(
+        {
+          route_id: '1',
+          agency_id: '101',
+          route_short_name: '1',
+          route_long_name: 'Barrio España - Covaresa',
+          route_type: 3,
+          route_color: '36AD30',
+          route_text_color: 'FFFFFF',
+        },
+        agenciesById,
+      ),
+    ).toEqual({
+      linea: '1',
+      nombre: 'Barrio España - Covaresa',
+      color: '#36AD30',
+      colorTexto: '#FFFFFF',
+      tipo: 3,
+      gtfsRouteId: '1',
+      agencia: { id: '101', nombre: 'AUVASA' },
+    });
+  });
+
+  test('keeps missing colours as null', () => {
+    const line = formatLine({ route_id: 'L01', route_short_name: 'L01' });
+
+    expect(line.color).toBeNull();
+    expect(line.colorTexto).toBeNull();
+    expect(line.agencia).toEqual({ id: null, nombre: null });
+  });
+
+  test('sorts lines by agency and natural short name', () => {
+    const lines = [
+      { linea: 'L01', agencia: { id: 'ECSA' } },
+      { linea: '10', agencia: { id: '101' } },
+      { linea: 'C1', agencia: { id: '101' } },
+      { linea: '2', agencia: { id: '101' } },
+    ].sort(compareLines(agencyOrder));
+
+    expect(lines.map((line) => line.linea)).toEqual(['2', '10', 'C1', 'L01']);
+  });
+
+  test('uses the most common stop pattern of each direction', () => {
+    const trips = [
+      { trip_id: 'a1', direction_id: 0, trip_headsign: 'COVARESA' },
+      { trip_id: 'a2', direction_id: 0, trip_headsign: 'COVARESA' },
+      { trip_id: 'a3', direction_id: 0, trip_headsign: 'PZA. ZORRILLA' },
+      { trip_id: 'b1', direction_id: 1, trip_headsign: 'BARRIO ESPAÑA' },
+    ];
+    const directions = getLineDirections(trips, [
+      ...stopTimes('a1', ['s1', 's2', 's3']),
+      ...stopTimes('a2', ['s1', 's2', 's3']),
+      ...stopTimes('a3', ['s1', 's2']),
+      ...stopTimes('b1', ['s3', 's2', 's1']),
+    ]);
+
+    expect(directions).toEqual([
+      {
+        directionId: 0,
+        headsign: 'COVARESA',
+        headsigns: ['COVARESA', 'PZA. ZORRILLA'],
+        stopIds: ['s1', 's2', 's3'],
+      },
+      {
+        directionId: 1,
+        headsign: 'BARRIO ESPAÑA',
+        headsigns: ['BARRIO ESPAÑA'],
+        stopIds: ['s3', 's2', 's1'],
+      },
+    ]);
+  });
+
+  test('orders stops by stop_sequence', () => {
+    const [direction] = getLineDirections(
+      [{ trip_id: 'a1', direction_id: 0 }],
+      [
+        { trip_id: 'a1', stop_id: 's2', stop_sequence: 2 },
+        { trip_id: 'a1', stop_id: 's1', stop_sequence: 1 },
+      ],
+    );
+
+    expect(direction.stopIds).toEqual(['s1', 's2']);
+  });
+
+  test('groups by headsign when direction_id is missing', () => {
+    const directions = getLineDirections(
+      [
+        { trip_id: 'a1', trip_headsign: 'VALLADOLID' },
+        { trip_id: 'b1', trip_headsign: 'LAGUNA' },
+      ],
+      [...stopTimes('a1', ['s1', 's2']), ...stopTimes('b1', ['s2', 's1'])],
+    );
+
+    expect(directions.map((direction) => direction.headsign)).toEqual([
+      'VALLADOLID',
+      'LAGUNA',
+    ]);
+    expect(
+      directions.every((direction) => direction.directionId === null),
+    ).toBe(true);
+  });
+
+  test('asks for the agency when several share a line name', () => {
+    const auvasa = { route_id: 'A1', agency_id: '101' };
+
+    expect(selectLineRoute([auvasa])).toEqual({ route: auvasa });
+    expect(selectLineRoute([])).toEqual({ error: 'No existe esa línea' });
+    expect(
+      selectLineRoute([auvasa, { route_id: 'E1', agency_id: 'ECSA' }]),
+    ).toEqual({
+      error:
+        'Varias agencias tienen una línea con ese nombre, indica la agencia',
+      agencias: ['101', 'ECSA'],
+    });
+  });
+});
+
+describe('GTFS line timetables', () => {
+  test('converts GTFS times past midnight to seconds', () => {
+    expect(timeToSeconds('07:30:15')).toBe(27015);
+    expect(timeToSeconds('25:05:00')).toBe(90300);
+    expect(timeToSeconds(null)).toBeNull();
+  });
+
+  test('merges stop sequences of every variant', () => {
+    expect(
+      mergeStopSequences([
+        ['s1', 's2', 's4'],
+        ['s1', 's2', 's3', 's4'],
+        ['s0', 's1', 's2'],
+      ]),
+    ).toEqual(['s0', 's1', 's2', 's3', 's4']);
+  });
+
+  test('builds a grid of departures per direction sorted by time', () => {
+    const trips = [
+      { trip_id: 'late', direction_id: 0, trip_headsign: 'COVARESA' },
+      { trip_id: 'early', direction_id: 0, trip_headsign: 'COVARESA' },
+      { trip_id: 'short', direction_id: 0, trip_headsign: 'ZORRILLA' },
+      { trip_id: 'back', direction_id: 1, trip_headsign: 'BARRIO ESPAÑA' },
+    ];
+    const timetable = buildTimetable(trips, [
+      {
+        trip_id: 'late',
+        stop_id: 's1',
+        stop_sequence: 1,
+        departure_time: '08:00:00',
+      },
+      {
+        trip_id: 'late',
+        stop_id: 's2',
+        stop_sequence: 2,
+        departure_time: '08:05:00',
+      },
+      {
+        trip_id: 'early',
+        stop_id: 's1',
+        stop_sequence: 1,
+        departure_time: '07:00:00',
+      },
+      {
+        trip_id: 'early',
+        stop_id: 's2',
+        stop_sequence: 2,
+        arrival_time: '07:05:00',
+      },
+      {
+        trip_id: 'short',
+        stop_id: 's2',
+        stop_sequence: 1,
+        departure_time: '07:30:00',
+      },
+      {
+        trip_id: 'back',
+        stop_id: 's2',
+        stop_sequence: 1,
+        departure_time: '24:10:00',
+      },
+    ]);
+
+    expect(timetable).toEqual([
+      {
+        directionId: 0,
+        headsign: 'COVARESA',
+        stopIds: ['s1', 's2'],
+        trips: [
+          {
+            tripId: 'early',
+            headsign: 'COVARESA',
+            times: ['07:00:00', '07:05:00'],
+          },
+          { tripId: 'short', headsign: 'ZORRILLA', times: [null, '07:30:00'] },
+          {
+            tripId: 'late',
+            headsign: 'COVARESA',
+            times: ['08:00:00', '08:05:00'],
+          },
+        ],
+      },
+      {
+        directionId: 1,
+        headsign: 'BARRIO ESPAÑA',
+        stopIds: ['s2'],
+        trips: [
+          { tripId: 'back', headsign: 'BARRIO ESPAÑA', times: ['24:10:00'] },
+        ],
+      },
+    ]);
+  });
+
+  test('keeps one column for each pass of a circular trip', () => {
+    const departures = (tripId, times) =>
+      times.map(([stopId, time], index) => ({
+        trip_id: tripId,
+        stop_id: stopId,
+        stop_sequence: index + 1,
+        departure_time: time,
+      }));
+
+    const [direction] = buildTimetable(
+      [
+        { trip_id: 'circular', direction_id: 0 },
+        { trip_id: 'short', direction_id: 0 },
+      ],
+      [
+        ...departures('circular', [
+          ['parquesol', '08:00:00'],
+          ['s1', '08:10:00'],
+          ['s2', '08:20:00'],
+          ['parquesol', '08:30:00'],
+        ]),
+        ...departures('short', [
+          ['s2', '09:20:00'],
+          ['parquesol', '09:30:00'],
+        ]),
+      ],
+    );
+
+    expect(direction.stopIds).toEqual(['parquesol', 's1', 's2', 'parquesol']);
+    expect(direction.trips.map(({ times }) => times)).toEqual([
+      ['08:00:00', '08:10:00', '08:20:00', '08:30:00'],
+      [null, null, '09:20:00', '09:30:00'],
+    ]);
+  });
+});
@@ -0,0 +1,49 @@
+const { findNearestStations } = require('../lib/gbfs/nearby-stations');
+
+const station = (id, latitud, longitud, overrides = {}) => ({
+  id,
+  nombre: `Estación ${id}`,
+  latitud,
+  longitud,
+  bicisDisponibles: 4,
+  anclajesLibres: 10,
+  instalada: true,
+  ...overrides,
+});
+
+// Parada en Plaza Zorrilla
+const stop = { lat: 41.6473, lon: -4.7285 };
+const stations = [
+  station('lejos', 41.6573, -4.7285),
+  station('cerca', 41.6483, -4.7285),
+  station('muy-cerca', 41.6477, -4.7285),
+  station('retirada', 41.6474, -4.7285, { instalada: false }),
+  station('sin-coordenadas', null, null),
+];
+
+describe('Nearest bike-share stations', () => {
+  test('sorts the stations within the radius by distance', () => {
+    const nearest = findNearestStations(stations, stop);
+
+    expect(nearest.map(({ id }) => id)).toEqual(['muy-cerca', 'cerca']);
+    expect(nearest[0]).toEqual(
+      expect.objectContaining({
+        bicisDisponibles: 4,
+        anclajesLibres: 10,
+        distancia: 44,
+        minutosCaminando: 1,
+      }),
+    );
+    expect(nearest[1].distancia).toBe(111);
+    expect(nearest[1].minutosCaminando).toBe(2);
+  });
+
+  test('applies the limit and radius', () => {
+    expect(
+      findNearestStations(stations, stop, { limit: 1 }).map(({ id }) => id),
+    ).toEqual(['muy-cerca']);
+    expect(
+      findNearestStations(stations, stop, { radius: 2000 }).map(({ id }) => id),
+    ).toEqual(['muy-cerca', 'cerca', 'lejos']);
+  });
+});
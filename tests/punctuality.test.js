@@ -0,0 +1,54 @@
+const { gtfsGetPunctuality } = require('../lib/gtfs');
+
+// Índice de paradas con el mismo formato que stopsById
+const stops = new Map([
+  [
+    '195',
+    {
+      stop: { stop_id: '195', stop_code: '815', stop_name: 'Plaza España 13' },
+      routes: [],
+    },
+  ],
+]);
+
+const summary = (stopId, observations, totalDelay) => ({
+  route_short_name: '3',
+  stop_id: stopId,
+  hour: 8,
+  observations,
+  total_delay: totalDelay,
+  early: 0,
+  late: 0,
+});
+
+describe('Punctuality report', () => {
+  test('names each stop with the stop index', async () => {
+    const getDelaySummaries = jest.fn(() => [
+      summary('195', 2, 240),
+      summary('999', 1, 60),
+    ]);
+
+    const report = await gtfsGetPunctuality(
+      { routeShortName: '3', from: '20261001', to: '20261007' },
+      { archive: { getDelaySummaries }, stops },
+    );
+
+    expect(getDelaySummaries).toHaveBeenCalledWith({
+      routeShortName: '3',
+      from: '20261001',
+      to: '20261007',
+      weekdays: undefined,
+    });
+    expect(report.porParada.map(({ parada }) => parada)).toEqual([
+      { nombre: 'Plaza España 13', numero: '815' },
+      { nombre: null, numero: '999' },
+    ]);
+    expect(report.resumen.observaciones).toBe(3);
+  });
+
+  test('fails when the realtime archive is disabled', async () => {
+    expect(await gtfsGetPunctuality({}, { archive: null })).toEqual({
+      error: 'El histórico de tiempo real no está activado',
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const {
+  buildDelayObservations,
+  getWeekday,
+  summarizePunctuality,
+} = require('../lib/gtfs/realtime-archive');
+
+const serviceDayStart = 1700000000;
+
+describe('Realtime archive', () => {
+  test('gets the weekday of a service date', () => {
+    expect(getWeekday('20231113')).toBe(1);
+    expect(getWeekday('20231118')).toBe(6);
+    expect(getWeekday('20231119')).toBe(0);
+  });
+
+  test('builds one delay observation per stop with realtime data', () => {
+    const observations = buildDelayObservations(
+      [
+        {
+          trip_id: 'T1',
+          stop_sequence: 1,
+          arrival_timestamp: serviceDayStart + 8 * 3600 + 120,
+        },
+        { trip_id: 'T1', stop_sequence: 2, arrival_delay: -30 },
+        { trip_id: 'T1', stop_sequence: 3, schedule_relationship: 'SKIPPED' },
+        { trip_id: 'T2', stop_sequence: 1, arrival_delay: 60 },
+      ],
+      {
+        trips: new Map([
+          [
+            'T1',
+            { serviceDate: '20231113', routeShortName: '3', agencyId: '101' },
+          ],
+        ]),
+        stopTimesByTrip: new Map([
+          [
+            'T1',
+            [
+              { stop_id: 'A', stop_sequence: 1, arrival_time: '08:00:00' },
+              { stop_id: 'B', stop_sequence: 2, arrival_time: '08:05:00' },
+              { stop_id: 'C', stop_sequence: 3, arrival_time: '08:10:00' },
+            ],
+          ],
+        ]),
+        getServiceDayStart: () => serviceDayStart,
+        timestamp: 1700030000,
+      },
+    );
+
+    expect(observations).toEqual([
+      {
+        serviceDate: '20231113',
+        weekday: 1,
+        tripId: 'T1',
+        routeShortName: '3',
+        agencyId: '101',
+        stopId: 'A',
+        stopSequence: 1,
+        scheduledTime: 8 * 3600,
+        delay: 120,
+        updatedAt: 1700030000,
+      },
+      {
+        serviceDate: '20231113',
+        weekday: 1,
+        tripId: 'T1',
+        routeShortName: '3',
+        agencyId: '101',
+        stopId: 'B',
+        stopSequence: 2,
+        scheduledTime: 8 * 3600 + 300,
+        delay: -30,
+        updatedAt: 1700030000,
+      },
+    ]);
+  });
+
+  test('summarizes punctuality per line, stop and hour of day', () => {
+    // Retrasos agregados por línea, parada y hora como en getDelaySummaries
+    const row = (linea, stopId, hour, delays) => ({
+      route_short_name: linea,
+      stop_id: stopId,
+      hour,
+      observations: delays.length,
+      total_delay: delays.reduce((acc, delay) => acc + delay, 0),
+      early: delays.filter((delay) => delay < -60).length,
+      late: delays.filter((delay) => delay > 300).length,
+    });
+
+    const report = summarizePunctuality([
+      row('3', 'A', 8, [0, 600]),
+      row('3', 'B', 9, [-120]),
+      row('4', 'B', 1, [60]),
+    ]);
+
+    expect(report.resumen).toEqual({
+      observaciones: 4,
+      retrasoMedio: 2.3,
+      puntualidad: 50,
+      adelantados: 25,
+      retrasados: 25,
+    });
+    expect(
+      report.porLinea.map(({ linea, observaciones }) => [linea, observaciones]),
+    ).toEqual([
+      ['3', 3],
+      ['4', 1],
+    ]);
+    expect(report.porParada.find((stop) => stop.stopId === 'A')).toMatchObject({
+      observaciones: 2,
+      retrasoMedio: 5,
+      puntualidad: 50,
+    });
+    expect(
+      report.porHora.map(({ hora, observaciones }) => [hora, observaciones]),
+    ).toEqual([
+      [1, 1],
+      [8, 2],
+      [9, 1],
+    ]);
+  });
+
+  test('returns empty indicators without observations', () => {
+    expect(summarizePunctuality([])).toEqual({
+      resumen: {
+        observaciones: 0,
+        retrasoMedio: null,
+        puntualidad: null,
+        adelantados: null,
+        retrasados: null,
+      },
+      porLinea: [],
+      porParada: [],
+      porHora: [],
+    });
+  });
+});
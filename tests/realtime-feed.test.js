@@ -0,0 +1,120 @@
+const GtfsRealtimeBindings = require('gtfs-realtime-bindings');
+const {
+  buildAlertEntities,
+  buildFeedMessage,
+  buildTripUpdateEntities,
+  buildVehiclePositionEntities,
+  encodeFeedMessage,
+  feedMessageToJSON,
+  toUnixSeconds,
+} = require('../lib/gtfs/realtime-feed');
+
+const { FeedMessage } = GtfsRealtimeBindings.transit_realtime;
+
+describe('Realtime feed', () => {
+  test('normalizes timestamps from SQLite', () => {
+    expect(toUnixSeconds(1700000000)).toBe(1700000000);
+    expect(toUnixSeconds('1700000000')).toBe(1700000000);
+    expect(toUnixSeconds('2023-11-14T22:13:20.000Z')).toBe(1700000000);
+    expect(toUnixSeconds(null)).toBeNull();
+    expect(toUnixSeconds('no es una fecha')).toBeNull();
+  });
+
+  test('groups stop time updates by trip in sequence order', () => {
+    const entities = buildTripUpdateEntities(
+      [
+        {
+          update_id: 'U1',
+          trip_id: 'T1',
+          route_id: 'R1',
+          trip_start_date: '20231114',
+          vehicle_id: null,
+          timestamp: '1700000000',
+        },
+      ],
+      [
+        { trip_id: 'T1', stop_id: 'B', stop_sequence: 2, arrival_delay: 60 },
+        {
+          trip_id: 'T1',
+          stop_id: 'A',
+          stop_sequence: 1,
+          departure_timestamp: 1700000100,
+        },
+        { trip_id: 'T2', stop_id: 'C', stop_sequence: 1, arrival_delay: 0 },
+      ],
+    );
+
+    expect(entities).toEqual([
+      {
+        id: 'U1',
+        tripUpdate: {
+          trip: { tripId: 'T1', routeId: 'R1', startDate: '20231114' },
+          stopTimeUpdate: [
+            { stopSequence: 1, stopId: 'A', departure: { time: 1700000100 } },
+            { stopSequence: 2, stopId: 'B', arrival: { delay: 60 } },
+          ],
+          timestamp: 1700000000,
+        },
+      },
+    ]);
+  });
+
+  test('parses alert active periods and informed entities', () => {
+    const [entity] = buildAlertEntities([
+      {
+        id: 'A1',
+        active_period: '[{"start":1700000000,"end":null}]',
+        informed_entity: [{ route_id: 'R1' }, { stop_id: '123' }, {}],
+        cause: 'CONSTRUCTION',
+        effect: 'DETOUR',
+        header_text: 'Desvío',
+        description_text: null,
+      },
+    ]);
+
+    expect(entity).toEqual({
+      id: 'A1',
+      alert: {
+        activePeriod: [{ start: 1700000000 }],
+        informedEntity: [{ routeId: 'R1' }, { stopId: '123' }],
+        cause: 'CONSTRUCTION',
+        effect: 'DETOUR',
+        headerText: { translation: [{ text: 'Desvío', language: 'es' }] },
+      },
+    });
+  });
+
+  test('encodes a feed that decodes back to the JSON version', () => {
+    const message = buildFeedMessage(
+      buildVehiclePositionEntities([
+        {
+          vehicle_id: 'V1',
+          trip_id: 'T1',
+          latitude: 41.5,
+          longitude: -4.75,
+          vehicle_stop_status: 'STOPPED_AT',
+          current_stop_sequence: 3,
+          timestamp: 1700000000,
+        },
+      ]),
+      { timestamp: 1700000050 },
+    );
+
+    const json = feedMessageToJSON(message);
+    expect(json.header).toEqual({
+      gtfsRealtimeVersion: '2.0',
+      incrementality: 'FULL_DATASET',
+      timestamp: 1700000050,
+    });
+    expect(json.entity[0].vehicle).toMatchObject({
+      trip: { tripId: 'T1' },
+      vehicle: { id: 'V1' },
+      currentStopSequence: 3,
+      currentStatus: 'STOPPED_AT',
+      timestamp: 1700000000,
+    });
+
+    const decoded = FeedMessage.decode(encodeFeedMessage(message));
+    expect(feedMessageToJSON(decoded)).toEqual(json);
+  });
+});
@@ -0,0 +1,174 @@
+const {
+  buildStopArrivals,
+  classifyHeadway,
+  computeHeadways,
+  summarizeDirection,
+} = require('../lib/gtfs/regularity');
+
+const arrivalsByStop = new Map([
+  [
+    'B',
+    new Map([
+      ['T1', { scheduled: 1000, estimated: 1100 }],
+      ['T2', { scheduled: 1600, estimated: 1160 }],
+      ['T3', { scheduled: 2200, estimated: 3000 }],
+    ]),
+  ],
+  [
+    'C',
+    new Map([
+      ['T2', { scheduled: 1700, estimated: 1260 }],
+      ['T3', { scheduled: 2300, estimated: 2700 }],
+    ]),
+  ],
+]);
+const getArrivals = (stopId) => arrivalsByStop.get(stopId) ?? new Map();
+
+describe('Regularity', () => {
+  test('classifies headways as bunched, gaps or regular', () => {
+    expect(classifyHeadway(60, 600)).toBe('agrupados');
+    expect(classifyHeadway(1000, 600)).toBe('hueco');
+    expect(classifyHeadway(700, 600)).toBe('regular');
+    expect(classifyHeadway(200, 600, { bunchingThreshold: 300 })).toBe(
+      'agrupados',
+    );
+    expect(classifyHeadway(null, 600)).toBeNull();
+  });
+
+  test('measures headways at the next stop of the leading vehicle', () => {
+    const headways = computeHeadways(
+      [
+        { vehicleId: 'V3', tripId: 'T3', progress: 1, nextStopId: 'B' },
+        { vehicleId: 'V1', tripId: 'T1', progress: 1, nextStopId: 'B' },
+        { vehicleId: 'V2', tripId: 'T2', progress: 2, nextStopId: 'C' },
+      ],
+      { getArrivals },
+    );
+
+    expect(
+      headways.map(({ leader, follower, stopId, headway, status }) => [
+        leader.vehicleId,
+        follower.vehicleId,
+        stopId,
+        headway,
+        status,
+      ]),
+    ).toEqual([
+      ['V2', 'V1', 'C', null, null],
+      ['V1', 'V3', 'B', 1900, 'hueco'],
+    ]);
+    expect(headways[1].scheduledHeadway).toBe(1200);
+  });
+
+  test('detects vehicles running in pairs', () => {
+    const [headway] = computeHeadways(
+      [
+        { vehicleId: 'V1', tripId: 'T1', progress: 1, nextStopId: 'B' },
+        { vehicleId: 'V2', tripId: 'T2', progress: 1, nextStopId: 'B' },
+      ],
+      { getArrivals },
+    );
+
+    expect(headway).toMatchObject({
+      headway: 60,
+      scheduledHeadway: 600,
+      status: 'agrupados',
+    });
+  });
+
+  test('estimates arrivals from the schedule and the trip delays', () => {
+    const stopTimes = (tripId, times) =>
+      times.map(([stopId, time], index) => ({
+        trip_id: tripId,
+        stop_id: stopId,
+        stop_sequence: index + 1,
+        arrival_time: time,
+      }));
+
+    const arrivalsByStop = buildStopArrivals(
+      [
+        {
+          tripId: 'T1',
+          serviceDayStart: 0,
+          stopTimes: stopTimes('T1', [
+            ['A', '08:00:00'],
+            ['B', '08:05:00'],
+            ['C', '08:10:00'],
+          ]),
+          tripDelays: [
+            { sequence: 1, delay: 60 },
+            { sequence: 3, delay: 180 },
+          ],
+        },
+        {
+          tripId: 'T2',
+          serviceDayStart: 0,
+          stopTimes: stopTimes('T2', [
+            ['A', '08:10:00'],
+            ['B', '08:15:00'],
+          ]),
+          tripDelays: null,
+        },
+      ],
+      new Set(['B', 'C']),
+    );
+
+    expect([...arrivalsByStop.keys()]).toEqual(['B', 'C']);
+    expect(arrivalsByStop.get('B')).toEqual(
+      new Map([
+        ['T1', { scheduled: 29100, estimated: 29160 }],
+        ['T2', { scheduled: 29700, estimated: 29700 }],
+      ]),
+    );
+    expect(arrivalsByStop.get('C').get('T1')).toEqual({
+      scheduled: 29400,
+      estimated: 29580,
+    });
+  });
+
+  test('names the stop of each headway with the stop index', () => {
+    // Índice de paradas con el mismo formato que stopsById
+    const stops = new Map([
+      [
+        'B',
+        {
+          stop: {
+            stop_id: 'B',
+            stop_code: '815',
+            stop_name: 'Plaza España 13',
+          },
+          routes: [],
+        },
+      ],
+    ]);
+
+    const summary = summarizeDirection(
+      { directionId: 0, headsign: 'Covaresa' },
+      [
+        { vehicleId: 'V1', tripId: 'T1', progress: 1, nextStopId: 'B' },
+        { vehicleId: 'V2', tripId: 'T2', progress: 1, nextStopId: 'B' },
+        { vehicleId: 'V4', tripId: 'T4', progress: 2, nextStopId: 'Z' },
+      ],
+      { getArrivals, stops },
+    );
+
+    expect(summary).toMatchObject({
+      sentido: 0,
+      destino: 'Covaresa',
+      vehiculos: 3,
+      intervaloMedio: 1,
+      agrupamientos: 1,
+      huecos: 0,
+    });
+    expect(summary.intervalos.map(({ parada }) => parada)).toEqual([
+      { nombre: null, numero: null },
+      { nombre: 'Plaza España 13', numero: '815' },
+    ]);
+    expect(summary.intervalos[1]).toMatchObject({
+      delante: { vehicleId: 'V1', tripId: 'T1', matricula: undefined },
+      intervalo: 1,
+      intervaloProgramado: 10,
+      estado: 'agrupados',
+    });
+  });
+});
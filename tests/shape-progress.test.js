@@ -0,0 +1,153 @@
+const {
+  buildShapeLine,
+  estimateVehicle,
+  getPointAtDistance,
+  getScheduledDistance,
+  getShapeCoordinates,
+  locateStops,
+  snapToShape,
+  trackVehicle,
+} = require('../lib/gtfs/shape-progress');
+
+// Recorrido en L: hacia el este y después hacia el norte
+const coordinates = [
+  [-4.73, 41.65],
+  [-4.72, 41.65],
+  [-4.72, 41.66],
+];
+const line = buildShapeLine(coordinates);
+// Salida de A a las 8:00, parada en B de 8:05 a 8:06 y llegada a C a las 8:10
+const stops = locateStops(line, [
+  {
+    stopId: 'A',
+    stopSequence: 1,
+    lat: 41.65,
+    lon: -4.73,
+    arrival: 28800,
+    departure: 28800,
+  },
+  {
+    stopId: 'B',
+    stopSequence: 2,
+    lat: 41.6501,
+    lon: -4.72,
+    arrival: 29100,
+    departure: 29160,
+  },
+  {
+    stopId: 'C',
+    stopSequence: 3,
+    lat: 41.66,
+    lon: -4.72,
+    arrival: 29400,
+    departure: 29400,
+  },
+]);
+
+describe('Shape progress', () => {
+  test('reads LineString and MultiLineString shapes', () => {
+    expect(
+      getShapeCoordinates({
+        features: [{ geometry: { type: 'LineString', coordinates } }],
+      }),
+    ).toEqual(coordinates);
+    expect(
+      getShapeCoordinates({
+        features: [
+          {
+            geometry: {
+              type: 'MultiLineString',
+              coordinates: [coordinates.slice(0, 2), coordinates.slice(2)],
+            },
+          },
+        ],
+      }),
+    ).toEqual(coordinates);
+    expect(getShapeCoordinates({ features: [] })).toBeNull();
+  });
+
+  test('accumulates distances along the shape', () => {
+    expect(line[0].distance).toBe(0);
+    expect(line[1].distance).toBeCloseTo(831, 0);
+    expect(line[2].distance).toBeCloseTo(831 + 1112, -1);
+    expect(buildShapeLine([[-4.72, 41.65]])).toBeNull();
+  });
+
+  test('snaps a point to the closest segment', () => {
+    const snapped = snapToShape(line, 41.6502, -4.725);
+
+    expect(snapped.lat).toBeCloseTo(41.65, 6);
+    expect(snapped.lon).toBeCloseTo(-4.725, 6);
+    expect(snapped.offset).toBeCloseTo(22, 0);
+    expect(snapped.bearing).toBeCloseTo(90, 0);
+  });
+
+  test('locates the stops in order along the shape', () => {
+    const distances = stops.map((stop) => stop.distance);
+
+    expect(distances[0]).toBe(0);
+    expect(distances[1]).toBeGreaterThan(distances[0]);
+    expect(distances[2]).toBeCloseTo(line[2].distance, 6);
+  });
+
+  test('tracks the vehicle between its previous and next stops', () => {
+    const progress = trackVehicle(
+      { line, stops },
+      { lat: 41.655, lon: -4.7201 },
+    );
+
+    expect(progress.previousStop.stopId).toBe('B');
+    expect(progress.nextStop.stopId).toBe('C');
+    expect(progress.bearing).toBeCloseTo(0, 0);
+    expect(progress.distance + progress.distanceToNextStop).toBeCloseTo(
+      progress.totalDistance,
+      6,
+    );
+  });
+
+  test('restricts the search to the segment of the next stop', () => {
+    // Cerca del vértice: sin restricción se ajustaría al primer tramo
+    const position = { lat: 41.6501, lon: -4.7203 };
+
+    expect(trackVehicle({ line, stops }, position).nextStop.stopId).toBe('B');
+    expect(
+      trackVehicle({ line, stops }, { ...position, stopSequence: 3 }).nextStop
+        .stopId,
+    ).toBe('C');
+    expect(trackVehicle({ line: null, stops }, position)).toBeNull();
+  });
+
+  test('gets the point at a distance along the shape', () => {
+    const point = getPointAtDistance(line, line[1].distance / 2);
+
+    expect(point.lat).toBeCloseTo(41.65, 6);
+    expect(point.lon).toBeCloseTo(-4.725, 6);
+    expect(point.bearing).toBeCloseTo(90, 0);
+    expect(getPointAtDistance(line, Infinity).lat).toBeCloseTo(41.66, 6);
+  });
+
+  test('interpolates the scheduled distance between stops', () => {
+    const [a, b, c] = stops;
+
+    expect(getScheduledDistance(stops, 28700)).toBeNull();
+    expect(getScheduledDistance(stops, 28800)).toBe(a.distance);
+    expect(getScheduledDistance(stops, 28950)).toBeCloseTo(b.distance / 2, 6);
+    expect(getScheduledDistance(stops, 29130)).toBe(b.distance);
+    expect(getScheduledDistance(stops, 29280)).toBeCloseTo(
+      (b.distance + c.distance) / 2,
+      6,
+    );
+    expect(getScheduledDistance(stops, 29400)).toBe(c.distance);
+    expect(getScheduledDistance(stops, 29500)).toBeNull();
+  });
+
+  test('estimates the position of a trip from its schedule', () => {
+    const progress = estimateVehicle({ line, stops }, 29280);
+
+    expect(progress.previousStop.stopId).toBe('B');
+    expect(progress.nextStop.stopId).toBe('C');
+    expect(progress.offset).toBe(0);
+    expect(progress.lon).toBeCloseTo(-4.72, 6);
+    expect(estimateVehicle({ line, stops }, 30000)).toBeNull();
+  });
+});
@@ -0,0 +1,212 @@
+const {
+  MIN_REFRESH_SECONDS,
+  RETRY_DELAY,
+  createStationCache,
+  getFeedUrls,
+  mergeStations,
+} = require('../lib/gbfs/station-feed');
+
+const DISCOVERY_URL = 'https://bikes.example/gbfs.json';
+const discovery = {
+  ttl: 3600,
+  data: {
+    en: {
+      feeds: [
+        { name: 'station_information', url: 'https://bikes.example/info' },
+        { name: 'station_status', url: 'https://bikes.example/status' },
+      ],
+    },
+  },
+};
+
+const information = {
+  ttl: 3600,
+  last_updated: 1791100000,
+  data: {
+    stations: [
+      {
+        station_id: 1,
+        name: 'Plaza Zorrilla',
+        lat: 41.6473,
+        lon: -4.7285,
+        capacity: 20,
+      },
+      {
+        station_id: '2',
+        name: 'Estación Campo Grande',
+        lat: 41.64,
+        lon: -4.73,
+      },
+    ],
+  },
+};
+
+const status = (bikes, lastUpdated = 1791100800) => ({
+  ttl: 30,
+  last_updated: lastUpdated,
+  data: {
+    stations: [
+      {
+        station_id: '1',
+        num_bikes_available: bikes,
+        num_bikes_available_types: { mechanical: bikes - 2, ebike: 2 },
+        num_docks_available: 20 - bikes,
+        is_installed: 1,
+        is_renting: 1,
+        is_returning: 0,
+        last_reported: 1791100790,
+      },
+    ],
+  },
+});
+
+describe('GBFS station feed', () => {
+  test('reads the feed URLs of GBFS 2.x and 3.x discovery files', () => {
+    expect(getFeedUrls(discovery)).toEqual({
+      station_information: 'https://bikes.example/info',
+      station_status: 'https://bikes.example/status',
+    });
+    expect(
+      getFeedUrls({
+        data: { feeds: [{ name: 'station_status', url: 'https://s' }] },
+      }),
+    ).toEqual({ station_status: 'https://s' });
+  });
+
+  test('merges station information with its availability', () => {
+    const [withStatus, withoutStatus] = mergeStations(information, status(7));
+
+    expect(withStatus).toEqual({
+      id: '1',
+      nombre: 'Plaza Zorrilla',
+      direccion: null,
+      latitud: 41.6473,
+      longitud: -4.7285,
+      capacidad: 20,
+      bicisDisponibles: 7,
+      bicisElectricas: 2,
+      anclajesLibres: 13,
+      alquilando: true,
+      devolviendo: false,
+      instalada: true,
+      ultimaActualizacion: '2026-10-04T09:59:50+02:00',
+    });
+    expect(withoutStatus).toEqual(
+      expect.objectContaining({
+        id: '2',
+        bicisDisponibles: null,
+        alquilando: null,
+        ultimaActualizacion: null,
+      }),
+    );
+  });
+
+  test('refreshes each feed in the background when its ttl expires', async () => {
+    let currentTime = 0;
+    let bikes = 7;
+    const timers = [];
+    const fetchJson = jest.fn(async (url) => {
+      if (url === DISCOVERY_URL) return discovery;
+      if (url.endsWith('/info')) return information;
+      return status(bikes);
+    });
+    const cache = createStationCache({
+      discoveryUrl: DISCOVERY_URL,
+      fetchJson,
+      setTimer: (callback, delay) => timers.push({ callback, delay }),
+      now: () => currentTime,
+    });
+
+    const first = await cache.getStations();
+    expect(first.ultimaActualizacion).toBe('2026-10-04T10:00:00+02:00');
+    expect(first.estaciones[0].bicisDisponibles).toBe(7);
+    expect(timers.map(({ delay }) => delay)).toEqual([30000]);
+    expect(fetchJson).toHaveBeenCalledTimes(3);
+
+    // Solo ha caducado station_status
+    bikes = 4;
+    currentTime = 30000;
+    await timers[0].callback();
+
+    expect(fetchJson).toHaveBeenCalledTimes(4);
+    expect(fetchJson).toHaveBeenLastCalledWith('https://bikes.example/status');
+    expect((await cache.getStations()).estaciones[0].bicisDisponibles).toBe(4);
+    expect(timers[1].delay).toBe(30000);
+  });
+
+  test('passes every new station_status to onStatus', async () => {
+    let currentTime = 0;
+    const timers = [];
+    const onStatus = jest.fn();
+    const cache = createStationCache({
+      discoveryUrl: DISCOVERY_URL,
+      fetchJson: async (url) => {
+        if (url === DISCOVERY_URL) return discovery;
+        if (url.endsWith('/info')) return { ...information, ttl: 10 };
+        return { ...status(7), ttl: 60 };
+      },
+      setTimer: (callback, delay) => timers.push({ callback, delay }),
+      now: () => currentTime,
+      onStatus,
+    });
+
+    await cache.start();
+    expect(onStatus).toHaveBeenCalledWith(
+      expect.objectContaining({ last_updated: 1791100800 }),
+    );
+
+    // Solo ha caducado station_information
+    currentTime = timers[0].delay;
+    await timers[0].callback();
+    expect(onStatus).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeps serving the last stations when a refresh fails', async () => {
+    let currentTime = 0;
+    let failing = false;
+    const timers = [];
+    const onError = jest.fn();
+    const fetchJson = jest.fn(async (url) => {
+      if (failing) throw new Error('ETIMEDOUT');
+      if (url === DISCOVERY_URL) return discovery;
+      if (url.endsWith('/info')) return information;
+      return { ...status(7), ttl: 0 };
+    });
+    const cache = createStationCache({
+      discoveryUrl: DISCOVERY_URL,
+      fetchJson,
+      setTimer: (callback, delay) => timers.push({ callback, delay }),
+      now: () => currentTime,
+      onError,
+    });
+
+    await cache.start();
+    expect(timers[0].delay).toBe(MIN_REFRESH_SECONDS * 1000);
+
+    failing = true;
+    currentTime = timers[0].delay;
+    await timers[0].callback();
+
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(timers[1].delay).toBe(RETRY_DELAY);
+    expect((await cache.getStations()).estaciones[0].bicisDisponibles).toBe(7);
+
+    // Tras un error se vuelven a descubrir las URLs de los feeds
+    failing = false;
+    await timers[1].callback();
+    expect(fetchJson).toHaveBeenLastCalledWith('https://bikes.example/status');
+    expect(fetchJson.mock.calls.at(-2)).toEqual([DISCOVERY_URL]);
+  });
+
+  test('fails when the first download fails', async () => {
+    const cache = createStationCache({
+      discoveryUrl: DISCOVERY_URL,
+      fetchJson: jest.fn().mockRejectedValue(new Error('ENOTFOUND')),
+      setTimer: jest.fn(),
+    });
+
+    await expect(cache.getStations()).rejects.toThrow(
+      'No hay datos de estaciones GBFS',
+    );
+  });
+});
@@ -0,0 +1,110 @@
+const {
+  buildAvailabilityForecast,
+  buildStationSnapshots,
+} = require('../lib/gbfs/station-history');
+
+describe('GBFS station history', () => {
+  test('builds one snapshot per station with known availability', () => {
+    const snapshots = buildStationSnapshots({
+      last_updated: 1791180000,
+      data: {
+        stations: [
+          {
+            station_id: 1,
+            num_bikes_available: 7,
+            num_bikes_available_types: { mechanical: 5, ebike: 2 },
+            num_docks_available: 13,
+            is_renting: 1,
+            is_returning: false,
+          },
+          { station_id: '2', num_bikes_available: 0 },
+          { station_id: '3', is_installed: 0 },
+        ],
+      },
+    });
+
+    // Lunes 5 de octubre de 2026 a las 8:00 en Valladolid
+    expect(snapshots).toEqual([
+      {
+        stationId: '1',
+        timestamp: 1791180000,
+        weekday: 1,
+        hour: 8,
+        bikes: 7,
+        ebikes: 2,
+        docks: 13,
+        renting: 1,
+        returning: 0,
+      },
+      {
+        stationId: '2',
+        timestamp: 1791180000,
+        weekday: 1,
+        hour: 8,
+        bikes: 0,
+        ebikes: null,
+        docks: null,
+        renting: null,
+        returning: null,
+      },
+    ]);
+    expect(buildStationSnapshots({ data: { stations: [] } })).toEqual([]);
+  });
+
+  test('builds the forecast from Monday to Sunday', () => {
+    const forecast = buildAvailabilityForecast([
+      {
+        weekday: 0,
+        hour: 10,
+        observations: 4,
+        dock_observations: 0,
+        with_bikes: 1,
+        with_docks: null,
+        bikes: 0.5,
+        docks: null,
+      },
+      {
+        weekday: 1,
+        hour: 9,
+        observations: 12,
+        dock_observations: 12,
+        with_bikes: 12,
+        with_docks: 6,
+        bikes: 6,
+        docks: 14,
+      },
+      {
+        weekday: 1,
+        hour: 8,
+        observations: 24,
+        dock_observations: 24,
+        with_bikes: 21,
+        with_docks: 24,
+        bikes: 3.4166,
+        docks: 16.5833,
+      },
+    ]);
+
+    expect(forecast.map(({ dia, hora }) => `${dia} ${hora}`)).toEqual([
+      'lunes 8',
+      'lunes 9',
+      'domingo 10',
+    ]);
+    expect(forecast[0]).toEqual({
+      dia: 'lunes',
+      hora: 8,
+      observaciones: 24,
+      probabilidadBici: 87.5,
+      probabilidadAnclaje: 100,
+      mediaBicis: 3.4,
+      mediaAnclajes: 16.6,
+    });
+    expect(forecast[2]).toEqual(
+      expect.objectContaining({
+        probabilidadBici: 25,
+        probabilidadAnclaje: null,
+        mediaAnclajes: null,
+      }),
+    );
+  });
+});
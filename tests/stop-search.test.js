@@ -0,0 +1,84 @@
+const {
+  createStopSearchIndex,
+  getEditDistance,
+  normalizeStopName,
+  tokenizeStopName,
+} = require('../lib/gtfs/stop-search');
+
+const stops = [
+  { code: '600', name: 'Pza. Zorrilla' },
+  { code: '601', name: 'Plaza Zorrilla 8' },
+  { code: '634', name: 'C/ Cigüeña 21' },
+  { code: '811', name: 'Avda. Segovia 45' },
+  { code: '812', name: 'Pº Zorrilla 120' },
+  { code: '900', name: 'Plaza de España' },
+  { code: '901', name: 'Costa Brava' },
+];
+
+describe('Stop name normalization', () => {
+  test('expands abbreviations and removes accents', () => {
+    expect(normalizeStopName('Pza. Zorrilla')).toBe('plaza zorrilla');
+    expect(normalizeStopName('C/Cigüeña, 21')).toBe('calle ciguena 21');
+    expect(normalizeStopName('Avda. Segovia')).toBe('avenida segovia');
+    expect(normalizeStopName('Pº Zorrilla')).toBe('paseo zorrilla');
+    expect(normalizeStopName('Ctra. Rueda fte. 5')).toBe(
+      'carretera rueda frente 5',
+    );
+  });
+
+  test('only expands whole words', () => {
+    expect(tokenizeStopName('Costa Brava')).toEqual(['costa', 'brava']);
+  });
+
+  test('matches names written with different abbreviations', () => {
+    expect(normalizeStopName('Plza Zorrilla')).toBe(
+      normalizeStopName('PLAZA ZORRILLA'),
+    );
+  });
+});
+
+describe('Stop search index', () => {
+  const index = createStopSearchIndex(stops);
+  const search = (query, options) =>
+    index.search(query, options).map(({ item }) => item.code);
+
+  test('computes bounded edit distances with transpositions', () => {
+    expect(getEditDistance('zorila', 'zorrilla')).toBe(2);
+    expect(getEditDistance('sergovia', 'segovia')).toBe(1);
+    expect(getEditDistance('esapña', 'españa')).toBe(1);
+    expect(getEditDistance('abc', 'abcdefgh', 2)).toBe(3);
+  });
+
+  test('finds abbreviated stops by their full name', () => {
+    expect(search('plaza zorrilla').slice(0, 2)).toEqual(['600', '601']);
+  });
+
+  test('tolerates typos', () => {
+    expect(search('zorila')).toEqual(expect.arrayContaining(['600', '812']));
+    expect(search('sergovia')).toEqual(['811']);
+  });
+
+  test('ignores accents and stop words', () => {
+    expect(search('cigueña')).toEqual(['634']);
+    expect(search('plaza de espana')).toEqual(['900']);
+    expect(search('espana')).toEqual(['900']);
+  });
+
+  test('matches prefixes while the user is typing', () => {
+    expect(search('zorr')).toEqual(
+      expect.arrayContaining(['600', '601', '812']),
+    );
+  });
+
+  test('ranks an exact stop code first', () => {
+    expect(search('634')[0]).toBe('634');
+  });
+
+  test('requires every significant word to match', () => {
+    expect(search('zorrilla segovia')).toEqual([]);
+  });
+
+  test('limits the number of results', () => {
+    expect(search('zorrilla', { limit: 1 })).toHaveLength(1);
+  });
+});
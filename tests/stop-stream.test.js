@@ -0,0 +1,98 @@
+const {
+  createStopStreamHub,
+  hasPayloadChanged,
+} = require('../lib/gtfs/stop-stream');
+
+const stopPayload = (realtime) => ({
+  parada: [{ parada: 'Plaza Zorrilla', numeroParada: '634' }],
+  lineas: [{ linea: '1', horarios: [], realtime }],
+});
+
+describe('Stop stream hub', () => {
+  test('detects changes inside nested sections', () => {
+    const previous = stopPayload([{ tiempoRestante: 5 }]);
+
+    expect(hasPayloadChanged(null, previous)).toBe(true);
+    expect(
+      hasPayloadChanged(previous, stopPayload([{ tiempoRestante: 5 }])),
+    ).toBe(false);
+    expect(
+      hasPayloadChanged(previous, stopPayload([{ tiempoRestante: 4 }])),
+    ).toBe(true);
+    expect(hasPayloadChanged(previous, { ...previous, error: 'x' })).toBe(true);
+  });
+
+  test('returns the current payload on subscribe and shares it between clients', async () => {
+    const getStop = jest.fn(async () => stopPayload([]));
+    const hub = createStopStreamHub({ getStop });
+
+    const first = await hub.subscribe('634', jest.fn());
+    const second = await hub.subscribe('634', jest.fn());
+
+    expect(first.payload).toEqual(stopPayload([]));
+    expect(second.payload).toBe(first.payload);
+    expect(getStop).toHaveBeenCalledTimes(1);
+    expect(hub.size).toBe(1);
+  });
+
+  test('notifies subscribers only when the stop payload changes', async () => {
+    let realtime = [{ tiempoRestante: 5 }];
+    const getStop = jest.fn(async () => stopPayload(realtime));
+    const hub = createStopStreamHub({ getStop });
+    const listener = jest.fn();
+
+    await hub.subscribe('634', listener);
+    await hub.refreshAll();
+    expect(listener).not.toHaveBeenCalled();
+
+    realtime = [{ tiempoRestante: 4 }];
+    await hub.refreshAll();
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(stopPayload([{ tiempoRestante: 4 }]));
+  });
+
+  test('stops refreshing a stop once every client has left', async () => {
+    const getStop = jest.fn(async () => stopPayload([]));
+    const hub = createStopStreamHub({ getStop });
+
+    const first = await hub.subscribe('634', jest.fn());
+    const second = await hub.subscribe('634', jest.fn());
+    first.unsubscribe();
+    expect(hub.size).toBe(1);
+
+    second.unsubscribe();
+    expect(hub.size).toBe(0);
+
+    await hub.refreshAll();
+    expect(getStop).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not overlap refreshes and reports errors per stop', async () => {
+    let resolveStop;
+    const onError = jest.fn();
+    const getStop = jest
+      .fn()
+      .mockResolvedValueOnce(stopPayload([]))
+      .mockResolvedValueOnce(stopPayload([]))
+      .mockImplementationOnce(
+        () =>
+          new Promise((resolve) => {
+            resolveStop = resolve;
+          }),
+      )
+      .mockRejectedValueOnce(new Error('sqlite busy'));
+    const hub = createStopStreamHub({ getStop, onError });
+
+    await hub.subscribe('634', jest.fn());
+    await hub.subscribe('ECSA:1', jest.fn());
+
+    const refresh = hub.refreshAll();
+    expect(hub.refreshAll()).toBe(refresh);
+
+    resolveStop(stopPayload([]));
+    await refresh;
+
+    expect(getStop).toHaveBeenCalledTimes(4);
+    expect(onError).toHaveBeenCalledWith(expect.any(Error), 'ECSA:1');
+  });
+});
@@ -0,0 +1,103 @@
+const { normalizeStopName } = require('../lib/gtfs/stop-search');
+const {
+  findSuspendedStops,
+  isSuspensionEffect,
+  parseSuspendedStopNames,
+} = require('../lib/gtfs/suspended-stops');
+
+const stop = (numero, nombre) => ({ parada: { numero, nombre } });
+const stops = [
+  stop('815', 'Plaza España 13'),
+  stop('816', 'Plaza Cruz Verde 5'),
+  stop('920', 'Paseo Zorrilla 100'),
+];
+
+const alert = (id, effect, parada, descripcion = '') => ({
+  id,
+  effect,
+  ruta: { parada },
+  descripcion,
+});
+
+describe('Suspended stops', () => {
+  test('recognises suspension effects', () => {
+    expect(isSuspensionEffect('NO_SERVICE')).toBe(true);
+    expect(isSuspensionEffect('STOP_MOVED')).toBe(true);
+    expect(isSuspensionEffect('DETOUR')).toBe(true);
+    expect(isSuspensionEffect('SIGNIFICANT_DELAYS')).toBe(false);
+    expect(isSuspensionEffect(null)).toBe(false);
+  });
+
+  test('parses the stop names of every description format', () => {
+    expect(
+      parseSuspendedStopNames(
+        'Paradas suprimidas: Plaza España 13, Plaza Cruz Verde 5.',
+      ),
+    ).toEqual(['Plaza España 13', 'Plaza Cruz Verde 5']);
+    expect(
+      parseSuspendedStopNames('Parada suprimida 920 Paseo Zorrilla 100'),
+    ).toEqual(['Paseo Zorrilla 100']);
+    expect(parseSuspendedStopNames('Desvío por obras')).toEqual([]);
+    expect(parseSuspendedStopNames(null)).toEqual([]);
+  });
+
+  test('uses the informed stops of suspension alerts first', () => {
+    const suspended = findSuspendedStops(
+      [
+        alert('A1', 'DETOUR', '815', 'Parada suprimida: Paseo Zorrilla 100'),
+        alert('A1', 'DETOUR', '816'),
+        alert('A2', 'NO_SERVICE', '815'),
+        alert('A3', 'SIGNIFICANT_DELAYS', '920'),
+      ],
+      stops,
+      { normalizeStopName },
+    );
+
+    expect(suspended).toEqual([
+      {
+        nombre: 'Plaza España 13',
+        numero: '815',
+        metodo: 'entidad',
+        alertas: ['A1', 'A2'],
+      },
+      {
+        nombre: 'Plaza Cruz Verde 5',
+        numero: '816',
+        metodo: 'entidad',
+        alertas: ['A1'],
+      },
+    ]);
+  });
+
+  test('falls back to the description when no stop is informed', () => {
+    const suspended = findSuspendedStops(
+      [
+        alert('A1', 'DETOUR', null, 'Paradas suprimidas: plaza españa 13'),
+        alert('A2', 'NO_SERVICE', '920'),
+        alert(
+          'A3',
+          'OTHER_EFFECT',
+          null,
+          'Parada suprimida: Paseo Zorrilla 100',
+        ),
+      ],
+      stops,
+      { normalizeStopName },
+    );
+
+    expect(suspended).toEqual([
+      {
+        nombre: 'Plaza España 13',
+        numero: '815',
+        metodo: 'texto',
+        alertas: ['A1'],
+      },
+      {
+        nombre: 'Paseo Zorrilla 100',
+        numero: '920',
+        metodo: 'entidad',
+        alertas: ['A2', 'A3'],
+      },
+    ]);
+  });
+});
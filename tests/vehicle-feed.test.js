@@ -0,0 +1,141 @@
+const {
+  createSubscription,
+  createVehicleFeedHub,
+  getVehicleKey,
+  matchesSubscription,
+} = require('../lib/gtfs/vehicle-feed');
+
+const vehicle = (vehicleId, overrides = {}) => ({
+  vehicleId,
+  tripId: `trip-${vehicleId}`,
+  linea: '1',
+  latitud: 41.65,
+  longitud: -4.72,
+  timestamp: 1000,
+  ...overrides,
+});
+
+describe('Vehicle feed', () => {
+  test('identifies vehicles without vehicle_id by their trip', () => {
+    expect(getVehicleKey(vehicle('V1'))).toBe('V1');
+    expect(getVehicleKey(vehicle(null, { tripId: 'T9' }))).toBe('trip:T9');
+  });
+
+  test('matches vehicles by line, trip or bounding box', () => {
+    const bus = vehicle('V1');
+
+    expect(matchesSubscription(bus, createSubscription({}))).toBe(true);
+    expect(
+      matchesSubscription(bus, createSubscription({ lineas: ['1'] })),
+    ).toBe(true);
+    expect(
+      matchesSubscription(bus, createSubscription({ lineas: ['2'] })),
+    ).toBe(false);
+    expect(
+      matchesSubscription(
+        bus,
+        createSubscription({ lineas: ['2'], viajes: ['trip-V1'] }),
+      ),
+    ).toBe(true);
+    expect(
+      matchesSubscription(
+        bus,
+        createSubscription({ bbox: [-4.8, 41.6, -4.7, 41.7] }),
+      ),
+    ).toBe(true);
+    expect(
+      matchesSubscription(
+        bus,
+        createSubscription({ bbox: [-4.7, 41.6, -4.6, 41.7] }),
+      ),
+    ).toBe(false);
+  });
+
+  test('sends a snapshot on subscribe and only changes afterwards', async () => {
+    let vehicles = [vehicle('V1'), vehicle('V2', { linea: '2' })];
+    const hub = createVehicleFeedHub({ getVehicles: async () => vehicles });
+    const messages = [];
+    const client = hub.addClient((message) => messages.push(message));
+
+    await client.subscribe({ lineas: ['1'] });
+    expect(messages).toEqual([
+      { tipo: 'snapshot', vehiculos: [{ id: 'V1', ...vehicle('V1') }] },
+    ]);
+
+    await hub.refresh();
+    expect(messages).toHaveLength(1);
+
+    vehicles = [
+      vehicle('V1', { latitud: 41.66 }),
+      vehicle('V2', { linea: '2', latitud: 41.66 }),
+    ];
+    await hub.refresh();
+    expect(messages[1]).toEqual({
+      tipo: 'delta',
+      actualizados: [{ id: 'V1', ...vehicle('V1', { latitud: 41.66 }) }],
+      eliminados: [],
+    });
+  });
+
+  test('reports vehicles that leave the filter or the feed', async () => {
+    let vehicles = [vehicle('V1'), vehicle('V2')];
+    const hub = createVehicleFeedHub({ getVehicles: async () => vehicles });
+    const messages = [];
+    const client = hub.addClient((message) => messages.push(message));
+
+    await client.subscribe({ bbox: [-4.8, 41.6, -4.7, 41.7] });
+
+    vehicles = [vehicle('V1', { longitud: -4.6 })];
+    await hub.refresh();
+
+    expect(messages[1]).toEqual({
+      tipo: 'delta',
+      actualizados: [],
+      eliminados: ['V1', 'V2'],
+    });
+  });
+
+  test('stops sending updates after cancelling or closing', async () => {
+    let vehicles = [vehicle('V1')];
+    const getVehicles = jest.fn(async () => vehicles);
+    const hub = createVehicleFeedHub({ getVehicles });
+    const messages = [];
+    const client = hub.addClient((message) => messages.push(message));
+
+    await client.subscribe({});
+    client.unsubscribe();
+    vehicles = [vehicle('V1', { timestamp: 2000 })];
+    await hub.refresh();
+    expect(messages).toHaveLength(1);
+
+    client.close();
+    expect(hub.size).toBe(0);
+    await hub.refresh();
+    expect(getVehicles).toHaveBeenCalledTimes(2);
+  });
+
+  test('keeps serving other clients when one of them fails', async () => {
+    let vehicles = [vehicle('V1')];
+    const onError = jest.fn();
+    const hub = createVehicleFeedHub({
+      getVehicles: async () => vehicles,
+      onError,
+    });
+    const messages = [];
+    const broken = hub.addClient(() => {
+      throw new Error('socket closed');
+    });
+    const client = hub.addClient((message) => messages.push(message));
+
+    await broken.subscribe({});
+    await client.subscribe({});
+    vehicles = [vehicle('V1', { timestamp: 2000 })];
+    await hub.refresh();
+
+    expect(onError).toHaveBeenCalled();
+    expect(messages.map((message) => message.tipo)).toEqual([
+      'snapshot',
+      'delta',
+    ]);
+  });
+});
@@ -0,0 +1,79 @@
+const { getNextStopTime, vehiclesToGeoJSON } = require('../lib/gtfs/vehicles');
+const { timeToSeconds } = require('../lib/gtfs/lines');
+
+const stopTimes = [
+  { stop_id: 'A', stop_sequence: 1, arrival_time: '08:00:00' },
+  { stop_id: 'B', stop_sequence: 2, arrival_time: '08:05:00' },
+  { stop_id: 'C', stop_sequence: 3, arrival_time: '08:10:00' },
+];
+const serviceDayStart = 1700000000;
+const at = (time) => serviceDayStart + timeToSeconds(time);
+
+describe('Vehicles', () => {
+  test('uses current_stop_sequence as the next stop while in transit', () => {
+    expect(
+      getNextStopTime(
+        { current_stop_sequence: 2, vehicle_stop_status: 'IN_TRANSIT_TO' },
+        stopTimes,
+        { now: at('08:00:00'), serviceDayStart },
+      ).stop_id,
+    ).toBe('B');
+  });
+
+  test('skips the stop where the vehicle is currently stopped', () => {
+    expect(
+      getNextStopTime(
+        { current_stop_sequence: 2, vehicle_stop_status: 'STOPPED_AT' },
+        stopTimes,
+        { now: at('08:00:00'), serviceDayStart },
+      ).stop_id,
+    ).toBe('C');
+    expect(
+      getNextStopTime(
+        { current_stop_sequence: 3, vehicle_stop_status: 1 },
+        stopTimes,
+        { now: at('08:00:00'), serviceDayStart },
+      ),
+    ).toBeNull();
+  });
+
+  test('falls back to the first stop still ahead including the delay', () => {
+    expect(
+      getNextStopTime({}, stopTimes, {
+        now: at('08:06:00'),
+        serviceDayStart,
+      }).stop_id,
+    ).toBe('C');
+    expect(
+      getNextStopTime({}, stopTimes, {
+        now: at('08:06:00'),
+        serviceDayStart,
+        tripDelays: [{ sequence: 1, delay: 120 }],
+      }).stop_id,
+    ).toBe('B');
+    expect(
+      getNextStopTime({}, stopTimes, {
+        now: at('09:00:00'),
+        serviceDayStart,
+      }),
+    ).toBeNull();
+  });
+
+  test('builds a GeoJSON point layer skipping vehicles without position', () => {
+    expect(
+      vehiclesToGeoJSON([
+        { vehicleId: 'V1', linea: '1', latitud: 41.65, longitud: -4.72 },
+        { vehicleId: 'V2', linea: '2', latitud: null, longitud: null },
+      ]),
+    ).toEqual({
+      type: 'FeatureCollection',
+      features: [
+        {
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [-4.72, 41.65] },
+          properties: { vehicleId: 'V1', linea: '1' },
+        },
+      ],
+    });
+  });
+});